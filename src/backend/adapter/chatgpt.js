@@ -14,7 +14,8 @@ import {
     waitForInput,
     gotoWithCheck,
     waitApiResponse,
-    useContextDownload
+    useContextDownload,
+    withAbortSignal
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
@@ -95,6 +96,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             conversationResponse = await waitApiResponse(page, {
                 urlMatch: 'backend-api/f/conversation',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 180000,  // 图片生成可能较慢
                 meta
@@ -119,7 +121,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         let fileName = null;
 
         try {
-            await page.waitForResponse(async (response) => {
+            await withAbortSignal(page.waitForResponse(async (response) => {
                 const url = response.url();
                 if (!url.includes('backend-api/files/download/file_')) return false;
                 if (response.status() !== 200) return false;
@@ -145,7 +147,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 } catch {
                     return false;
                 }
-            }, { timeout: 120000 });
+            }, { timeout: 120000 }), context.signal);
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) return pageError;
@@ -12,14 +12,30 @@ import {
     normalizePageError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck,
-    waitApiResponse
+    openConversation,
+    getConversationUrl,
+    waitApiResponse,
+    withAbortSignal
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://chatgpt.com/';
+// 会话地址格式 (多轮会话模式)
+const CONVERSATION_PATTERN = /^https:\/\/chatgpt\.com\/c\/[\w-]+/;
 const INPUT_SELECTOR = '.ProseMirror';
+// 可上传的附件类型 (文档、表格)
+const FILE_TYPES = [
+    'application/pdf',
+    'text/*',
+    'application/json',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
 
 /**
  * 通过 UI 选择模型
@@ -77,20 +93,20 @@ async function selectModel(page, codeName, meta = {}) {
 
 /**
  * 执行文本生成任务
- * @param {object} context - 浏览器上下文 { page, config }
+ * @param {object} context - 浏览器上下文 { page, config, session }
  * @param {string} prompt - 提示词
  * @param {string[]} imgPaths - 图片路径数组
  * @param {string} [modelId] - 模型 ID
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{text?: string, error?: string}>}
+ * @returns {Promise<{text?: string, conversationUrl?: string|null, error?: string, sessionLost?: boolean}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, session } = context;
     const sendBtnLocator = page.getByRole('button', { name: 'Send prompt' });
 
     try {
-        logger.info('适配器', '开启新会话...', meta);
-        await gotoWithCheck(page, TARGET_URL);
+        const lost = await openConversation(page, TARGET_URL, session, CONVERSATION_PATTERN, meta);
+        if (lost) return lost;
 
         // 1. 等待输入框加载
         await waitForInput(page, INPUT_SELECTOR, { click: false });
@@ -159,7 +175,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         let targetMessageId = null;  // 追踪目标消息 ID
 
         try {
-            await page.waitForResponse(async (response) => {
+            await withAbortSignal(page.waitForResponse(async (response) => {
                 const url = response.url();
                 if (!url.includes('backend-api/f/conversation')) return false;
                 if (response.request().method() !== 'POST') return false;
@@ -230,7 +246,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 } catch {
                     return false;
                 }
-            }, { timeout: 180000 });
+            }, { timeout: 180000 }), context.signal);
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) return pageError;
@@ -244,7 +260,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         logger.info('适配器', `已获取文本内容 (${textContent.length} 字符)`, meta);
         logger.info('适配器', '文本生成完成，任务完成', meta);
-        return { text: textContent.trim() };
+        return { text: textContent.trim(), conversationUrl: await getConversationUrl(page, CONVERSATION_PATTERN) };
 
     } catch (err) {
         // 顶层错误处理
@@ -267,6 +283,9 @@ export const manifest = {
     displayName: 'ChatGPT (文本生成)',
     description: '使用 ChatGPT 官网生成文本，支持多模型切换和图片上传。需要已登录的 ChatGPT 账户，若需要选择模型，请使用会员账号 (包含 K12 教室认证账号)。',
 
+    // 输入框字符数上限
+    inputLimit: 30000,
+
     // 入口 URL
     getTargetUrl(config, workerConfig) {
         return TARGET_URL;
@@ -274,12 +293,12 @@ export const manifest = {
 
     // 模型列表
     models: [
-        { id: 'gpt-5.2', codeName: 'GPT-5.2 Instant', imagePolicy: 'optional' },
-        { id: 'gpt-5.2-thinking', codeName: 'GPT-5.2 Thinking', imagePolicy: 'optional' },
-        { id: 'gpt-5.1', codeName: 'GPT-5.1 Instant', imagePolicy: 'optional' },
-        { id: 'gpt-5.1-thinking', codeName: 'GPT-5.1 Thinking', imagePolicy: 'optional' },
-        { id: 'gpt-5', codeName: 'GPT-5 Instant', imagePolicy: 'optional' },
-        { id: 'gpt-5-thinking', codeName: 'GPT-5 Thinking', imagePolicy: 'optional' },
+        { id: 'gpt-5.2', codeName: 'GPT-5.2 Instant', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gpt-5.2-thinking', codeName: 'GPT-5.2 Thinking', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gpt-5.1', codeName: 'GPT-5.1 Instant', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gpt-5.1-thinking', codeName: 'GPT-5.1 Thinking', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gpt-5', codeName: 'GPT-5 Instant', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gpt-5-thinking', codeName: 'GPT-5 Thinking', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
     ],
 
     // 无需导航处理器
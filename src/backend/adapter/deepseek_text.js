@@ -11,13 +11,127 @@ import {
     normalizePageError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck
+    gotoWithCheck,
+    watchStreamText,
+    watchStreamResponse,
+    withAbortSignal
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://chat.deepseek.com/';
 const INPUT_SELECTOR = 'textarea';
+// 生成接口 (SSE)
+const STREAM_URL_MATCH = 'chat/completion';
+// 回复内容渲染区域 (上游响应流不可用时用于流式增量，排除深度思考区域)
+const REPLY_SELECTOR = '.ds-markdown:not(.ds-think-content .ds-markdown)';
+// 深度思考内容渲染区域 (用于思考过程流式增量)
+const REASONING_SELECTOR = '.ds-think-content .ds-markdown';
+
+/**
+ * 创建 chat/completion SSE 响应解析器
+ * 按 fragment 类型收集内容：RESPONSE 为回复，THINK 为思考过程，SEARCH 忽略
+ * @param {object} [handlers={}] - 增量回调（用于流式输出）
+ * @param {Function} [handlers.onText] - 回复文本增量
+ * @param {Function} [handlers.onReasoning] - 思考过程增量
+ * @returns {{parseLine: (line: string) => void, text: string, reasoning: string, complete: boolean}}
+ */
+function createResponseParser(handlers = {}) {
+    const { onText, onReasoning } = handlers;
+    const fragmentTypes = [];        // 各 fragment 的类型 (RESPONSE / THINK / SEARCH)，按数组索引
+    let currentFragmentIndex = -1;   // 当前正在追加内容的 fragment 数组索引
+
+    const parser = {
+        text: '',
+        reasoning: '',
+        complete: false,
+        parseLine
+    };
+
+    const appendContent = (fragIdx, content) => {
+        if (fragmentTypes[fragIdx] === 'RESPONSE') {
+            parser.text += content;
+            onText?.(content);
+        } else if (fragmentTypes[fragIdx] === 'THINK') {
+            parser.reasoning += content;
+            onReasoning?.(content);
+        }
+    };
+    const addFragments = (fragments) => {
+        for (const fragment of fragments) {
+            const idx = fragmentTypes.length;
+            fragmentTypes.push(fragment.type);
+            currentFragmentIndex = idx;
+            if (fragment.content) {
+                appendContent(idx, fragment.content);
+            }
+        }
+    };
+
+    /**
+     * 解析一行 SSE 数据
+     * @param {string} line - 响应行
+     */
+    function parseLine(line) {
+        // 跳过事件行和空行
+        if (line.startsWith('event:') || !line.startsWith('data:')) return;
+
+        const dataStr = line.slice(5).trim();
+        if (!dataStr || dataStr === '{}') return;
+
+        let data;
+        try {
+            data = JSON.parse(dataStr);
+        } catch {
+            // 忽略解析错误
+            return;
+        }
+
+        // 初始响应中可能已有 fragments (如 SEARCH)
+        if (data.v?.response?.fragments && Array.isArray(data.v.response.fragments)) {
+            addFragments(data.v.response.fragments);
+        }
+
+        // 简单的文本追加 (只有 v 字符串，没有 p 和 o)，追加到当前活跃的 fragment
+        if (data.v && typeof data.v === 'string' && !data.p && !data.o) {
+            if (currentFragmentIndex >= 0) {
+                appendContent(currentFragmentIndex, data.v);
+            }
+        }
+
+        // 带路径的 APPEND 操作 (如 response/fragments/1/content)
+        // 或不带操作符的路径设置 (如 {"v": "xxx", "p": "response/fragments/1/content"})
+        if (data.p && typeof data.v === 'string' && (!data.o || data.o === 'APPEND')) {
+            const match = data.p.match(/response\/fragments\/(\d+)\/content/);
+            if (match) {
+                const fragIdx = parseInt(match[1], 10);
+                currentFragmentIndex = fragIdx;
+                appendContent(fragIdx, data.v);
+            }
+        }
+
+        // fragments APPEND - 新增 fragment (非 BATCH)
+        if (data.p === 'response/fragments' && data.o === 'APPEND' && Array.isArray(data.v)) {
+            addFragments(data.v);
+        }
+
+        // BATCH 操作中的 fragments
+        if (data.o === 'BATCH' && data.p === 'response' && Array.isArray(data.v)) {
+            for (const item of data.v) {
+                // fragments 追加
+                if (item.p === 'fragments' && item.o === 'APPEND' && Array.isArray(item.v)) {
+                    addFragments(item.v);
+                }
+                // 检查是否完成
+                if (item.p === 'status' && item.v === 'FINISHED') {
+                    parser.complete = true;
+                }
+            }
+        }
+    }
+
+    return parser;
+}
 
 /**
  * 切换功能按钮状态
@@ -75,15 +189,18 @@ async function configureModel(page, modelConfig, meta = {}) {
 
 /**
  * 执行文本生成任务
- * @param {object} context - 浏览器上下文 { page, config }
+ * @param {object} context - 浏览器上下文 { page, config, onDelta, onReasoningDelta }
  * @param {string} prompt - 提示词
  * @param {string[]} imgPaths - 图片路径数组 (此适配器不支持)
  * @param {string} [modelId] - 模型 ID
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{text?: string, error?: string}>}
+ * @returns {Promise<{text?: string, reasoning?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, onDelta, onReasoningDelta } = context;
+    let streamWatcher = null;
+    let reasoningWatcher = null;
+    let streamTap = null;
 
     try {
         logger.info('适配器', '开启新会话...', meta);
@@ -104,148 +221,51 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         await fillPrompt(page, INPUT_SELECTOR, prompt, meta);
         await sleep(500, 1000);
 
-        // 4. 按回车发送
+        // 4. 监听上游 SSE 流，直接转发原始文本增量
+        if (onDelta || onReasoningDelta) {
+            const streamParser = createResponseParser({ onText: onDelta, onReasoning: onReasoningDelta });
+            streamTap = await watchStreamResponse(page, STREAM_URL_MATCH, (line) => streamParser.parseLine(line));
+        }
+
+        // 5. 按回车发送
         logger.debug('适配器', '按回车发送...', meta);
         await page.keyboard.press('Enter');
 
         logger.info('适配器', '等待生成结果...', meta);
 
-        // 5. 监听 chat/completion SSE 流，解析文本内容
+        // 6. 监听 chat/completion SSE 流，解析文本内容
         logger.info('适配器', '监听 SSE 流获取文本...', meta);
+        if (!streamTap?.active) {
+            streamWatcher = watchStreamText(page, REPLY_SELECTOR, onDelta);
+            reasoningWatcher = watchStreamText(page, REASONING_SELECTOR, onReasoningDelta);
+        }
 
-        let textContent = '';
-        let isComplete = false;
-        let responseFragmentIndex = -1;  // RESPONSE 类型 fragment 的数组索引
-        let currentFragmentIndex = -1;   // 当前正在追加内容的 fragment 数组索引
-        let fragmentCount = 0;           // fragments 数组的当前长度
-
+        let result = null;
         try {
-            await page.waitForResponse(async (response) => {
+            await withAbortSignal(page.waitForResponse(async (response) => {
                 const url = response.url();
-                if (!url.includes('chat/completion')) return false;
+                if (!url.includes(STREAM_URL_MATCH)) return false;
                 if (response.request().method() !== 'POST') return false;
                 if (response.status() !== 200) return false;
 
                 try {
-                    const body = await response.text();
-                    const lines = body.split('\n');
-
-                    for (const line of lines) {
-                        // 跳过事件行和空行
-                        if (line.startsWith('event:') || !line.startsWith('data:')) continue;
-
-                        const dataStr = line.slice(5).trim();
-                        if (!dataStr || dataStr === '{}') continue;
-
-                        try {
-                            const data = JSON.parse(dataStr);
-
-                            // 初始响应中可能已有 fragments (如 SEARCH)
-                            if (data.v?.response?.fragments && Array.isArray(data.v.response.fragments)) {
-                                for (const fragment of data.v.response.fragments) {
-                                    const idx = fragmentCount++;
-                                    if (fragment.type === 'RESPONSE') {
-                                        responseFragmentIndex = idx;
-                                        currentFragmentIndex = idx;
-                                        if (fragment.content) {
-                                            textContent += fragment.content;
-                                        }
-                                    } else {
-                                        currentFragmentIndex = idx;
-                                    }
-                                }
-                            }
-
-                            // 简单的文本追加 (只有 v 字符串，没有 p 和 o)
-                            // 只有当前活跃的 fragment 是 RESPONSE 类型时才收集
-                            if (data.v && typeof data.v === 'string' && !data.p && !data.o) {
-                                if (currentFragmentIndex === responseFragmentIndex && responseFragmentIndex >= 0) {
-                                    textContent += data.v;
-                                }
-                            }
-
-                            // 带路径的 APPEND 操作 (如 response/fragments/1/content)
-                            if (data.o === 'APPEND' && data.p && typeof data.v === 'string') {
-                                const match = data.p.match(/response\/fragments\/(\d+)\/content/);
-                                if (match) {
-                                    const fragIdx = parseInt(match[1], 10);
-                                    currentFragmentIndex = fragIdx;
-                                    if (fragIdx === responseFragmentIndex) {
-                                        textContent += data.v;
-                                    }
-                                }
-                            }
-
-                            // 不带操作符的路径设置 (如 {"v": "xxx", "p": "response/fragments/1/content"})
-                            if (data.p && typeof data.v === 'string' && !data.o) {
-                                const match = data.p.match(/response\/fragments\/(\d+)\/content/);
-                                if (match) {
-                                    const fragIdx = parseInt(match[1], 10);
-                                    currentFragmentIndex = fragIdx;
-                                    if (fragIdx === responseFragmentIndex) {
-                                        textContent += data.v;
-                                    }
-                                }
-                            }
-
-                            // fragments APPEND - 新增 fragment (非 BATCH)
-                            if (data.p === 'response/fragments' && data.o === 'APPEND' && Array.isArray(data.v)) {
-                                for (const fragment of data.v) {
-                                    const idx = fragmentCount++;
-                                    if (fragment.type === 'RESPONSE') {
-                                        responseFragmentIndex = idx;
-                                        currentFragmentIndex = idx;
-                                        if (fragment.content) {
-                                            textContent += fragment.content;
-                                        }
-                                    } else {
-                                        // THINK 或 SEARCH
-                                        currentFragmentIndex = idx;
-                                    }
-                                }
-                            }
-
-                            // BATCH 操作中的 fragments
-                            if (data.o === 'BATCH' && data.p === 'response' && Array.isArray(data.v)) {
-                                for (const item of data.v) {
-                                    // fragments 追加
-                                    if (item.p === 'fragments' && item.o === 'APPEND' && Array.isArray(item.v)) {
-                                        for (const fragment of item.v) {
-                                            const idx = fragmentCount++;
-                                            if (fragment.type === 'RESPONSE') {
-                                                responseFragmentIndex = idx;
-                                                currentFragmentIndex = idx;
-                                                if (fragment.content) {
-                                                    textContent += fragment.content;
-                                                }
-                                            } else {
-                                                // THINK 或 SEARCH
-                                                currentFragmentIndex = idx;
-                                            }
-                                        }
-                                    }
-                                    // 检查是否完成
-                                    if (item.p === 'status' && item.v === 'FINISHED') {
-                                        isComplete = true;
-                                    }
-                                }
-                            }
-                        } catch {
-                            // 忽略解析错误
-                        }
+                    const parser = createResponseParser();
+                    for (const line of (await response.text()).split('\n')) {
+                        parser.parseLine(line);
                     }
-
-                    return isComplete;
+                    result = parser;
+                    return parser.complete;
                 } catch {
                     return false;
                 }
-            }, { timeout: 180000 });
+            }, { timeout: 180000 }), context.signal);
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) return pageError;
             throw e;
         }
 
+        const textContent = result.text;
         if (!textContent || textContent.trim() === '') {
             logger.warn('适配器', '回复内容为空', meta);
             return { error: '回复内容为空' };
@@ -253,7 +273,8 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         logger.info('适配器', `已获取文本内容 (${textContent.length} 字符)`, meta);
         logger.info('适配器', '文本生成完成，任务完成', meta);
-        return { text: textContent.trim() };
+        const reasoning = result.reasoning.trim();
+        return reasoning ? { text: textContent.trim(), reasoning } : { text: textContent.trim() };
 
     } catch (err) {
         // 顶层错误处理
@@ -263,6 +284,9 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.error('适配器', '生成任务失败', { ...meta, error: err.message });
         return { error: `生成任务失败: ${err.message}` };
     } finally {
+        streamWatcher?.stop();
+        reasoningWatcher?.stop();
+        streamTap?.stop();
         // 任务结束，将鼠标移至安全区域
         await moveMouseAway(page);
     }
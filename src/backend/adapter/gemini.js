@@ -15,7 +15,8 @@ import {
     moveMouseAway,
     waitForInput,
     gotoWithCheck,
-    waitApiResponse
+    waitApiResponse,
+    createResponseCollector
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
@@ -30,7 +31,7 @@ const TARGET_URL = 'https://gemini.google.com/app?hl=en';
  * @param {string[]} imgPaths - 图片路径数组
  * @param {string} [modelId] - 模型 ID (此适配器未使用)
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{image?: string, error?: string}>}
+ * @returns {Promise<{image?: string, images?: string[], error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
     const { page } = context;
@@ -112,6 +113,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             streamApiResponse = await waitApiResponse(page, {
                 urlMatch: 'assistant.lamda.BardFrontendService/StreamGenerate',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 meta
@@ -138,6 +140,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             try {
                 videoResponse = await waitApiResponse(page, {
                     urlMatch: 'contribution.usercontent.google.com/download',
+                    signal: context.signal,
                     urlContains: 'filename=video.mp4',
                     method: 'GET',
                     timeout: 180000,  // 视频生成可能更慢
@@ -163,10 +166,16 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             logger.info('适配器', '生成请求成功，等待图片...', meta);
 
             let imageResponse;
+            // 一次可能生成多张图片，同时收集所有图片请求
+            const collector = createResponseCollector(page, {
+                urlMatch: 'googleusercontent.com/rd-gg-dl',
+                urlContains: '=s1024-rj'
+            });
             try {
                 // 先启动监听器，再滚动触发懒加载，避免错过请求
                 const imageResponsePromise = waitApiResponse(page, {
                     urlMatch: 'googleusercontent.com/rd-gg-dl',
+                    signal: context.signal,
                     urlContains: '=s1024-rj',
                     method: 'GET',
                     timeout: 60000,
@@ -174,23 +183,44 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 });
 
                 // 等待图片元素出现，然后在chat-history上滚动触发懒加载
-                await page.locator('generated-image').waitFor({ state: 'attached', timeout: 120000 });
+                const imageLocator = page.locator('generated-image');
+                await imageLocator.first().waitFor({ state: 'attached', timeout: 120000 });
                 await safeScroll(page, '#chat-history', { deltaY: 700 });
                 imageResponse = await imageResponsePromise;
+
+                // 等待其余图片加载
+                const imageCount = await imageLocator.count();
+                if (imageCount > 1) {
+                    logger.info('适配器', `检测到 ${imageCount} 张图片，等待全部加载...`, meta);
+                    await collector.waitForCount(imageCount, {
+                        onPoll: (loaded) => imageLocator.nth(loaded).scrollIntoViewIfNeeded({ timeout: 2000 })
+                    });
+                }
             } catch (e) {
                 const pageError = normalizePageError(e, meta);
                 if (pageError) return pageError;
                 throw e;
+            } finally {
+                collector.stop();
             }
 
             // 获取图片数据
-            const buffer = await imageResponse.body();
-            const base64 = buffer.toString('base64');
-            const contentType = imageResponse.headers()['content-type'] || 'image/jpeg';
-            const imageData = `data:${contentType};base64,${base64}`;
+            const responses = collector.responses.some(r => r.url() === imageResponse.url())
+                ? collector.responses
+                : [imageResponse, ...collector.responses];
+            const images = [];
+            for (const response of responses) {
+                const buffer = await response.body().catch(() => null);
+                if (!buffer) continue;
+                const contentType = response.headers()['content-type'] || 'image/jpeg';
+                images.push(`data:${contentType};base64,${buffer.toString('base64')}`);
+            }
+            if (images.length === 0) {
+                return { error: '已获取结果，但读取图片数据失败' };
+            }
 
-            logger.info('适配器', '已获取图片，任务完成', meta);
-            return { image: imageData };
+            logger.info('适配器', `已获取 ${images.length} 张图片，任务完成`, meta);
+            return images.length > 1 ? { image: images[0], images } : { image: images[0] };
         }
 
     } catch (err) {
@@ -222,7 +252,7 @@ export const manifest = {
     // 模型列表
     models: [
         { id: 'gemini-3-pro-image-preview', imagePolicy: 'optional' },
-        { id: 'veo-3.1-generate-preview', imagePolicy: 'optional' }
+        { id: 'veo-3.1-generate-preview', imagePolicy: 'optional', type: 'video' }
     ],
 
     // 无需导航处理器
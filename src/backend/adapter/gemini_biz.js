@@ -20,7 +20,8 @@ import {
     isPageAuthLocked,
     waitForInput,
     gotoWithCheck,
-    scrollToElement
+    scrollToElement,
+    createResponseCollector
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
@@ -206,6 +207,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             apiResponse = await waitApiResponse(page, {
                 urlMatch: 'global/widgetStreamAssist',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['modelArmorViolation'],
@@ -228,10 +230,13 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.info('适配器', '已获取结果，正在下载图片...', meta);
 
         let imageResponse;
+        // 一次可能生成多张图片，同时收集所有图片下载请求
+        const collector = createResponseCollector(page, { urlMatch: 'download/v1alpha/projects' });
         try {
             // 先启动监听器，再滚动触发懒加载，避免错过请求
             const imageResponsePromise = waitApiResponse(page, {
                 urlMatch: 'download/v1alpha/projects',
+                signal: context.signal,
                 method: 'GET',
                 timeout: 120000,
                 errorText: ['is unable to reply as the prompt'],
@@ -242,6 +247,16 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             await scrollToElement(page, 'ucs-markdown-image', { timeout: 20000 });
 
             imageResponse = await imageResponsePromise;
+
+            // 等待其余图片加载
+            const imageLocator = page.locator('ucs-markdown-image');
+            const imageCount = await imageLocator.count();
+            if (imageCount > 1) {
+                logger.info('适配器', `检测到 ${imageCount} 张图片，等待全部加载...`, meta);
+                await collector.waitForCount(imageCount, {
+                    onPoll: (loaded) => imageLocator.nth(loaded).scrollIntoViewIfNeeded({ timeout: 2000 })
+                });
+            }
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) {
@@ -251,17 +266,24 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 return pageError;
             }
             throw e;
+        } finally {
+            collector.stop();
         }
 
+        // 首张图片使用 waitApiResponse 返回的响应（已缓存响应体）
+        const responses = [imageResponse, ...collector.responses.filter(r => r.url() !== imageResponse.url())];
+        const images = [];
+        for (const response of responses) {
+            const base64 = await response.text().catch(() => null);
+            if (!base64) continue;
+
+            // 从响应头获取内容类型
+            const contentType = response.headers()['x-goog-safety-content-type'] || 'image/png';
+            logger.info('适配器', `已下载内容，类型: ${contentType}`, meta);
+            images.push(`data:${contentType};base64,${base64}`);
+        }
 
-        const base64 = await imageResponse.text();
-
-        // 从响应头获取内容类型
-        const contentType = imageResponse.headers()['x-goog-safety-content-type'] || 'image/png';
-        logger.info('适配器', `已下载内容，类型: ${contentType}`, meta);
-
-        const dataUri = `data:${contentType};base64,${base64}`;
-        return { image: dataUri };
+        return images.length > 1 ? { image: images[0], images } : { image: images[0] };
 
 
     } catch (err) {
@@ -306,7 +328,7 @@ export const manifest = {
     // 模型列表
     models: [
         { id: 'gemini-3-pro-image-preview', imagePolicy: 'optional' },
-        { id: 'veo-3.1-generate-preview', imagePolicy: 'optional' },
+        { id: 'veo-3.1-generate-preview', imagePolicy: 'optional', type: 'video' },
     ],
 
     // 导航处理器
@@ -25,6 +25,18 @@ import { logger } from '../../utils/logger.js';
 
 // Gemini Biz 输入框选择器
 const INPUT_SELECTOR = 'ucs-prosemirror-editor .ProseMirror';
+// 可上传的附件类型 (文档、表格)
+const FILE_TYPES = [
+    'application/pdf',
+    'text/*',
+    'application/json',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
 
 /**
  * 处理账户选择页面跳转
@@ -213,6 +225,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             apiResponse = await waitApiResponse(page, {
                 urlMatch: 'global/widgetStreamAssist',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['modelArmorViolation'],
@@ -311,6 +324,9 @@ export const manifest = {
     displayName: 'Gemini Business (文本生成)',
     description: '使用 Gemini Business 企业版生成文本，支持 Grounding 搜索模式。需要提供入口 URL 并已登录企业账户 (每个谷歌账户首次可以在官网点击免费试用获取30天使用资格)，与 gemini_biz 共享配置。',
 
+    // 输入长度上限 (字符数)
+    inputLimit: 30000,
+
     // 配置表单定义（与 gemini_biz 共享配置）
     configSchema: [
         {
@@ -330,14 +346,14 @@ export const manifest = {
 
     // 模型列表
     models: [
-        { id: 'gemini-3-pro', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-2.5-pro', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-3-flash-preview', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-2.5-flash', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-3-pro-grounding', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-2.5-pro-grounding', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-2.5-flash-grounding', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-3-flash-preview-grounding', imagePolicy: 'optional', type: 'text' },
+        { id: 'gemini-3-pro', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-2.5-pro', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-3-flash-preview', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-2.5-flash', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-3-pro-grounding', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-2.5-pro-grounding', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-2.5-flash-grounding', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-3-flash-preview-grounding', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
     ],
 
     // 导航处理器
@@ -13,31 +13,55 @@ import {
     normalizeHttpError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck,
-    waitApiResponse
+    openConversation,
+    getConversationUrl,
+    waitApiResponse,
+    watchStreamText,
+    watchStreamResponse
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://gemini.google.com/app?hl=en';
+// 会话地址格式 (多轮会话模式)
+const CONVERSATION_PATTERN = /^https:\/\/gemini\.google\.com\/app\/[a-f0-9]+/;
+// 回复内容渲染区域 (上游响应流不可用时用于流式增量)
+const REPLY_SELECTOR = 'message-content .markdown';
+// 生成接口
+const STREAM_URL_MATCH = 'assistant.lamda.BardFrontendService/StreamGenerate';
+// 可上传的附件类型 (文档、表格、音频)
+const FILE_TYPES = [
+    'application/pdf',
+    'text/*',
+    'application/json',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'audio/*'
+];
 
 /**
  * 执行文本生成任务
- * @param {object} context - 浏览器上下文 { page, config }
+ * @param {object} context - 浏览器上下文 { page, config, onDelta, session }
  * @param {string} prompt - 提示词
  * @param {string[]} imgPaths - 图片路径数组
  * @param {string} [modelId] - 模型 ID (此适配器未使用)
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{text?: string, error?: string}>}
+ * @returns {Promise<{text?: string, conversationUrl?: string|null, error?: string, sessionLost?: boolean}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, onDelta, session } = context;
     const inputLocator = page.getByRole('textbox');
     const sendBtnLocator = page.getByRole('button', { name: 'Send message' });
+    let streamWatcher = null;
+    let streamTap = null;
 
     try {
-        logger.info('适配器', '开启新会话...', meta);
-        await gotoWithCheck(page, TARGET_URL);
+        const lost = await openConversation(page, TARGET_URL, session, CONVERSATION_PATTERN, meta);
+        if (lost) return lost;
 
         // 1. 等待输入框加载
         await waitForInput(page, inputLocator, { click: false });
@@ -158,17 +182,36 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             }
         }
 
-        // 5. 点击发送
+        // 5. 监听上游响应流：每个数据帧携带截至当前的完整回复，推送新增部分
+        if (onDelta) {
+            let streamed = '';
+            streamTap = await watchStreamResponse(page, STREAM_URL_MATCH, (line) => {
+                const text = getFrameText(line);
+                if (text.length > streamed.length && text.startsWith(streamed)) {
+                    onDelta(text.slice(streamed.length));
+                    streamed = text;
+                }
+            });
+        }
+
+        // 继续已有会话时页面上已有历史回复，提交前记录数量，只监听之后新增的回复
+        const existingReplies = onDelta && !streamTap?.active ? await page.locator(REPLY_SELECTOR).count() : 0;
+
+        // 6. 点击发送
         logger.debug('适配器', '点击发送...', meta);
         await safeClick(page, sendBtnLocator, { bias: 'button' });
 
         logger.info('适配器', '等待生成结果...', meta);
+        if (!streamTap?.active) {
+            streamWatcher = watchStreamText(page, REPLY_SELECTOR, onDelta, { existing: existingReplies });
+        }
 
-        // 5. 等待 API 响应
+        // 7. 等待 API 响应
         let apiResponse;
         try {
             apiResponse = await waitApiResponse(page, {
-                urlMatch: 'assistant.lamda.BardFrontendService/StreamGenerate',
+                urlMatch: STREAM_URL_MATCH,
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 meta
@@ -186,7 +229,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             return { error: `API 返回错误: ${httpError.error}` };
         }
 
-        // 6. 解析响应体
+        // 8. 解析响应体
         const bodyBuffer = await apiResponse.body();
         logger.debug('适配器', `收到响应体，字节数: ${bodyBuffer.length}`, meta);
 
@@ -194,7 +237,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         if (text) {
             logger.info('适配器', `解析成功，文本长度: ${text.length}`, meta);
-            return { text };
+            return { text, conversationUrl: await getConversationUrl(page, CONVERSATION_PATTERN) };
         } else {
             return { error: '未能从响应中提取文本' };
         }
@@ -206,6 +249,8 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.error('适配器', '生成任务失败', { ...meta, error: err.message });
         return { error: `生成任务失败: ${err.message}` };
     } finally {
+        streamWatcher?.stop();
+        streamTap?.stop();
         await moveMouseAway(page);
     }
 }
@@ -218,15 +263,18 @@ export const manifest = {
     displayName: 'Google Gemini (文本生成)',
     description: '使用 Google Gemini 官网生成文本，支持多模型切换和图片上传。需要已登录的 Google 账户。',
 
+    // 输入长度上限（字符数），超出时上下文改为文本附件上传
+    inputLimit: 30000,
+
     getTargetUrl(config, workerConfig) {
         return TARGET_URL;
     },
 
     models: [
-        { id: 'gemini-2.0-flash-exp', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-exp-1206', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-3-pro', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-3-flash', imagePolicy: 'optional', type: 'text' }
+        { id: 'gemini-2.0-flash-exp', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-exp-1206', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-3-pro', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES },
+        { id: 'gemini-3-flash', imagePolicy: 'optional', type: 'text', fileTypes: FILE_TYPES }
     ],
 
     navigationHandlers: [],
@@ -411,13 +459,10 @@ function collectRcTextsDeep(root) {
 }
 
 /**
- * 从响应体 Buffer 中提取最终 AI 文本
- * @param {Buffer} bodyBuffer - 响应体 Buffer
+ * 在 payload 中选出最长的回复文本
+ * @param {Array} payloads - extractPayloads 的结果
  */
-function getFinalAiTextFromResponse(bodyBuffer) {
-    const frames = parseLenFramedResponse(bodyBuffer);
-    const payloads = extractPayloads(frames);
-
+function pickLongestText(payloads) {
     let best = "";
     for (const payload of payloads) {
         const m = collectRcTextsDeep(payload);
@@ -426,4 +471,27 @@ function getFinalAiTextFromResponse(bodyBuffer) {
         }
     }
     return best;
+}
+
+/**
+ * 从响应体 Buffer 中提取最终 AI 文本
+ * @param {Buffer} bodyBuffer - 响应体 Buffer
+ */
+function getFinalAiTextFromResponse(bodyBuffer) {
+    const frames = parseLenFramedResponse(bodyBuffer);
+    return pickLongestText(extractPayloads(frames));
+}
+
+/**
+ * 从响应流的一行中提取截至当前的回复文本（长度行、XSSI 前缀与跨行的帧返回空字符串）
+ * @param {string} line - 响应行
+ */
+function getFrameText(line) {
+    let frame;
+    try {
+        frame = JSON.parse(line);
+    } catch {
+        return "";
+    }
+    return Array.isArray(frame) ? pickLongestText(extractPayloads([frame])) : "";
 }
\ No newline at end of file
@@ -55,8 +55,10 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
     const modelConfig = manifest.models.find(m => m.id === modelId) || manifest.models[0];
     let { codeName, imageSize } = modelConfig;
 
-    // 如果 imageSize 为 '0'，根据第一张图片动态决定尺寸
-    if (imageSize === '0' && imgPaths && imgPaths.length > 0) {
+    // 请求指定了宽高比时优先使用；否则 imageSize 为 '0' 时根据第一张图片动态决定尺寸
+    if (context.imageOptions?.aspectRatio) {
+        imageSize = context.imageOptions.aspectRatio;
+    } else if (imageSize === '0' && imgPaths && imgPaths.length > 0) {
         imageSize = await detectImageAspect(imgPaths[0]);
         logger.info('适配器', `根据图片检测尺寸: ${imageSize}`, meta);
     } else if (imageSize === '0') {
@@ -165,6 +167,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 // 5.3 先启动上传监听，再点击 crop 按钮
                 const uploadResponsePromise = waitApiResponse(page, {
                     urlMatch: 'v1:uploadUserImage',
+                    signal: context.signal,
                     method: 'POST',
                     timeout: 60000
                 });
@@ -193,6 +196,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.debug('适配器', '启动 API 监听...', meta);
         const apiResponsePromise = waitApiResponse(page, {
             urlMatch: 'flowMedia:batchGenerateImages',
+            signal: context.signal,
             method: 'POST',
             timeout: 120000,
             meta
@@ -208,18 +212,20 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.info('适配器', '等待生成结果...', meta);
         const apiResponse = await apiResponsePromise;
 
-        // 10. 解析响应获取图片 URL
-        let imageUrl;
+        // 10. 解析响应获取图片 URL (一次可能生成多张)
+        let imageUrls;
         try {
             const responseBody = await apiResponse.json();
-            imageUrl = responseBody?.media?.[0]?.image?.generatedImage?.fifeUrl;
+            imageUrls = (responseBody?.media || [])
+                .map(item => item?.image?.generatedImage?.fifeUrl)
+                .filter(Boolean);
 
-            if (!imageUrl) {
+            if (imageUrls.length === 0) {
                 logger.error('适配器', '响应中没有图片 URL', meta);
                 return { error: '生成成功但响应中没有图片 URL' };
             }
 
-            logger.info('适配器', '已获取图片链接', meta);
+            logger.info('适配器', `已获取 ${imageUrls.length} 个图片链接`, meta);
         } catch (e) {
             logger.error('适配器', '解析响应失败', { ...meta, error: e.message });
             return { error: `解析响应失败: ${e.message}` };
@@ -227,15 +233,25 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         // 11. 下载图片并转为 base64
         logger.info('适配器', '正在下载图片...', meta);
-        const downloadResult = await useContextDownload(imageUrl, page);
+        const images = [];
+        let downloadError = null;
+        for (const imageUrl of imageUrls) {
+            const downloadResult = await useContextDownload(imageUrl, page);
+            if (downloadResult.error) {
+                logger.error('适配器', downloadResult.error, meta);
+                downloadError = downloadResult;
+                continue;
+            }
+            images.push(downloadResult.image);
+        }
 
-        if (downloadResult.error) {
-            logger.error('适配器', downloadResult.error, meta);
-            return downloadResult;
+        // 部分下载失败时返回已下载的图片
+        if (images.length === 0) {
+            return downloadError;
         }
 
-        logger.info('适配器', '图片生成完成', meta);
-        return { image: downloadResult.image };
+        logger.info('适配器', `图片生成完成 (${images.length} 张)`, meta);
+        return images.length > 1 ? { image: images[0], images } : { image: images[0] };
 
     } catch (err) {
         // 顶层错误处理
@@ -265,11 +281,11 @@ export const manifest = {
 
     // 模型列表
     models: [
-        // 根据上传的第一张图片动态获取图片比例
-        { id: 'gemini-3-pro-image-preview', codeName: '🍌 Nano Banana Pro', imageSize: '0', imagePolicy: 'optional' },
-        { id: 'gemini-2.5-flash-image-preview', codeName: '🍌 Nano Banana', imageSize: '0', imagePolicy: 'optional' },
-        { id: 'imagen-4', codeName: 'Imagen 4', imageSize: '0', imagePolicy: 'optional' },
-        // 指定图片比例
+        // 图片比例由请求的 aspect_ratio / size 参数决定，未指定时根据上传的第一张图片动态获取
+        { id: 'gemini-3-pro-image-preview', codeName: '🍌 Nano Banana Pro', imageSize: '0', imagePolicy: 'optional', imageOptions: { aspectRatios: ['16:9', '9:16'] } },
+        { id: 'gemini-2.5-flash-image-preview', codeName: '🍌 Nano Banana', imageSize: '0', imagePolicy: 'optional', imageOptions: { aspectRatios: ['16:9', '9:16'] } },
+        { id: 'imagen-4', codeName: 'Imagen 4', imageSize: '0', imagePolicy: 'optional', imageOptions: { aspectRatios: ['16:9', '9:16'] } },
+        // 兼容旧版本的固定比例模型 ID
         { id: 'gemini-3-pro-image-preview-landspace', codeName: '🍌 Nano Banana Pro', imageSize: '16:9', imagePolicy: 'optional' },
         { id: 'gemini-3-pro-image-preview-portrait', codeName: '🍌 Nano Banana Pro', imageSize: '9:16', imagePolicy: 'optional' },
         { id: 'gemini-2.5-flash-image-preview-landspace', codeName: '🍌 Nano Banana', imageSize: '16:9', imagePolicy: 'optional' },
@@ -116,6 +116,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             response = await waitApiResponse(page, {
                 urlMatch: '/nextjs-api/stream',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 meta
@@ -15,7 +15,10 @@ import {
     normalizeHttpError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck
+    openConversation,
+    getConversationUrl,
+    watchStreamText,
+    watchStreamResponse
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
@@ -23,19 +26,46 @@ import { logger } from '../../utils/logger.js';
 // 使用 Cloudflare Worker 作为 LMArena 入口代理
 const TARGET_URL = 'https://lmarena.ai/c/new?mode=direct';
 const TARGET_URL_SEARCH = 'https://lmarena.ai/zh/c/new?mode=direct&chat-modality=search';
+// 会话地址格式 (多轮会话模式)
+const CONVERSATION_PATTERN = /^https:\/\/lmarena\.ai\/(?:[a-z]{2}\/)?c\/(?!new\b)[\w-]+/;
+// 回复内容渲染区域 (上游响应流不可用时用于流式增量)
+const REPLY_SELECTOR = '.prose';
+// 生成接口
+const STREAM_URL_MATCH = '/nextjs-api/stream';
+
+/**
+ * 解析文本流中的一行
+ * 格式示例:
+ * ag:"Thinking..."   (思考模型的思考过程)
+ * a0:"Hello"
+ * a0:" World"
+ * d:{"finishReason":"stop"}
+ * @param {string} line - 响应行
+ * @returns {{text?: string, reasoning?: string}|null} 非文本行返回 null
+ * @throws {SyntaxError} 文本块不是合法的 JSON 字符串
+ */
+function parseStreamLine(line) {
+    const isText = line.startsWith('a0:');
+    if (!isText && !line.startsWith('ag:')) return null;
+    // line.substring(3) 应该是 JSON 字符串，如 "Hello"
+    const part = JSON.parse(line.substring(3));
+    return isText ? { text: part } : { reasoning: part };
+}
 
 /**
  * 执行生图任务
- * @param {object} context - 浏览器上下文 { page, client }
+ * @param {object} context - 浏览器上下文 { page, client, onDelta, onReasoningDelta, session }
  * @param {string} prompt - 提示词
  * @param {string[]} imgPaths - 图片路径数组
  * @param {string} [modelId] - 指定的模型 ID (可选)
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{image?: string, text?: string, error?: string}>} 生成结果
+ * @returns {Promise<{image?: string, text?: string, reasoning?: string, conversationUrl?: string|null, error?: string, sessionLost?: boolean}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page, config } = context;
+    const { page, config, onDelta, onReasoningDelta, session } = context;
     const textareaSelector = 'textarea';
+    let streamWatcher = null;
+    let streamTap = null;
 
     // Worker 已验证，直接解析模型配置
     const modelConfig = manifest.models.find(m => m.id === modelId);
@@ -43,8 +73,9 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
     const targetUrl = search ? TARGET_URL_SEARCH : TARGET_URL;
 
     try {
-        logger.info('适配器', `开启新会话... (搜索模式: ${!!search})`, meta);
-        await gotoWithCheck(page, targetUrl);
+        logger.debug('适配器', `搜索模式: ${!!search}`, meta);
+        const lost = await openConversation(page, targetUrl, session, CONVERSATION_PATTERN, meta);
+        if (lost) return lost;
 
         // 1. 等待输入框加载
         await waitForInput(page, textareaSelector, { click: false });
@@ -64,7 +95,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         if (codeName) {
             logger.debug('适配器', `准备拦截请求`, meta);
-            await page.route(url => url.href.includes('/nextjs-api/stream'), async (route) => {
+            await page.route(url => url.href.includes(STREAM_URL_MATCH), async (route) => {
                 const request = route.request();
                 if (request.method() !== 'POST') return route.continue();
 
@@ -83,7 +114,23 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             });
         }
 
-        // 5. 提交表单 (submit)
+        // 5. 监听上游响应流，直接转发原始文本增量
+        if (onDelta || onReasoningDelta) {
+            streamTap = await watchStreamResponse(page, STREAM_URL_MATCH, (line) => {
+                try {
+                    const part = parseStreamLine(line);
+                    if (part?.text) onDelta?.(part.text);
+                    if (part?.reasoning) onReasoningDelta?.(part.reasoning);
+                } catch {
+                    // 不完整或非 JSON 的文本块不推送，最终结果以完整响应为准
+                }
+            });
+        }
+
+        // 继续已有会话时页面上已有历史回复，提交前记录数量，只监听之后新增的回复
+        const existingReplies = onDelta && !streamTap?.active ? await page.locator(REPLY_SELECTOR).count() : 0;
+
+        // 6. 提交表单 (submit)
         logger.debug('适配器', '点击发送...', meta);
         await submit(page, {
             btnSelector: 'button[type="submit"]',
@@ -92,12 +139,16 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         });
 
         logger.info('适配器', '等待生成结果...', meta);
+        if (!streamTap?.active) {
+            streamWatcher = watchStreamText(page, REPLY_SELECTOR, onDelta, { existing: existingReplies });
+        }
 
-        // 6. 等待 API 响应 (waitApiResponse)
+        // 7. 等待 API 响应 (waitApiResponse)
         let response;
         try {
             response = await waitApiResponse(page, {
-                urlMatch: '/nextjs-api/stream',
+                urlMatch: STREAM_URL_MATCH,
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 meta
@@ -109,41 +160,36 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             throw e;
         }
 
-        // 7. 解析响应结果
+        // 8. 解析响应结果
         const content = await response.text();
 
-        // 8. 检查 HTTP 错误
+        // 9. 检查 HTTP 错误
         const httpError = normalizeHttpError(response, content);
         if (httpError) {
             logger.error('适配器', `请求生成时返回错误: ${httpError.error}`, meta);
             return { error: `请求生成时返回错误: ${httpError.error}` };
         }
 
-        // 9. 解析文本流
-        // 格式示例:
-        // a0:"Hello"
-        // a0:" World"
-        // d:{"finishReason":"stop"}
+        // 10. 解析文本流
         let fullText = '';
+        let reasoning = '';
         const lines = content.split('\n');
 
         for (const line of lines) {
-            if (line.startsWith('a0:')) {
-                try {
-                    // 尝试解析 JSON 字符串内容
-                    // line.substring(3) 应该是 JSON 字符串，如 "Hello"
-                    const textPart = JSON.parse(line.substring(3));
-                    fullText += textPart;
-                } catch (e) {
-                    // 如果解析失败，可能是原生文本或其他格式
-                    logger.warn('适配器', `解析文本块失败: ${line}`, meta);
-                }
+            try {
+                const part = parseStreamLine(line);
+                if (part?.text) fullText += part.text;
+                if (part?.reasoning) reasoning += part.reasoning;
+            } catch (e) {
+                // 如果解析失败，可能是原生文本或其他格式
+                logger.warn('适配器', `解析文本块失败: ${line}`, meta);
             }
         }
 
         if (fullText) {
-            logger.info('适配器', `获取文本成功，长度: ${fullText.length}`, meta);
-            return { text: fullText };
+            logger.info('适配器', `获取文本成功，长度: ${fullText.length}`, { ...meta, reasoning: reasoning.length });
+            const conversationUrl = await getConversationUrl(page, CONVERSATION_PATTERN);
+            return reasoning ? { text: fullText, reasoning, conversationUrl } : { text: fullText, conversationUrl };
         } else {
             logger.warn('适配器', '未解析到有效文本内容', { ...meta, preview: content.substring(0, 150) });
             // 如果没解析到 a0，尝试直接返回原始内容防空
@@ -158,6 +204,9 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.error('适配器', '生成任务失败', { ...meta, error: err.message });
         return { error: `生成任务失败: ${err.message}` };
     } finally {
+        streamWatcher?.stop();
+        streamTap?.stop();
+
         // 清理拦截器
         if (codeName) await page.unroute('**/*').catch(() => { });
 
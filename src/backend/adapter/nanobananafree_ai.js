@@ -72,6 +72,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             response = await waitApiResponse(page, {
                 urlMatch: 'v1/generateContent',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 meta
@@ -13,7 +13,8 @@ import {
     moveMouseAway,
     waitForInput,
     gotoWithCheck,
-    useContextDownload
+    useContextDownload,
+    withAbortSignal
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
@@ -23,7 +24,7 @@ const INPUT_SELECTOR = 'textarea';
 
 /**
  * 执行视频生成任务
- * @param {object} context - 浏览器上下文 { page, config }
+ * @param {object} context - 浏览器上下文 { page, config, onProgress }
  * @param {string} prompt - 提示词
  * @param {string[]} imgPaths - 图片路径数组 (只使用第一张)
  * @param {string} [modelId] - 模型 ID (此适配器未使用)
@@ -31,7 +32,7 @@ const INPUT_SELECTOR = 'textarea';
  * @returns {Promise<{video?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, onProgress } = context;
 
     // 只使用第一张图片
     const singleImgPath = imgPaths && imgPaths.length > 0 ? [imgPaths[0]] : [];
@@ -79,13 +80,15 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         // 因为 drafts 请求在 pending/v2 检测到任务消失后立即出现，需要提前监听
         let draftsResponsePromise = null;
         const startDraftsListener = () => {
-            draftsResponsePromise = page.waitForResponse(async (response) => {
+            draftsResponsePromise = withAbortSignal(page.waitForResponse(async (response) => {
                 const url = response.url();
                 if (!url.includes('project_y/profile/drafts')) return false;
                 if (response.request().method() !== 'GET') return false;
                 if (response.status() !== 200) return false;
                 return true;
-            }, { timeout: 600000 });  // 10 分钟超时
+            }, { timeout: 600000 }), context.signal);  // 10 分钟超时
+            // 等待阶段出错时不会再 await 该监听，避免未处理的 rejection
+            draftsResponsePromise.catch(() => { });
         };
 
         // 5. 点击 Create video 按钮并监听 nf/create 请求
@@ -93,13 +96,13 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         const createBtn = page.getByRole('button', { name: 'Create video' });
 
         // 设置 create 请求监听
-        const createResponsePromise = page.waitForResponse(async (response) => {
+        const createResponsePromise = withAbortSignal(page.waitForResponse(async (response) => {
             const url = response.url();
             if (!url.includes('nf/create')) return false;
             if (response.request().method() !== 'POST') return false;
             if (response.status() !== 200) return false;
             return true;
-        }, { timeout: 60000 });
+        }, { timeout: 60000 }), context.signal);
 
         await safeClick(page, createBtn, { bias: 'button' });
 
@@ -132,13 +135,13 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         while (!taskCompleted && (Date.now() - startTime) < maxWaitTime) {
             try {
-                const pendingResponse = await page.waitForResponse(async (response) => {
+                const pendingResponse = await withAbortSignal(page.waitForResponse(async (response) => {
                     const url = response.url();
                     if (!url.includes('nf/pending/v2')) return false;
                     if (response.request().method() !== 'GET') return false;
                     if (response.status() !== 200) return false;
                     return true;
-                }, { timeout: 30000 });
+                }, { timeout: 30000 }), context.signal);
 
                 const pendingBody = await pendingResponse.json();
 
@@ -149,6 +152,9 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                     const status = taskInList.status;
                     logger.debug('适配器', `任务状态: ${status}`, meta);
                     // preprocessing, queued, running, processing 都表示进行中
+                    if (typeof taskInList.progress_pct === 'number') {
+                        onProgress?.(taskInList.progress_pct * 100);
+                    }
                 } else {
                     // 任务不在列表中，说明已完成
                     logger.info('适配器', '任务已完成，等待获取视频链接...', meta);
@@ -239,7 +245,7 @@ export const manifest = {
 
     // 模型列表
     models: [
-        { id: 'sora-2', imagePolicy: 'optional' }
+        { id: 'sora-2', imagePolicy: 'optional', type: 'video' }
     ],
 
     // 无需导航处理器
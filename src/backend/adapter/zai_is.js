@@ -194,9 +194,9 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             }
         }
 
-        // 6. 设置图片大小 (如果模型配置了 imageSize)
-        if (modelConfig?.imageSize) {
-            const targetSize = modelConfig.imageSize;  // 例如 "1K", "2K", "4K"
+        // 6. 设置图片大小 (请求参数优先，其次为模型配置的 imageSize)
+        const targetSize = context.imageOptions?.resolution || modelConfig?.imageSize;  // 例如 "1K", "2K", "4K"
+        if (targetSize) {
             logger.debug('适配器', `正在设置图片大小: ${targetSize}`, meta);
 
             const imageSizeBtn = page.getByRole('button', { name: /^Image Size/ });
@@ -240,6 +240,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             chatsNewResponse = await waitApiResponse(page, {
                 urlMatch: 'v1/chats/new',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 60000,
                 meta
@@ -275,6 +276,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             completionsResponse = await waitApiResponse(page, {
                 urlMatch: 'chat/completions',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['Model is unable to process your request', 'Rate limit reached'],
@@ -311,6 +313,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             completedResponse = await waitApiResponse(page, {
                 urlMatch: 'chat/completed',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['Model is unable to process your request', 'Rate limit reached'],
@@ -397,7 +400,9 @@ export const manifest = {
 
     // 模型列表
     models: [
-        { id: 'gemini-3-pro-image-preview', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '1K' },
+        // 分辨率由请求的 size / quality 参数决定，默认 1K
+        { id: 'gemini-3-pro-image-preview', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '1K', imageOptions: { resolutions: ['1K', '2K', '4K'] } },
+        // 兼容旧版本的固定分辨率模型 ID
         { id: 'gemini-3-pro-image-preview-2k', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '2K' },
         { id: 'gemini-3-pro-image-preview-4k', codeName: 'Nano Banana Pro', imagePolicy: 'optional', imageSize: '4K' },
         { id: 'gemini-2.5-flash-image', codeName: 'Nano Banana', imagePolicy: 'optional' }
@@ -109,21 +109,28 @@ async function handleDiscordAuth(page) {
 }
 
 /**
- * 从 content 中移除开头的 <details> 思考块
+ * 拆分 content 开头的 <details> 思考块与回复正文
  * @param {string} content - 原始内容
- * @returns {string} 处理后的内容
+ * @returns {{text: string, reasoning: string}} 回复正文与思考过程
  */
-function extractTextContent(content) {
-    if (!content) return '';
+function splitReasoning(content) {
+    if (!content) return { text: '', reasoning: '' };
 
     // 匹配开头的 <details type="reasoning" ...>...</details> 块
-    // 使用非贪婪匹配和 dotAll 模式 (s flag)
-    const detailsPattern = /^<details\s+type="reasoning"[^>]*>[\s\S]*?<\/details>\s*/;
-
-    // 移除开头的 details 块，返回剩余内容
-    const result = content.replace(detailsPattern, '').trim();
-
-    return result;
+    // 使用非贪婪匹配，[\s\S] 可跨行
+    const detailsPattern = /^<details\s+type="reasoning"[^>]*>([\s\S]*?)<\/details>\s*/;
+    const match = content.match(detailsPattern);
+    if (!match) return { text: content.trim(), reasoning: '' };
+
+    // 思考块内为 <summary> 标题 + "> " 引用格式的思考内容
+    const reasoning = match[1]
+        .replace(/<summary>[\s\S]*?<\/summary>/, '')
+        .split('\n')
+        .map(line => line.replace(/^>\s?/, ''))
+        .join('\n')
+        .trim();
+
+    return { text: content.slice(match[0].length).trim(), reasoning };
 }
 
 
@@ -134,7 +141,7 @@ function extractTextContent(content) {
  * @param {string[]} imgPaths - 参考图片路径数组
  * @param {string} modelId - 模型 ID
  * @param {object} meta - 日志元数据
- * @returns {Promise<{text?: string, error?: string}>} 生成结果
+ * @returns {Promise<{text?: string, reasoning?: string, error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
     const { page, config } = context;
@@ -221,6 +228,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             chatsNewResponse = await waitApiResponse(page, {
                 urlMatch: 'v1/chats/new',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 60000,
                 meta
@@ -255,6 +263,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             completionsResponse = await waitApiResponse(page, {
                 urlMatch: 'chat/completions',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['Model is unable to process your request', 'Rate limit reached'],
@@ -291,6 +300,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             completedResponse = await waitApiResponse(page, {
                 urlMatch: 'chat/completed',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 errorText: ['Model is unable to process your request', 'Rate limit reached'],
@@ -330,16 +340,16 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
             return { error: '回复内容为空可能触发违规/限流' };
         }
 
-        // 提取文本内容 (移除开头的 <details> 思考块)
-        const textContent = extractTextContent(content);
+        // 拆分开头的 <details> 思考块与文本内容
+        const { text: textContent, reasoning } = splitReasoning(content);
         if (!textContent) {
             logger.warn('适配器', '提取文本内容为空', meta);
             return { error: '提取文本内容为空' };
         }
 
-        logger.info('适配器', `已提取文本内容 (${textContent.length} 字符)`, meta);
+        logger.info('适配器', `已提取文本内容 (${textContent.length} 字符)`, { ...meta, reasoning: reasoning.length });
         logger.info('适配器', '文本生成完成，任务完成', meta);
-        return { text: textContent };
+        return reasoning ? { text: textContent, reasoning } : { text: textContent };
 
     } catch (err) {
         // 顶层错误处理
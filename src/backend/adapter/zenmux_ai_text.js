@@ -29,7 +29,7 @@ const SEND_BUTTON_SELECTOR = '.input-actions-send button';
  * @param {string} prompt - 提示词
  * @param {string[]} imgPaths - 参考图片路径数组
  * @param {string} modelId - 模型 ID
- * @returns {Promise<{text?: string, error?: string}>} 生成结果
+ * @returns {Promise<{text?: string, reasoning?: string, error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
     const { page } = context;
@@ -153,6 +153,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         try {
             apiResponse = await waitApiResponse(page, {
                 urlMatch: 'v1/chat/completions',
+                signal: context.signal,
                 method: 'POST',
                 timeout: 120000,
                 meta
@@ -176,6 +177,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         // 解析 EventStream 格式响应
         let fullText = '';
+        let reasoning = '';
         try {
             const lines = content.split('\n');
 
@@ -197,10 +199,16 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                             for (const choice of parsed.choices) {
                                 const content = choice?.delta?.content;
 
-                                // 只提取有内容的文本（跳过空字符串和思考过程）
+                                // 只提取有内容的文本（跳过空字符串）
                                 if (content && content.trim()) {
                                     fullText += content;
                                 }
+
+                                // 思考过程单独收集
+                                const reasoningPart = choice?.delta?.reasoning_content ?? choice?.delta?.reasoning;
+                                if (typeof reasoningPart === 'string') {
+                                    reasoning += reasoningPart;
+                                }
                             }
                         }
                     } catch (parseErr) {
@@ -215,8 +223,8 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         }
 
         if (fullText) {
-            logger.info('适配器', `获取文本成功，长度: ${fullText.length}`, meta);
-            return { text: fullText };
+            logger.info('适配器', `获取文本成功，长度: ${fullText.length}`, { ...meta, reasoning: reasoning.length });
+            return reasoning ? { text: fullText, reasoning } : { text: fullText };
         } else {
             logger.warn('适配器', '未解析到有效文本内容', { ...meta, preview: content.substring(0, 200) });
             return { error: '未解析到有效文本内容' };
@@ -568,22 +568,27 @@ export function isPageValid(page) {
 /**
  * 创建页面关闭/崩溃监听Promise
  * @param {import('playwright-core').Page} page
+ * @param {AbortSignal} [signal] - 任务取消信号，触发时以 TASK_CANCELLED 拒绝
  * @returns {{promise: Promise, cleanup: Function}}
  */
-export function createPageCloseWatcher(page) {
-    let closeHandler, crashHandler;
+export function createPageCloseWatcher(page, signal) {
+    let closeHandler, crashHandler, abortHandler;
 
     const promise = new Promise((_, reject) => {
         closeHandler = () => reject(new Error('PAGE_CLOSED'));
         crashHandler = () => reject(new Error('PAGE_CRASHED'));
+        abortHandler = () => reject(new Error('TASK_CANCELLED'));
 
         page.once('close', closeHandler);
         page.once('crash', crashHandler);
+        if (signal?.aborted) abortHandler();
+        else signal?.addEventListener('abort', abortHandler, { once: true });
     });
 
     const cleanup = () => {
         if (closeHandler) page.off('close', closeHandler);
         if (crashHandler) page.off('crash', crashHandler);
+        if (abortHandler) signal?.removeEventListener('abort', abortHandler);
     };
 
     return { promise, cleanup };
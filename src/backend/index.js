@@ -5,7 +5,9 @@
  * 对外统一能力：
  * - `initBrowser(cfg)` → 初始化 Pool
  * - `generate(ctx, prompt, imagePaths, modelId, meta)`
- * - `getModels()` / `getImagePolicy(modelKey)` / `getModelType(modelKey)`
+ * - `getModels()` / `getImagePolicy(modelKey)` / `getModelType(modelKey)` / `getImageOptions(modelKey)` / `getFileTypes(modelKey)`
+ * - `getPromptTemplate(modelKey)` - 文本模型的虚拟上下文模板配置
+ * - `getInputLimit(modelKey)` - 文本模型的输入长度上限
  * - `getCookies(workerName, domain)` - 获取指定 Worker 的 Cookies
  */
 
@@ -61,9 +63,9 @@ export function getBackend() {
 
         /**
          * 生成图片
-         * @param {object} ctx - 浏览器上下文 (来自 initBrowser 返回)
+         * @param {object} ctx - 浏览器上下文 (来自 initBrowser 返回，ctx.n > 1 时返回 { results }，ctx.imageOptions 为请求的图片参数，ctx.fileTypes 为附件 MIME 类型)
          * @param {string} prompt - 提示词
-         * @param {string[]} paths - 图片路径
+         * @param {string[]} paths - 图片与附件路径
          * @param {string} modelId - 模型 ID
          * @param {object} meta - 元信息
          */
@@ -100,7 +102,7 @@ export function getBackend() {
         /**
          * 获取模型类型
          * @param {string} modelKey - 模型 key
-         * @returns {string} 'text' | 'image'
+         * @returns {string} 'text' | 'image' | 'video'
          */
         getModelType: (modelKey) => {
             if (!poolManager) {
@@ -109,6 +111,54 @@ export function getBackend() {
             return poolManager.getModelType(modelKey);
         },
 
+        /**
+         * 获取模型的图片参数能力声明
+         * @param {string} modelKey - 模型 key
+         * @returns {object} { aspectRatios?, resolutions?, qualities? }
+         */
+        getImageOptions: (modelKey) => {
+            if (!poolManager) {
+                return {};
+            }
+            return poolManager.getImageOptions(modelKey);
+        },
+
+        /**
+         * 获取模型接受的附件 MIME 类型
+         * @param {string} modelKey - 模型 key
+         * @returns {string[]}
+         */
+        getFileTypes: (modelKey) => {
+            if (!poolManager) {
+                return [];
+            }
+            return poolManager.getFileTypes(modelKey);
+        },
+
+        /**
+         * 获取文本模型的虚拟上下文模板配置
+         * @param {string} modelKey - 模型 key
+         * @returns {string|object|null} 预设名或模板对象，未配置时为 null
+         */
+        getPromptTemplate: (modelKey) => {
+            if (!poolManager) {
+                return null;
+            }
+            return poolManager.getPromptTemplate(modelKey);
+        },
+
+        /**
+         * 获取文本模型的输入长度上限
+         * @param {string} modelKey - 模型 key
+         * @returns {number} 字符数，0 表示不限制
+         */
+        getInputLimit: (modelKey) => {
+            if (!poolManager) {
+                return 0;
+            }
+            return poolManager.getInputLimit(modelKey);
+        },
+
         /**
          * 获取 Cookies
          * @param {string} [workerName] - Worker 名称
@@ -4,7 +4,7 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import { registry } from '../registry.js';
+import { registry, mergeImageCapabilities } from '../registry.js';
 import { createStrategySelector } from '../strategies/index.js';
 import { executeWithFailover } from '../strategies/failover.js';
 import { normalizeError } from '../utils/error.js';
@@ -22,6 +22,8 @@ export class PoolManager {
         this.workers = [];
         this.strategy = config.backend.pool.strategy || 'least_busy';
         this.strategySelector = createStrategySelector(this.strategy);
+        // 模型别名: 别名 -> 按优先级排列的 adapter/model 目标
+        this.aliases = config.backend.aliases || {};
         this.initialized = false;
     }
 
@@ -159,18 +161,114 @@ export class PoolManager {
 
     /**
      * 分发生图任务（支持故障转移）
+     * ctx.n > 1 时生成多个结果，返回 { results }
      */
     async generate(ctx, prompt, paths, modelId, meta) {
-        const failoverConfig = this.config.backend?.pool?.failover || {};
-        const failoverEnabled = failoverConfig.enabled !== false;
-        const maxRetries = failoverConfig.maxRetries || 2;
+        if (this.aliases[modelId]) {
+            return this._generateAlias(ctx, prompt, paths, modelId, meta);
+        }
+        const n = ctx.n || 1;
+        if (n > 1) {
+            return this._generateMany(ctx, n, prompt, paths, modelId, meta);
+        }
+        return this._generateOnce(ctx, prompt, paths, modelId, meta);
+    }
 
-        let candidates = this.workers.filter(w => w.supports(modelId));
+    /**
+     * 按别名的目标顺序生成：目标失败或没有空闲 Worker 时尝试下一个目标模型
+     * 模板与首个目标不同的目标使用 ctx.targetPrompts 中单独构建的提示词与上传文件；结果中的 model 为实际完成请求的目标
+     * @private
+     */
+    async _generateAlias(ctx, prompt, paths, alias, meta) {
+        const targets = this.aliases[alias];
+
+        // 多轮会话只能在原适配器的目标上继续
+        if (ctx.session) {
+            const target = targets.find(t => t.split('/', 2)[0] === ctx.session.adapter);
+            if (!target) {
+                return { error: `别名 ${alias} 中没有 ${ctx.session.adapter} 的目标`, sessionLost: true };
+            }
+            ctx.onModel?.(target);
+            const result = await this._generateOnce(ctx, prompt, paths, target, meta);
+            return result.error ? result : { ...result, model: target };
+        }
 
+        const available = targets.filter(t => this._getCandidates(t, paths, ctx.imageOptions, ctx.fileTypes).length > 0);
+        if (available.length === 0) {
+            return { error: `别名 ${alias} 没有可用的目标模型: ${targets.join(', ')}` };
+        }
+
+        // 有空闲 Worker 的目标优先，全部忙碌的目标保持原顺序排在后面
+        const isIdle = (target) => this._getCandidates(target, paths, ctx.imageOptions, ctx.fileTypes).some(w => w.busyCount === 0);
+        const ordered = [...available.filter(isIdle), ...available.filter(t => !isIdle(t))];
+
+        let lastResult = null;
+        for (const target of ordered) {
+            // 任务已取消或失败的目标已推送增量时不再尝试下一个目标
+            if (lastResult && (ctx.signal?.aborted || ctx.hasStreamed?.())) break;
+
+            logger.info('工作池', `别名 ${alias} -> ${target}`, meta);
+            ctx.onModel?.(target);
+            const n = ctx.n || 1;
+            const variant = ctx.targetPrompts?.[target];
+            const targetPrompt = variant ? variant.prompt : prompt;
+            const targetPaths = variant ? variant.paths : paths;
+            const result = n > 1
+                ? await this._generateMany(ctx, n, targetPrompt, targetPaths, target, meta)
+                : await this._generateOnce(ctx, targetPrompt, targetPaths, target, meta);
+            if (!result.error) {
+                return { ...result, model: target };
+            }
+
+            lastResult = result;
+            if (target !== ordered.at(-1) && !ctx.signal?.aborted && !ctx.hasStreamed?.()) {
+                logger.warn('工作池', `别名目标 ${target} 失败，尝试下一个目标...`, { error: result.error, ...meta });
+            }
+        }
+
+        return { ...lastResult, error: `别名 ${alias} 的所有目标都失败: ${lastResult.error}` };
+    }
+
+    /**
+     * 生成多个结果：分发到多个 Worker 并行执行，Worker 不足时在同一 Worker 上顺序执行
+     * @private
+     */
+    async _generateMany(ctx, n, prompt, paths, modelId, meta) {
+        const candidates = this._getCandidates(modelId, paths, ctx.imageOptions, ctx.fileTypes);
         if (candidates.length === 0) {
-            return { error: `没有 Worker 支持模型: ${modelId}` };
+            return { error: this._noCandidateError(modelId, ctx.imageOptions, ctx.fileTypes) };
         }
 
+        // 每个并行通道优先使用一个固定的 Worker，通道内顺序生成
+        const lanes = this.strategySelector.sort(candidates).slice(0, n);
+        const subCtx = { ...ctx, n: 1 };
+        logger.info('工作池', `生成 ${n} 个结果，分发至 ${lanes.length} 个 Worker`, meta);
+
+        const results = new Array(n).fill(null);
+        await Promise.all(lanes.map(async (worker, lane) => {
+            for (let i = lane; i < n; i += lanes.length) {
+                if (ctx.signal?.aborted) return;
+                results[i] = await this._generateOnce(subCtx, prompt, paths, modelId, { ...meta, choice: i }, worker);
+            }
+        }));
+
+        const succeeded = results.filter(r => r && !r.error);
+        if (succeeded.length === 0) {
+            return results.find(r => r?.error) || { error: '任务已取消 (客户端已断开)', retryable: false };
+        }
+        if (succeeded.length < n) {
+            logger.warn('工作池', `部分结果生成失败 (${succeeded.length}/${n})`, meta);
+        }
+        return { results: succeeded };
+    }
+
+    /**
+     * 获取支持指定模型的候选 Worker（请求包含图片时优先支持图片输入的 Worker）
+     * @private
+     */
+    _getCandidates(modelId, paths, imageOptions = null, fileTypes = null) {
+        let candidates = this.workers.filter(w => w.supports(modelId, imageOptions, fileTypes));
+
         // 如果请求包含图片，优先选择 imagePolicy 为 optional 的 Worker
         const hasImages = paths && paths.length > 0;
         if (hasImages && candidates.length > 1) {
@@ -186,8 +284,46 @@ export class PoolManager {
                 logger.warn('工作池', `请求包含图片，但没有 Worker 的 imagePolicy 为 optional`);
             }
         }
+        return candidates;
+    }
+
+    /**
+     * 构造无可用 Worker 时的错误消息
+     * @private
+     */
+    _noCandidateError(modelId, imageOptions, fileTypes) {
+        if (fileTypes?.length && this.workers.some(w => w.supports(modelId, imageOptions))) {
+            return `没有 Worker 能为模型 ${modelId} 上传该类型的附件: ${fileTypes.join(', ')}`;
+        }
+        if (imageOptions && this.workers.some(w => w.supports(modelId))) {
+            return `没有 Worker 能以指定的图片参数生成模型 ${modelId}: ${JSON.stringify(imageOptions)}`;
+        }
+        return `没有 Worker 支持模型: ${modelId}`;
+    }
+
+    /**
+     * 执行单次生成（支持故障转移）
+     * @param {Worker} [preferred] - 优先使用的 Worker（多结果并行时固定通道）
+     * @private
+     */
+    async _generateOnce(ctx, prompt, paths, modelId, meta, preferred) {
+        const failoverConfig = this.config.backend?.pool?.failover || {};
+        const failoverEnabled = failoverConfig.enabled !== false;
+        const maxRetries = failoverConfig.maxRetries || 2;
+
+        if (ctx.session) {
+            return this._generateInSession(ctx, prompt, paths, modelId, meta);
+        }
 
-        const sortedCandidates = this.strategySelector.sort(candidates);
+        const candidates = this._getCandidates(modelId, paths, ctx.imageOptions, ctx.fileTypes);
+        if (candidates.length === 0) {
+            return { error: this._noCandidateError(modelId, ctx.imageOptions, ctx.fileTypes) };
+        }
+
+        let sortedCandidates = this.strategySelector.sort(candidates);
+        if (preferred && sortedCandidates.includes(preferred)) {
+            sortedCandidates = [preferred, ...sortedCandidates.filter(w => w !== preferred)];
+        }
 
         if (!failoverEnabled) {
             const worker = sortedCandidates[0];
@@ -204,6 +340,8 @@ export class PoolManager {
             {
                 maxRetries,
                 meta,
+                signal: ctx.signal,
+                shouldStop: () => !!ctx.hasStreamed?.(),
                 onRetry: (worker, error) => {
                     logger.warn('工作池', `[${worker.name}] 失败，尝试下一个 Worker...`, { error, ...meta });
                 }
@@ -211,6 +349,23 @@ export class PoolManager {
         );
     }
 
+    /**
+     * 在上一轮所用的 Worker 上继续网页会话（多轮会话模式）
+     * Worker 不存在、不再支持该模型或正忙（页面已离开会话）时返回 sessionLost，由调用方回退为完整上下文
+     * @private
+     */
+    async _generateInSession(ctx, prompt, paths, modelId, meta) {
+        const worker = this.workers.find(w => w.name === ctx.session.worker);
+        if (!worker || !worker.supports(modelId, ctx.imageOptions, ctx.fileTypes)) {
+            return { error: `会话所在的 Worker 不可用: ${ctx.session.worker}`, sessionLost: true };
+        }
+        if (worker.busyCount > 0) {
+            return { error: `会话所在的 Worker 正忙: ${worker.name}`, sessionLost: true };
+        }
+        logger.debug('工作池', `会话任务分发至: ${worker.name}`, meta);
+        return await this._safeExecuteWorker(worker, ctx, prompt, paths, modelId, meta);
+    }
+
     /**
      * 安全执行 Worker（带错误边界）
      * @private
@@ -225,7 +380,19 @@ export class PoolManager {
     }
 
     /**
-     * 获取所有模型列表
+     * 获取支持该模型的 Worker 及其对应的模型 key（别名展开为各个目标）
+     * @private
+     * @returns {{worker: Worker, key: string}[]}
+     */
+    _resolveWorkers(modelKey) {
+        const keys = this.aliases[modelKey] || [modelKey];
+        return keys.flatMap(key => this.workers
+            .filter(w => w.supports(key))
+            .map(worker => ({ worker, key })));
+    }
+
+    /**
+     * 获取所有模型列表（别名使用首个可用目标的模型信息，并列出可用目标）
      */
     getModels() {
         const allModels = [];
@@ -241,6 +408,13 @@ export class PoolManager {
             }
         }
 
+        for (const [alias, targets] of Object.entries(this.aliases)) {
+            const available = targets.filter(t => seenIds.has(t));
+            if (available.length === 0 || seenIds.has(alias)) continue;
+            const primary = allModels.find(m => m.id === available[0]);
+            allModels.push({ ...primary, id: alias, owned_by: 'alias', targets: available });
+        }
+
         return { object: 'list', data: allModels };
     }
 
@@ -250,10 +424,8 @@ export class PoolManager {
     getImagePolicy(modelKey) {
         const policies = new Set();
 
-        for (const worker of this.workers) {
-            if (worker.supports(modelKey)) {
-                policies.add(worker.getImagePolicy(modelKey));
-            }
+        for (const { worker, key } of this._resolveWorkers(modelKey)) {
+            policies.add(worker.getImagePolicy(key));
         }
 
         // 宽松策略：只要有一个 optional 就返回 optional
@@ -267,12 +439,42 @@ export class PoolManager {
      * 获取模型类型
      */
     getModelType(modelKey) {
-        for (const worker of this.workers) {
-            if (worker.supports(modelKey)) {
-                return worker.getModelType(modelKey);
-            }
-        }
-        return 'image';
+        const [first] = this._resolveWorkers(modelKey);
+        return first ? first.worker.getModelType(first.key) : 'image';
+    }
+
+    /**
+     * 获取文本模型的虚拟上下文模板配置（取第一个支持该模型的 Worker）
+     */
+    getPromptTemplate(modelKey) {
+        const [first] = this._resolveWorkers(modelKey);
+        return first ? first.worker.getPromptTemplate(first.key) : null;
+    }
+
+    /**
+     * 获取模型的图片参数能力声明（取所有支持该模型的 Worker 的并集）
+     */
+    getImageOptions(modelKey) {
+        return mergeImageCapabilities(this._resolveWorkers(modelKey)
+            .map(({ worker, key }) => worker.getImageOptions(key)));
+    }
+
+    /**
+     * 获取模型接受的附件 MIME 类型（取所有支持该模型的 Worker 的并集）
+     */
+    getFileTypes(modelKey) {
+        return [...new Set(this._resolveWorkers(modelKey)
+            .flatMap(({ worker, key }) => worker.getFileTypes(key)))];
+    }
+
+    /**
+     * 获取模型的输入长度上限（任务可能分发到任一支持该模型的 Worker，取其中最小的上限，0 表示不限制）
+     */
+    getInputLimit(modelKey) {
+        const limits = this._resolveWorkers(modelKey)
+            .map(({ worker, key }) => worker.getInputLimit(key))
+            .filter(limit => limit > 0);
+        return limits.length > 0 ? Math.min(...limits) : 0;
     }
 
     /**
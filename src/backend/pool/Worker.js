@@ -6,7 +6,7 @@
 import fs from 'fs';
 import { logger } from '../../utils/logger.js';
 import { initBrowserBase, createCursor } from '../engine/launcher.js';
-import { registry } from '../registry.js';
+import { registry, mergeImageCapabilities } from '../registry.js';
 import { tryGotoWithCheck } from '../utils/page.js';
 
 /**
@@ -187,18 +187,21 @@ export class Worker {
 
     /**
      * 检查是否支持指定模型
+     * @param {string} modelId - 模型 ID
+     * @param {object|null} [imageOptions] - 请求的图片参数（需在模型能力声明内）
+     * @param {string[]|null} [fileTypes] - 请求中的附件 MIME 类型（需在模型的 fileTypes 声明内）
      */
-    supports(modelId) {
+    supports(modelId, imageOptions = null, fileTypes = null) {
         if (this.type === 'merge') {
             // 检查任一适配器是否支持该模型
             for (const type of this.mergeTypes) {
-                if (registry.supportsModel(type, modelId)) return true;
+                if (registry.supportsModel(type, modelId, imageOptions, fileTypes)) return true;
             }
             // 支持 type/model 格式
             if (modelId.includes('/')) {
                 const [specifiedType, actualModel] = modelId.split('/', 2);
                 if (this.mergeTypes.includes(specifiedType)) {
-                    return registry.supportsModel(specifiedType, actualModel);
+                    return registry.supportsModel(specifiedType, actualModel, imageOptions, fileTypes);
                 }
             }
             return false;
@@ -207,11 +210,11 @@ export class Worker {
             if (modelId.includes('/')) {
                 const [specifiedType, actualModel] = modelId.split('/', 2);
                 if (specifiedType === this.type) {
-                    return registry.supportsModel(this.type, actualModel);
+                    return registry.supportsModel(this.type, actualModel, imageOptions, fileTypes);
                 }
                 return false;
             }
-            return registry.supportsModel(this.type, modelId);
+            return registry.supportsModel(this.type, modelId, imageOptions, fileTypes);
         }
     }
 
@@ -219,7 +222,7 @@ export class Worker {
      * 确定模型对应的适配器类型（内部辅助方法）
      * @private
      */
-    _getAdapterType(modelKey) {
+    _getAdapterType(modelKey, imageOptions = null, fileTypes = null) {
         if (this.type === 'merge') {
             if (modelKey.includes('/')) {
                 const [specifiedType] = modelKey.split('/', 2);
@@ -227,7 +230,7 @@ export class Worker {
             }
             // 找到第一个支持该模型的适配器
             for (const type of this.mergeTypes) {
-                if (registry.supportsModel(type, modelKey)) return type;
+                if (registry.supportsModel(type, modelKey, imageOptions, fileTypes)) return type;
             }
             return this.mergeTypes[0];
         }
@@ -241,17 +244,22 @@ export class Worker {
         const failoverConfig = this.globalConfig.backend?.pool?.failover || {};
         const failoverEnabled = failoverConfig.enabled !== false;
 
+        // 多轮会话：固定使用上一轮所用的适配器，不做适配器间故障转移
+        if (ctx.session) {
+            return this._generateInSession(ctx, prompt, paths, modelId, meta);
+        }
+
         if (this.type === 'merge' && failoverEnabled) {
             return this._generateWithFailover(ctx, prompt, paths, modelId, meta, failoverConfig);
         }
 
         // 验证是否支持该模型
-        if (!this.supports(modelId)) {
+        if (!this.supports(modelId, ctx.imageOptions, ctx.fileTypes)) {
             return { error: `Worker [${this.name}] 不支持模型: ${modelId}` };
         }
 
         // 确定适配器类型
-        const type = this._getAdapterType(modelId);
+        const type = this._getAdapterType(modelId, ctx.imageOptions, ctx.fileTypes);
 
         // 处理 type/model 格式，提取实际 modelId
         let actualModelId = modelId;
@@ -264,13 +272,28 @@ export class Worker {
         return this._executeAdapter(ctx, type, actualModelId, prompt, paths, meta);
     }
 
+    /**
+     * 在已有网页会话中继续生成
+     * @private
+     */
+    async _generateInSession(ctx, prompt, paths, modelId, meta) {
+        const type = ctx.session.adapter;
+        const actualModelId = modelId.includes('/') ? modelId.split('/', 2)[1] : modelId;
+        const ownsType = this.type === 'merge' ? this.mergeTypes.includes(type) : this.type === type;
+
+        if (!ownsType || !registry.supportsModel(type, actualModelId, ctx.imageOptions, ctx.fileTypes)) {
+            return { error: `Worker [${this.name}] 无法在 ${type} 会话中继续模型: ${modelId}`, sessionLost: true };
+        }
+        return this._executeAdapter(ctx, type, actualModelId, prompt, paths, meta);
+    }
+
     /**
      * Merge 模式下的故障转移生成
      * @private
      */
     async _generateWithFailover(ctx, prompt, paths, modelId, meta, failoverConfig = {}) {
         const maxRetries = failoverConfig.maxRetries || 2;
-        const candidateTypes = this._getCandidateTypes(modelId);
+        const candidateTypes = this._getCandidateTypes(modelId, ctx.imageOptions, ctx.fileTypes);
 
         if (candidateTypes.length === 0) {
             return { error: `Worker [${this.name}] 不支持模型: ${modelId}` };
@@ -283,7 +306,8 @@ export class Worker {
             const { type, modelId: actualModelId } = candidateTypes[i];
             const result = await this._executeAdapter(ctx, type, actualModelId, prompt, paths, meta);
 
-            if (!result.error) {
+            // 已推送增量的失败尝试不再改用其他适配器重试
+            if (!result.error || ctx.signal?.aborted || ctx.hasStreamed?.()) {
                 return result;
             }
 
@@ -300,12 +324,12 @@ export class Worker {
      * 获取支持指定模型的候选适配器类型列表
      * @private
      */
-    _getCandidateTypes(modelKey) {
+    _getCandidateTypes(modelKey, imageOptions = null, fileTypes = null) {
         const candidates = [];
 
         if (modelKey.includes('/')) {
             const [specifiedType, actualModel] = modelKey.split('/', 2);
-            if (this.mergeTypes.includes(specifiedType) && registry.supportsModel(specifiedType, actualModel)) {
+            if (this.mergeTypes.includes(specifiedType) && registry.supportsModel(specifiedType, actualModel, imageOptions, fileTypes)) {
                 candidates.push({ type: specifiedType, modelId: actualModel });
             }
             return candidates;
@@ -313,7 +337,7 @@ export class Worker {
 
         // 收集所有支持该模型的适配器
         for (const type of this.mergeTypes) {
-            if (registry.supportsModel(type, modelKey)) {
+            if (registry.supportsModel(type, modelKey, imageOptions, fileTypes)) {
                 candidates.push({ type, modelId: modelKey });
             }
         }
@@ -331,6 +355,10 @@ export class Worker {
             return { error: `适配器不存在: ${type}` };
         }
 
+        if (ctx.signal?.aborted) {
+            return { error: '任务已取消 (客户端已断开)', retryable: false };
+        }
+
         logger.info('工作池', `[${this.name}] 执行任务 -> ${type}/${modelId}`, meta);
 
         const subContext = {
@@ -344,12 +372,48 @@ export class Worker {
         this.busyCount++;
         try {
             // 传递原始 modelId，由适配器自己解析
-            return await adapter.generate(subContext, prompt, paths, modelId, meta);
+            let result;
+            try {
+                result = await adapter.generate(subContext, prompt, paths, modelId, meta);
+            } catch (err) {
+                ctx.onAttemptFailed?.();
+                throw err;
+            }
+            // 本次尝试的流式增量记录作废
+            if (!result || result.error) ctx.onAttemptFailed?.();
+            if (!result || !('conversationUrl' in result)) return result;
+
+            // 记录产生本轮回复的 Worker 与网页会话地址，供多轮会话模式复用
+            const { conversationUrl, ...rest } = result;
+            return conversationUrl
+                ? { ...rest, session: { worker: this.name, adapter: type, url: conversationUrl } }
+                : rest;
         } finally {
+            // 任务被取消时页面可能仍在生成，重新加载入口页以中止并恢复干净状态
+            if (ctx.signal?.aborted) {
+                await this._resetPage(type);
+            }
             this.busyCount--;
         }
     }
 
+    /**
+     * 重新加载适配器入口页（任务取消后清理页面状态）
+     * @private
+     */
+    async _resetPage(type) {
+        if (!this.page || this.page.isClosed()) return;
+
+        const targetUrl = registry.getTargetUrl(type, this.globalConfig, this.workerConfig);
+        if (!targetUrl) return;
+
+        logger.info('工作池', `[${this.name}] 任务已取消，重置页面: ${type}`);
+        const result = await tryGotoWithCheck(this.page, targetUrl);
+        if (result.error) {
+            logger.warn('工作池', `[${this.name}] 页面重置失败: ${result.error}`);
+        }
+    }
+
     /**
      * 获取支持的模型列表
      */
@@ -457,6 +521,90 @@ export class Worker {
         }
     }
 
+    /**
+     * 获取文本模型的虚拟上下文模板配置（Merge 模式取第一个支持该模型的适配器）
+     */
+    getPromptTemplate(modelKey) {
+        if (this.type === 'merge') {
+            if (modelKey.includes('/')) {
+                const [specifiedType, actualModel] = modelKey.split('/', 2);
+                if (this.mergeTypes.includes(specifiedType)) {
+                    return registry.getPromptTemplate(specifiedType, actualModel);
+                }
+            }
+            for (const type of this.mergeTypes) {
+                if (registry.supportsModel(type, modelKey)) {
+                    return registry.getPromptTemplate(type, modelKey);
+                }
+            }
+            return null;
+        }
+        if (modelKey.includes('/')) {
+            const [specifiedType, actualModel] = modelKey.split('/', 2);
+            return specifiedType === this.type ? registry.getPromptTemplate(this.type, actualModel) : null;
+        }
+        return registry.getPromptTemplate(this.type, modelKey);
+    }
+
+    /**
+     * 获取模型的图片参数能力声明（Merge 模式取所有支持该模型的适配器的并集）
+     */
+    getImageOptions(modelKey) {
+        let types = this.type === 'merge' ? this.mergeTypes : [this.type];
+        let actualModel = modelKey;
+
+        if (modelKey.includes('/')) {
+            const [specifiedType, model] = modelKey.split('/', 2);
+            if (!types.includes(specifiedType)) return {};
+            types = [specifiedType];
+            actualModel = model;
+        }
+
+        return mergeImageCapabilities(types
+            .filter(type => registry.supportsModel(type, actualModel))
+            .map(type => registry.getImageOptions(type, actualModel)));
+    }
+
+    /**
+     * 获取模型接受的附件 MIME 类型（Merge 模式取所有支持该模型的适配器的并集）
+     */
+    getFileTypes(modelKey) {
+        let types = this.type === 'merge' ? this.mergeTypes : [this.type];
+        let actualModel = modelKey;
+
+        if (modelKey.includes('/')) {
+            const [specifiedType, model] = modelKey.split('/', 2);
+            if (!types.includes(specifiedType)) return [];
+            types = [specifiedType];
+            actualModel = model;
+        }
+
+        return [...new Set(types
+            .filter(type => registry.supportsModel(type, actualModel))
+            .flatMap(type => registry.getFileTypes(type, actualModel)))];
+    }
+
+    /**
+     * 获取模型的输入长度上限（Merge 模式取所有支持该模型的适配器中最小的上限，0 表示不限制）
+     */
+    getInputLimit(modelKey) {
+        let types = this.type === 'merge' ? this.mergeTypes : [this.type];
+        let actualModel = modelKey;
+
+        if (modelKey.includes('/')) {
+            const [specifiedType, model] = modelKey.split('/', 2);
+            if (!types.includes(specifiedType)) return 0;
+            types = [specifiedType];
+            actualModel = model;
+        }
+
+        const limits = types
+            .filter(type => registry.supportsModel(type, actualModel))
+            .map(type => registry.getInputLimit(type))
+            .filter(limit => limit > 0);
+        return limits.length > 0 ? Math.min(...limits) : 0;
+    }
+
     /**
      * 导航到监控页面（空闲时）
      */
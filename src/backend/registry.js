@@ -26,6 +26,35 @@ export const IMAGE_POLICY = {
     FORBIDDEN: 'forbidden'
 };
 
+/**
+ * 合并多个模型的图片参数能力声明（同一模型由多个适配器提供时取并集）
+ * 能力声明来自 manifest 的 models[].imageOptions: { aspectRatios?, resolutions?, qualities? }
+ * @param {object[]} list - 能力声明列表
+ * @returns {object} 合并后的能力声明
+ */
+export function mergeImageCapabilities(list) {
+    const merged = {};
+    for (const capabilities of list) {
+        for (const [key, values] of Object.entries(capabilities || {})) {
+            merged[key] = [...new Set([...(merged[key] || []), ...values])];
+        }
+    }
+    return merged;
+}
+
+/**
+ * 检查模型声明的附件类型是否接受请求中的全部文件类型
+ * 声明来自 manifest 的 models[].fileTypes，支持精确 MIME 类型与 `text/*` 形式的通配
+ * @param {string[]|undefined} declared - 模型声明的 MIME 类型列表
+ * @param {string[]} requested - 请求中的附件 MIME 类型
+ * @returns {boolean}
+ */
+export function acceptsFileTypes(declared, requested) {
+    return requested.every(type => !!declared?.some(pattern =>
+        pattern === type || (pattern.endsWith('/*') && type.startsWith(pattern.slice(0, -1)))
+    ));
+}
+
 /**
  * 适配器注册表类
  */
@@ -138,9 +167,19 @@ class AdapterRegistry {
                 if (!m.imagePolicy || !Object.values(IMAGE_POLICY).includes(m.imagePolicy)) {
                     errors.push(`models[${i}] imagePolicy 无效`);
                 }
+                if (m.imageOptions && !Object.values(m.imageOptions).every(Array.isArray)) {
+                    errors.push(`models[${i}] imageOptions 的取值必须是数组`);
+                }
+                if (m.fileTypes && !Array.isArray(m.fileTypes)) {
+                    errors.push(`models[${i}] fileTypes 必须是数组`);
+                }
             }
         }
 
+        if (manifest.inputLimit !== undefined && !(Number.isInteger(manifest.inputLimit) && manifest.inputLimit >= 0)) {
+            errors.push('inputLimit 必须是非负整数');
+        }
+
         if (errors.length > 0) {
             logger.error('注册表', `${fileName} manifest 校验失败: ${errors.join('; ')}`);
             return false;
@@ -234,7 +273,9 @@ class AdapterRegistry {
                 created: Math.floor(Date.now() / 1000),
                 owned_by: id,
                 image_policy: m.imagePolicy,
-                type: m.type || 'image'
+                type: m.type || 'image',
+                ...(m.imageOptions ? { image_options: m.imageOptions } : {}),
+                ...(m.fileTypes ? { file_types: m.fileTypes } : {})
             }));
 
         return { object: 'list', data };
@@ -244,14 +285,23 @@ class AdapterRegistry {
      * 检查适配器是否支持指定模型
      * @param {string} adapterId - 适配器 ID
      * @param {string} modelId - 模型 ID
+     * @param {object|null} [imageOptions] - 请求的图片参数 { aspectRatio?, resolution?, quality? }，需在模型能力声明内
+     * @param {string[]|null} [fileTypes] - 请求中的附件 MIME 类型，需在模型的 fileTypes 声明内
      * @returns {boolean}
      */
-    supportsModel(adapterId, modelId) {
+    supportsModel(adapterId, modelId, imageOptions = null, fileTypes = null) {
         const adapter = this.getAdapter(adapterId);
         if (!adapter?.models) return false;
         // 检查模型是否存在且未被禁用
-        const modelExists = adapter.models.some(m => m.id === modelId);
-        return modelExists && this.isModelEnabled(adapterId, modelId);
+        const model = adapter.models.find(m => m.id === modelId);
+        if (!model || !this.isModelEnabled(adapterId, modelId)) return false;
+        if (fileTypes?.length && !acceptsFileTypes(model.fileTypes, fileTypes)) return false;
+        if (!imageOptions) return true;
+
+        const { aspectRatios, resolutions, qualities } = model.imageOptions || {};
+        return (!imageOptions.aspectRatio || !!aspectRatios?.includes(imageOptions.aspectRatio))
+            && (!imageOptions.resolution || !!resolutions?.includes(imageOptions.resolution))
+            && (!imageOptions.quality || !!qualities?.includes(imageOptions.quality));
     }
 
     /**
@@ -299,7 +349,7 @@ class AdapterRegistry {
      * 获取模型的类型
      * @param {string} adapterId - 适配器 ID
      * @param {string} modelKey - 模型 key
-     * @returns {string} 'text' | 'image'
+     * @returns {string} 'text' | 'image' | 'video'
      */
     getModelType(adapterId, modelKey) {
         const adapter = this.getAdapter(adapterId);
@@ -311,6 +361,50 @@ class AdapterRegistry {
         return model?.type || 'image';
     }
 
+    /**
+     * 获取模型的图片参数能力声明
+     * @param {string} adapterId - 适配器 ID
+     * @param {string} modelKey - 模型 key
+     * @returns {object} { aspectRatios?, resolutions?, qualities? }，未声明时为空对象
+     */
+    getImageOptions(adapterId, modelKey) {
+        const adapter = this.getAdapter(adapterId);
+        const model = adapter?.models?.find(m => m.id === modelKey);
+        return model?.imageOptions || {};
+    }
+
+    /**
+     * 获取模型接受的附件 MIME 类型
+     * @param {string} adapterId - 适配器 ID
+     * @param {string} modelKey - 模型 key
+     * @returns {string[]} 未声明时为空数组（不接受非图片附件）
+     */
+    getFileTypes(adapterId, modelKey) {
+        const adapter = this.getAdapter(adapterId);
+        const model = adapter?.models?.find(m => m.id === modelKey);
+        return model?.fileTypes || [];
+    }
+
+    /**
+     * 获取文本模型的虚拟上下文模板配置（来自 config.yaml，模型级配置优先于适配器级配置）
+     * @param {string} adapterId - 适配器 ID
+     * @param {string} modelKey - 模型 key
+     * @returns {string|object|null} 预设名或模板对象，未配置时为 null
+     */
+    getPromptTemplate(adapterId, modelKey) {
+        const adapterCfg = this.adapterConfig[adapterId];
+        return adapterCfg?.modelPromptTemplates?.[modelKey] ?? adapterCfg?.promptTemplate ?? null;
+    }
+
+    /**
+     * 获取适配器的输入长度上限（字符数，config.yaml 中的配置优先于 manifest 声明）
+     * @param {string} adapterId - 适配器 ID
+     * @returns {number} 0 表示不限制
+     */
+    getInputLimit(adapterId) {
+        return this.adapterConfig[adapterId]?.inputLimit ?? this.getAdapter(adapterId)?.inputLimit ?? 0;
+    }
+
     /**
      * 聚合所有适配器的模型列表
      * @returns {object}
@@ -327,7 +421,9 @@ class AdapterRegistry {
                         created: Math.floor(Date.now() / 1000),
                         owned_by: id,
                         image_policy: m.imagePolicy,
-                        type: m.type || 'image'
+                        type: m.type || 'image',
+                        ...(m.imageOptions ? { image_options: m.imageOptions } : {}),
+                        ...(m.fileTypes ? { file_types: m.fileTypes } : {})
                     });
                 }
             }
@@ -26,11 +26,15 @@ export { isRetryableError, normalizeError };
  * @param {object} options - 配置选项
  * @param {number} [options.maxRetries=2] - 最大重试次数
  * @param {Function} [options.onRetry] - 重试回调
+ * @param {AbortSignal} [options.signal] - 任务取消信号，触发后不再尝试后续候选
+ * @param {Function} [options.shouldStop] - 返回 true 时不再尝试后续候选（如已向客户端推送增量）
  * @returns {object} 故障转移执行器
  */
 export function createFailoverExecutor(options = {}) {
     const maxRetries = options.maxRetries ?? RETRY.MAX_ATTEMPTS;
     const onRetry = options.onRetry || (() => { });
+    const signal = options.signal;
+    const shouldStop = options.shouldStop || (() => false);
 
     return {
         /**
@@ -53,6 +57,11 @@ export function createFailoverExecutor(options = {}) {
             let lastError = null;
 
             for (let i = 0; i < maxAttempts; i++) {
+                // 任务已取消或不允许重试，直接返回上一次的错误
+                if (i > 0 && (signal?.aborted || shouldStop())) {
+                    return { error: lastError, retryable: false };
+                }
+
                 const candidate = candidates[i];
 
                 try {
@@ -53,6 +53,10 @@ export function normalizePageError(err, meta = {}) {
         logger.error('适配器', '页面崩溃', meta);
         return { error: '页面崩溃，请重试', code: ADAPTER_ERRORS.PAGE_CRASHED, retryable: true };
     }
+    if (err.message === 'TASK_CANCELLED') {
+        logger.warn('适配器', '任务已取消 (客户端已断开)', meta);
+        return { error: '任务已取消 (客户端已断开)', code: ADAPTER_ERRORS.TASK_CANCELLED, retryable: false };
+    }
     if (err.message === 'PAGE_INVALID') {
         logger.error('适配器', '页面状态无效', meta);
         return { error: '页面状态无效，请重新初始化', code: ADAPTER_ERRORS.PAGE_INVALID, retryable: true };
@@ -9,8 +9,13 @@
  *   - fillPrompt: 拟人化输入提示词
  *   - submit: 提交表单（点击按钮失败则回退为回车）
  *   - gotoWithCheck: 导航到 URL 并检测 HTTP 错误
+ *   - openConversation/getConversationUrl: 打开新会话或继续已有会话（多轮会话模式）
  *   - moveMouseAway: 任务完成后移开鼠标
- *   - waitApiResponse: 等待 API 响应（带页面关闭监听）
+ *   - waitApiResponse: 等待 API 响应（带页面关闭监听与任务取消）
+ *   - withAbortSignal: 为等待操作附加任务取消信号
+ *   - createResponseCollector: 持续收集匹配的响应（多图结果）
+ *   - watchStreamText: 轮询回复区域文本，推送流式增量
+ *   - watchStreamResponse: 通过 CDP 网络事件监听上游响应流，按行回调原始数据
  * 
  * - 错误处理 (error.js):
  *   - isRetryableError: 判断错误是否可重试
@@ -33,9 +38,15 @@ export {
     submit,
     gotoWithCheck,
     tryGotoWithCheck,
+    openConversation,
+    getConversationUrl,
     moveMouseAway,
     waitApiResponse,
+    withAbortSignal,
+    createResponseCollector,
     scrollToElement,
+    watchStreamText,
+    watchStreamResponse,
 } from './page.js';
 
 // 错误归一化
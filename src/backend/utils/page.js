@@ -196,6 +196,50 @@ export async function tryGotoWithCheck(page, url, options = {}) {
     }
 }
 
+/**
+ * 打开对话页面
+ * 传入 session 时进入已有的网页会话继续对话（多轮会话模式），否则打开新会话
+ * @param {import('playwright-core').Page} page - 页面对象
+ * @param {string} newUrl - 新会话入口 URL
+ * @param {{url: string}|null} [session] - 要继续的会话
+ * @param {RegExp} pattern - 会话地址格式（用于判断会话是否仍然存在）
+ * @param {object} [meta={}] - 日志元数据
+ * @returns {Promise<{error: string, sessionLost: true}|null>} 会话已失效时返回错误，由上层回退为完整上下文
+ */
+export async function openConversation(page, newUrl, session, pattern, meta = {}) {
+    if (!session?.url) {
+        logger.info('适配器', '开启新会话...', meta);
+        await gotoWithCheck(page, newUrl);
+        return null;
+    }
+
+    logger.info('适配器', '继续已有会话...', meta);
+    await gotoWithCheck(page, session.url);
+    // 会话被删除或无权访问时网站会跳转回首页
+    await sleep(1000, 1500);
+    if (!pattern.test(page.url())) {
+        logger.warn('适配器', '会话已失效', { ...meta, url: session.url });
+        return { error: '会话已失效', sessionLost: true };
+    }
+    return null;
+}
+
+/**
+ * 获取当前会话地址（新会话在发送消息后才分配地址，最多等待 timeout 毫秒）
+ * @param {import('playwright-core').Page} page - 页面对象
+ * @param {RegExp} pattern - 会话地址格式
+ * @param {number} [timeout=5000] - 等待时间（毫秒）
+ * @returns {Promise<string|null>} 会话地址，未获取到时为 null
+ */
+export async function getConversationUrl(page, pattern, timeout = 5000) {
+    try {
+        await page.waitForURL(pattern, { timeout });
+        return page.url();
+    } catch (e) {
+        return null;
+    }
+}
+
 /**
  * 任务完成后移开鼠标（拟人化行为）
  * @param {import('playwright-core').Page} page - Playwright 页面对象
@@ -257,16 +301,20 @@ export async function scrollToElement(page, selectorOrLocator, options = {}) {
  * @param {string} [options.method='POST'] - HTTP 方法
  * @param {number} [options.timeout=120000] - 超时时间（毫秒）
  * @param {string|string[]} [options.errorText] - 错误关键词，页面 UI 或 API 响应体中出现时立即停止并返回错误
+ * @param {AbortSignal} [options.signal] - 任务取消信号（客户端断开时触发），触发后抛出 TASK_CANCELLED
  * @returns {Promise<import('playwright-core').Response>} 响应对象
  */
 export async function waitApiResponse(page, options = {}) {
-    const { urlMatch, urlContains, method = 'POST', timeout = 120000, errorText } = options;
+    const { urlMatch, urlContains, method = 'POST', timeout = 120000, errorText, signal } = options;
 
     if (!isPageValid(page)) {
         throw new Error('PAGE_INVALID');
     }
+    if (signal?.aborted) {
+        throw new Error('TASK_CANCELLED');
+    }
 
-    const pageWatcher = createPageCloseWatcher(page);
+    const pageWatcher = createPageCloseWatcher(page, signal);
     const patterns = errorText ? (Array.isArray(errorText) ? errorText : [errorText]) : [];
 
     // 页面 UI 错误关键词检测
@@ -341,3 +389,203 @@ export async function waitApiResponse(page, options = {}) {
         pageWatcher.cleanup();
     }
 }
+
+/**
+ * 创建响应收集器：持续记录匹配的响应 (用于一次生成多张图片等场景)
+ * @param {import('playwright-core').Page} page - Playwright 页面对象
+ * @param {object} options - 匹配选项
+ * @param {string} options.urlMatch - URL 匹配字符串
+ * @param {string} [options.urlContains] - URL 必须额外包含的字符串
+ * @param {string} [options.method='GET'] - HTTP 方法
+ * @returns {{responses: import('playwright-core').Response[], waitForCount: Function, stop: Function}} 收集器
+ */
+export function createResponseCollector(page, options) {
+    const { urlMatch, urlContains, method = 'GET' } = options;
+    const responses = [];
+    const seenUrls = new Set();
+
+    const handler = (response) => {
+        const url = response.url();
+        if (!url.includes(urlMatch)) return;
+        if (urlContains && !url.includes(urlContains)) return;
+        if (response.request().method() !== method || response.status() !== 200) return;
+        // 懒加载或滚动可能重复请求同一资源
+        if (seenUrls.has(url)) return;
+        seenUrls.add(url);
+        responses.push(response);
+    };
+    page.on('response', handler);
+
+    return {
+        responses,
+        /**
+         * 等待收集到指定数量的响应（超时后返回已收集的数量，不抛异常）
+         * @param {number} count - 期望数量
+         * @param {object} [waitOptions={}] - 选项
+         * @param {number} [waitOptions.timeout=15000] - 超时时间（毫秒）
+         * @param {Function} [waitOptions.onPoll] - 每次轮询时调用（如滚动触发懒加载）
+         * @returns {Promise<number>} 已收集的响应数量
+         */
+        async waitForCount(count, waitOptions = {}) {
+            const { timeout = 15000, onPoll } = waitOptions;
+            const startTime = Date.now();
+            while (responses.length < count && Date.now() - startTime < timeout && isPageValid(page)) {
+                if (onPoll) await onPoll(responses.length).catch(() => { });
+                await sleep(500, 800);
+            }
+            return responses.length;
+        },
+        stop() {
+            page.off('response', handler);
+        }
+    };
+}
+
+/**
+ * 为等待操作附加任务取消信号 (用于直接调用 page.waitForResponse 等场景)
+ * @template T
+ * @param {Promise<T>} promise - 等待中的操作
+ * @param {AbortSignal} [signal] - 任务取消信号，触发后以 TASK_CANCELLED 拒绝
+ * @returns {Promise<T>}
+ */
+export function withAbortSignal(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) {
+        promise.catch(() => { });
+        return Promise.reject(new Error('TASK_CANCELLED'));
+    }
+
+    let abortHandler;
+    const abortPromise = new Promise((_, reject) => {
+        abortHandler = () => reject(new Error('TASK_CANCELLED'));
+        signal.addEventListener('abort', abortHandler, { once: true });
+    });
+    // 被取消后原操作仍会在超时后拒绝，避免未处理的 rejection
+    promise.catch(() => { });
+    return Promise.race([promise, abortPromise])
+        .finally(() => signal.removeEventListener('abort', abortHandler));
+}
+
+/**
+ * 监听回复区域的文本增量 (用于流式输出)
+ * 轮询最后一个匹配元素的 innerText，仅在文本以已推送内容为前缀增长时推送新增部分（忽略提交前已存在的元素）
+ * @param {import('playwright-core').Page} page - Playwright 页面对象
+ * @param {string} selector - 回复内容的 CSS 选择器（取最后一个匹配元素）
+ * @param {Function} [onDelta] - 增量回调，接收新增文本；未提供时不启动监听
+ * @param {object} [options={}] - 选项
+ * @param {number} [options.interval=300] - 轮询间隔（毫秒）
+ * @param {number} [options.existing=0] - 提交提示词前页面上已有的匹配元素数量（继续已有会话时的历史回复），须在提交前统计
+ * @returns {{stop: Function}} 监听句柄，任务结束时调用 stop()
+ */
+export function watchStreamText(page, selector, onDelta, options = {}) {
+    const { interval = 300, existing = 0 } = options;
+    let emitted = '';
+    let stopped = typeof onDelta !== 'function';
+    let timer = null;
+
+    const tick = async () => {
+        if (stopped) return;
+        try {
+            if (isPageValid(page)) {
+                const text = await page.evaluate(([sel, skip]) => {
+                    const nodes = document.querySelectorAll(sel);
+                    const last = nodes.length > skip ? nodes[nodes.length - 1] : null;
+                    return last ? last.innerText : '';
+                }, [selector, existing]);
+                const current = (text || '').trimEnd();
+
+                // 渲染过程中文本可能被重排，只推送前缀一致的增长部分
+                if (!stopped && current.length > emitted.length && current.startsWith(emitted)) {
+                    const delta = current.slice(emitted.length);
+                    emitted = current;
+                    onDelta(delta);
+                }
+            }
+        } catch {
+            // 页面跳转或元素重建时忽略本次轮询
+        }
+        if (!stopped) timer = setTimeout(tick, interval);
+    };
+
+    if (!stopped) timer = setTimeout(tick, interval);
+
+    return {
+        stop() {
+            stopped = true;
+            if (timer) clearTimeout(timer);
+        }
+    };
+}
+
+/**
+ * 监听上游接口的响应流 (用于流式输出)
+ * 通过 CDP 网络事件读取监听开始后第一个 URL 包含 urlMatch 的响应体，按行回调原始数据，
+ * 适配器据此解析站点的流式协议（保留 Markdown 等原始格式）。不向页面注入脚本，须在提交提示词前调用
+ * @param {import('playwright-core').Page} page - Playwright 页面对象
+ * @param {string} urlMatch - 响应 URL 需包含的字符串
+ * @param {Function} [onLine] - 行回调，接收一行响应数据（不含换行符）；未提供时不启动监听
+ * @returns {Promise<{active: boolean, stop: Function}>} 监听句柄；浏览器不支持 CDP (如 Camoufox) 时 active 为 false，适配器应回退为 watchStreamText
+ */
+export async function watchStreamResponse(page, urlMatch, onLine) {
+    const inactive = { active: false, stop() { } };
+    if (typeof onLine !== 'function') return inactive;
+
+    let session = null;
+    try {
+        session = await page.context().newCDPSession(page);
+        await session.send('Network.enable');
+    } catch {
+        await session?.detach().catch(() => { });
+        return inactive;
+    }
+
+    let requestId = null;
+    let stopped = false;
+    let pending = '';
+    const decoder = new TextDecoder();
+
+    const emit = (line) => onLine(line.endsWith('\r') ? line.slice(0, -1) : line);
+
+    // 只回调完整的行，末尾不完整的部分留到下一块数据
+    const push = (base64) => {
+        if (stopped || !base64) return;
+        const lines = (pending + decoder.decode(Buffer.from(base64, 'base64'), { stream: true })).split('\n');
+        pending = lines.pop();
+        for (const line of lines) emit(line);
+    };
+
+    // 响应结束或停止监听时回调最后一行（响应体可能不以换行结尾）
+    const flush = () => {
+        if (stopped) return;
+        const rest = pending + decoder.decode();
+        pending = '';
+        if (rest) emit(rest);
+    };
+
+    session.on('Network.responseReceived', async (event) => {
+        if (requestId || stopped || !event.response.url.includes(urlMatch)) return;
+        requestId = event.requestId;
+        try {
+            // 开启后 dataReceived 事件携带数据，bufferedData 为开启前已收到的部分
+            const { bufferedData } = await session.send('Network.streamResourceContent', { requestId });
+            push(bufferedData);
+        } catch {
+            // 浏览器不支持或响应已结束，最终结果以完整响应为准
+        }
+    });
+    session.on('Network.dataReceived', (event) => {
+        if (event.requestId === requestId) push(event.data);
+    });
+    session.on('Network.loadingFinished', (event) => {
+        if (event.requestId === requestId) flush();
+    });
+
+    return {
+        active: true,
+        stop() {
+            flush();
+            stopped = true;
+            session.detach().catch(() => { });
+        }
+    };
+}
@@ -12,6 +12,7 @@ import path from 'path';
 import yaml from 'yaml';
 
 import { logger } from '../utils/logger.js';
+import { validatePromptTemplate } from '../utils/promptTemplate.js';
 
 // --- 配置文件路径常量 ---
 const DATA_DIR = path.join(process.cwd(), 'data');
@@ -290,12 +291,42 @@ export function loadConfig() {
     if (!config.queue) {
         config.queue = {
             queueBuffer: 2,
-            imageLimit: 5
+            imageLimit: 5,
+            jobRetention: 3600,
+            responseRetention: 86400,
+            responseMaxEntries: 1000,
+            formatRetries: 2,
+            remoteImage: {}
         };
     } else {
         if (config.queue.queueBuffer === undefined) config.queue.queueBuffer = 2;
         if (config.queue.imageLimit === undefined) config.queue.imageLimit = 5;
-    }
+        if (config.queue.jobRetention === undefined) config.queue.jobRetention = 3600;
+        if (config.queue.responseRetention === undefined) config.queue.responseRetention = 86400;
+        if (config.queue.responseMaxEntries === undefined) config.queue.responseMaxEntries = 1000;
+        if (config.queue.formatRetries === undefined) config.queue.formatRetries = 2;
+        if (!config.queue.remoteImage) config.queue.remoteImage = {};
+    }
+
+    // 设置媒体托管配置默认值
+    if (!config.media) config.media = {};
+    if (config.media.format === undefined) config.media.format = 'base64';
+    if (config.media.ttl === undefined) config.media.ttl = 86400;
+    if (config.media.maxSize === undefined) config.media.maxSize = 1024;
+    if (config.media.publicUrl === undefined) config.media.publicUrl = '';
+    if (config.media.trustProxy === undefined) config.media.trustProxy = false;
+
+    // 设置上传文件配置默认值
+    if (!config.files) config.files = {};
+    if (config.files.retention === undefined) config.files.retention = 604800;
+    if (config.files.maxSize === undefined) config.files.maxSize = 50;
+    if (config.files.maxCount === undefined) config.files.maxCount = 100;
+
+    // 设置多轮会话配置默认值
+    if (!config.sessions) config.sessions = {};
+    if (config.sessions.enable === undefined) config.sessions.enable = false;
+    if (config.sessions.ttl === undefined) config.sessions.ttl = 3600;
+    if (config.sessions.maxEntries === undefined) config.sessions.maxEntries = 1000;
 
     // maxConcurrent 动态计算：等于 Workers 数量
     config.queue.maxConcurrent = config.backend.pool.workers.length;
@@ -313,6 +344,44 @@ export function loadConfig() {
         throw new Error('存在 gemini_biz 类型的 Worker，但 backend.adapter.gemini_biz.entryUrl 未配置');
     }
 
+    // 校验虚拟上下文模板与输入长度上限配置
+    for (const [adapterId, adapterCfg] of Object.entries(config.backend.adapter)) {
+        const entries = [['promptTemplate', adapterCfg?.promptTemplate]];
+        for (const [modelId, template] of Object.entries(adapterCfg?.modelPromptTemplates || {})) {
+            entries.push([`modelPromptTemplates.${modelId}`, template]);
+        }
+        for (const [key, template] of entries) {
+            if (template === undefined || template === null) continue;
+            const error = validatePromptTemplate(template);
+            if (error) throw new Error(`backend.adapter.${adapterId}.${key} 无效: ${error}`);
+        }
+
+        const inputLimit = adapterCfg?.inputLimit;
+        if (inputLimit !== undefined && inputLimit !== null && !(Number.isInteger(inputLimit) && inputLimit >= 0)) {
+            throw new Error(`backend.adapter.${adapterId}.inputLimit 必须是非负整数`);
+        }
+    }
+
+    // 校验模型别名配置 (别名 -> 按优先级排列的 adapter/model 目标列表)
+    if (!config.backend.aliases) {
+        config.backend.aliases = {};
+    }
+    if (typeof config.backend.aliases !== 'object' || Array.isArray(config.backend.aliases)) {
+        throw new Error('backend.aliases 必须是对象');
+    }
+    for (const [alias, targets] of Object.entries(config.backend.aliases)) {
+        if (alias.includes('/')) {
+            throw new Error(`backend.aliases.${alias} 无效: 别名不能包含 "/"`);
+        }
+        if (!Array.isArray(targets) || targets.length === 0) {
+            throw new Error(`backend.aliases.${alias} 必须是非空数组`);
+        }
+        const invalid = targets.find(t => typeof t !== 'string' || !/^[^/\s]+\/[^/\s]+$/.test(t));
+        if (invalid !== undefined) {
+            throw new Error(`backend.aliases.${alias} 中的目标无效: ${invalid} (格式应为 adapter/model)`);
+        }
+    }
+
     // 设置日志级别
     if (config.logLevel) {
         logger.setLevel(config.logLevel);
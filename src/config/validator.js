@@ -4,6 +4,7 @@
  */
 
 import { registry } from '../backend/registry.js';
+import { validatePromptTemplate } from '../utils/promptTemplate.js';
 
 /**
  * 校验 Server 配置
@@ -266,5 +267,30 @@ export function validateAdaptersConfig(data) {
         }
     }
 
+    // 虚拟上下文模板 (promptTemplate / modelPromptTemplates) 与输入长度上限校验
+    for (const [adapterId, adapterCfg] of Object.entries(data)) {
+        if (typeof adapterCfg !== 'object' || adapterCfg === null) continue;
+        if (adapterCfg.inputLimit !== undefined && adapterCfg.inputLimit !== null) {
+            if (!Number.isInteger(adapterCfg.inputLimit) || adapterCfg.inputLimit < 0) {
+                errors.push(`${adapterId}.inputLimit 必须是非负整数`);
+            }
+        }
+        if (adapterCfg.promptTemplate !== undefined && adapterCfg.promptTemplate !== null) {
+            const error = validatePromptTemplate(adapterCfg.promptTemplate);
+            if (error) errors.push(`${adapterId}.promptTemplate: ${error}`);
+        }
+        if (adapterCfg.modelPromptTemplates !== undefined) {
+            const templates = adapterCfg.modelPromptTemplates;
+            if (typeof templates !== 'object' || templates === null || Array.isArray(templates)) {
+                errors.push(`${adapterId}.modelPromptTemplates 必须是对象`);
+                continue;
+            }
+            for (const [modelId, template] of Object.entries(templates)) {
+                const error = validatePromptTemplate(template);
+                if (error) errors.push(`${adapterId}.modelPromptTemplates.${modelId}: ${error}`);
+            }
+        }
+    }
+
     return { valid: errors.length === 0, errors };
 }
@@ -34,6 +34,15 @@ import {
     validateAdaptersConfig
 } from '../../../config/validator.js';
 import { registry } from '../../../backend/registry.js';
+import {
+    PROMPT_TEMPLATE_PRESETS,
+    PROMPT_TEMPLATE_SLOTS,
+    DEFAULT_PROMPT_TEMPLATE,
+    validatePromptTemplate,
+    resolvePromptTemplate,
+    renderConversation
+} from '../../../utils/promptTemplate.js';
+import { validateKeyOptions } from '../../keyStore.js';
 import { sendRestartSignal, sendStopSignal, isUnderSupervisor, getVncInfo } from '../../../utils/ipc.js';
 
 /**
@@ -50,16 +59,29 @@ async function readBody(req) {
     return body ? JSON.parse(body) : {};
 }
 
+/** 模板预览使用的示例对话 */
+const PREVIEW_CONVERSATION = {
+    system: '你是一个乐于助人的助手。',
+    history: [
+        { role: 'user', content: '北京今天天气怎么样？' },
+        { role: 'assistant', content: '<tool_calls>[{"name": "get_weather", "arguments": {"city": "北京"}}]</tool_calls>' },
+        { role: 'tool', name: 'get_weather', content: '{"temperature": 20, "condition": "晴"}' },
+        { role: 'assistant', content: '北京今天晴，气温 20°C。' }
+    ],
+    current: [{ role: 'user', content: '那明天呢？' }]
+};
+
 /**
  * 创建 Admin 路由处理器
  * @param {object} context - 路由上下文
  * @param {object} context.config - 完整配置对象
  * @param {object} context.queueManager - 队列管理器
  * @param {string} context.tempDir - 临时目录
+ * @param {object} [context.keyStore] - API 密钥存储
  * @returns {Function} Admin 路由处理函数
  */
 export function createAdminRouter(context) {
-    const { config, queueManager, tempDir, getSafeMode } = context;
+    const { config, queueManager, tempDir, getSafeMode, keyStore } = context;
 
     /**
      * Admin 路由处理函数
@@ -383,6 +405,8 @@ export function createAdminRouter(context) {
                             description: adapter.description || '',
                             modelCount: adapter.models?.length || 0,
                             models: (adapter.models || []).map(m => m.id),
+                            textModels: (adapter.models || []).filter(m => m.type === 'text').map(m => m.id),
+                            inputLimit: adapter.inputLimit || 0,
                             modelFilter: config.modelFilter || { mode: 'blacklist', list: [] },
                             configSchema: adapter.configSchema || []
                         });
@@ -393,6 +417,84 @@ export function createAdminRouter(context) {
                 return;
             }
 
+            // GET /admin/prompt-templates - 虚拟上下文模板预设
+            if (method === 'GET' && pathname === '/prompt-templates') {
+                sendJson(res, 200, {
+                    default: DEFAULT_PROMPT_TEMPLATE,
+                    slots: PROMPT_TEMPLATE_SLOTS,
+                    presets: PROMPT_TEMPLATE_PRESETS
+                });
+                return;
+            }
+
+            // POST /admin/prompt-templates/preview - 使用示例对话预览模板效果
+            if (method === 'POST' && pathname === '/prompt-templates/preview') {
+                const body = await readBody(req);
+                const error = validatePromptTemplate(body.template ?? DEFAULT_PROMPT_TEMPLATE);
+                if (error) {
+                    sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: `模板校验失败: ${error}` });
+                    return;
+                }
+                sendJson(res, 200, {
+                    prompt: renderConversation(resolvePromptTemplate(body.template), PREVIEW_CONVERSATION)
+                });
+                return;
+            }
+
+            // ==================== API 密钥 ====================
+
+            if (pathname === '/keys' || pathname.startsWith('/keys/')) {
+                if (!keyStore) {
+                    sendApiError(res, { code: ERROR_CODES.INTERNAL_ERROR, message: '密钥存储未启用' });
+                    return;
+                }
+                const keyMatch = pathname.match(/^\/keys\/([^/]+)(\/revoke)?$/);
+
+                // GET /admin/keys - 密钥列表（含今日用量）
+                if (method === 'GET' && pathname === '/keys') {
+                    sendJson(res, 200, keyStore.list());
+                    return;
+                }
+
+                // POST /admin/keys - 创建密钥（明文只在此时返回）
+                if (method === 'POST' && pathname === '/keys') {
+                    const body = await readBody(req);
+                    const error = validateKeyOptions(body);
+                    if (error) {
+                        sendApiError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: `密钥参数无效: ${error}` });
+                        return;
+                    }
+                    const { key, secret } = keyStore.create(body);
+                    sendJson(res, 200, { success: true, key, secret });
+                    return;
+                }
+
+                // GET /admin/keys/{id} - 密钥详情与最近 30 天用量
+                if (method === 'GET' && keyMatch && !keyMatch[2]) {
+                    const key = keyStore.get(keyMatch[1]);
+                    if (!key) {
+                        sendApiError(res, { code: ERROR_CODES.NOT_FOUND, message: `密钥不存在: ${keyMatch[1]}` });
+                        return;
+                    }
+                    sendJson(res, 200, key);
+                    return;
+                }
+
+                // POST /admin/keys/{id}/revoke - 吊销密钥
+                if (method === 'POST' && keyMatch && keyMatch[2]) {
+                    if (!keyStore.revoke(keyMatch[1])) {
+                        sendApiError(res, { code: ERROR_CODES.NOT_FOUND, message: `密钥不存在或已吊销: ${keyMatch[1]}` });
+                        return;
+                    }
+                    sendJson(res, 200, { success: true, message: '密钥已吊销' });
+                    return;
+                }
+
+                res.writeHead(405);
+                res.end();
+                return;
+            }
+
             // ==================== 统计与监控 ====================
 
             // GET /admin/stats - 基本统计
@@ -12,13 +12,14 @@ import { getVncInfo } from '../../../utils/ipc.js';
  * @param {import('net').Socket} socket - 原始 TCP socket
  * @param {Buffer} head - 升级请求的头部数据
  * @param {string} authToken - 有效的认证令牌
+ * @param {object|null} [keyStore] - 密钥存储（管理密钥同样可以连接）
  */
-export async function handleVncUpgrade(req, socket, head, authToken) {
+export async function handleVncUpgrade(req, socket, head, authToken, keyStore = null) {
     const url = new URL(req.url, `http://${req.headers.host}`);
 
     // 验证 token
     const token = url.searchParams.get('token');
-    if (token !== authToken) {
+    if (token !== authToken && !keyStore?.authenticate(token)?.key?.admin) {
         socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
         socket.destroy();
         return;
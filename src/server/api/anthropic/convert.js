@@ -0,0 +1,412 @@
+/**
+ * @fileoverview Anthropic Messages API 格式转换
+ * @description 将 /v1/messages 请求转换为 OpenAI 聊天补全格式交给 parseRequest 处理，并将结果按 Anthropic 格式输出
+ */
+
+import { getErrorDetails } from '../../errors.js';
+import { unsentTail } from '../../respond.js';
+
+/**
+ * 按 HTTP 状态码映射 Anthropic 错误类型
+ * @param {number} status - HTTP 状态码
+ * @returns {string}
+ */
+function errorType(status) {
+    switch (status) {
+        case 400: return 'invalid_request_error';
+        case 401: return 'authentication_error';
+        case 403: return 'permission_error';
+        case 404: return 'not_found_error';
+        case 429: return 'rate_limit_error';
+        case 503: return 'overloaded_error';
+        default: return 'api_error';
+    }
+}
+
+/**
+ * 构造 Anthropic 格式的错误对象
+ * @param {object} options - 错误选项
+ * @param {string} options.code - 错误码 (ERROR_CODES)
+ * @param {string} [options.message] - 错误消息
+ * @param {number} [options.status] - HTTP 状态码
+ * @returns {{status: number, payload: object}}
+ */
+function buildError({ code, message, status }) {
+    const details = getErrorDetails(code);
+    const httpStatus = status || details.status;
+    return {
+        status: httpStatus,
+        payload: { type: 'error', error: { type: errorType(httpStatus), message: message || details.message } }
+    };
+}
+
+/**
+ * 写出 Anthropic 格式的 SSE 事件
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {string} event - 事件类型
+ * @param {object} payload - 事件数据
+ */
+function sendEvent(res, event, payload) {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * 发送 Anthropic 格式的错误响应
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 错误选项
+ * @param {string} options.code - 错误码 (ERROR_CODES)
+ * @param {string} [options.message] - 错误消息
+ * @param {number} [options.status] - HTTP 状态码
+ * @param {boolean} [options.isStreaming=false] - 是否已进入流式响应
+ */
+export function sendAnthropicError(res, options) {
+    if (res.writableEnded) return;
+    const { status, payload } = buildError(options);
+    if (options.isStreaming) {
+        sendEvent(res, 'error', payload);
+        res.end();
+    } else {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+}
+
+/**
+ * 将 Anthropic 内容块中的文本拼接为字符串
+ * @param {string|object[]} content - 字符串或内容块数组
+ * @returns {string}
+ */
+function joinText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.filter(block => block?.type === 'text').map(block => block.text).join('\n');
+}
+
+/**
+ * 将 Anthropic 图片块转换为 OpenAI image_url 内容
+ * @param {object} block - 图片块 { source: { type: 'base64' | 'url' | 'file', ... } }
+ * @returns {object|null}
+ */
+function convertImage(block) {
+    const source = block.source || {};
+    if (source.type === 'base64' && source.data) {
+        return { type: 'image_url', image_url: { url: `data:${source.media_type || 'image/png'};base64,${source.data}` } };
+    }
+    if (source.type === 'url' && source.url) {
+        return { type: 'image_url', image_url: { url: source.url } };
+    }
+    if (source.type === 'file' && source.file_id) {
+        return { type: 'file', file: { file_id: source.file_id } };
+    }
+    return null;
+}
+
+/**
+ * 将 Anthropic 文档块转换为 OpenAI 内容
+ * @param {object} block - 文档块 { source: { type: 'base64' | 'text' | 'file', ... }, title? }
+ * @returns {object|null} base64/file 来源转换为 file 附件，text 来源转换为文本
+ */
+function convertDocument(block) {
+    const source = block.source || {};
+    if (source.type === 'base64' && source.data) {
+        const mediaType = source.media_type || 'application/pdf';
+        return { type: 'file', file: { file_data: `data:${mediaType};base64,${source.data}`, filename: block.title } };
+    }
+    if (source.type === 'file' && source.file_id) {
+        return { type: 'file', file: { file_id: source.file_id } };
+    }
+    if (source.type === 'text' && typeof source.data === 'string') {
+        return { type: 'text', text: block.title ? `${block.title}\n${source.data}` : source.data };
+    }
+    return null;
+}
+
+/**
+ * 将单条 Anthropic 消息转换为 OpenAI 消息列表
+ * tool_result 块拆分为 tool 角色消息，tool_use 块转换为助手的 tool_calls
+ * @param {object} message - Anthropic 消息 { role, content }
+ * @returns {object[]}
+ */
+function convertMessage(message) {
+    const { role, content } = message;
+    if (typeof content === 'string') return [{ role, content }];
+    if (!Array.isArray(content)) return [{ role, content: '' }];
+
+    const converted = [];
+    const parts = [];
+    const toolCalls = [];
+
+    for (const block of content) {
+        if (block?.type === 'text') {
+            parts.push({ type: 'text', text: block.text });
+        } else if (block?.type === 'image') {
+            const image = convertImage(block);
+            if (image) parts.push(image);
+        } else if (block?.type === 'document') {
+            const document = convertDocument(block);
+            if (document) parts.push(document);
+        } else if (block?.type === 'tool_use') {
+            toolCalls.push({
+                id: block.id,
+                type: 'function',
+                function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+            });
+        } else if (block?.type === 'tool_result') {
+            const text = joinText(block.content);
+            converted.push({
+                role: 'tool',
+                tool_call_id: block.tool_use_id,
+                content: block.is_error ? `[错误] ${text}` : text
+            });
+        }
+        // thinking / redacted_thinking 等块不回传给网页
+    }
+
+    if (role === 'assistant') {
+        const message = { role, content: parts };
+        if (toolCalls.length > 0) message.tool_calls = toolCalls;
+        converted.push(message);
+    } else if (parts.length > 0) {
+        converted.push({ role, content: parts });
+    }
+    return converted;
+}
+
+/**
+ * 转换 Anthropic tool_choice
+ * @param {object} [toolChoice] - { type: 'auto' | 'any' | 'tool' | 'none', name? }
+ * @returns {string|object|undefined}
+ */
+function convertToolChoice(toolChoice) {
+    switch (toolChoice?.type) {
+        case 'any': return 'required';
+        case 'none': return 'none';
+        case 'tool': return { type: 'function', function: { name: toolChoice.name } };
+        case 'auto': return 'auto';
+        default: return undefined;
+    }
+}
+
+/**
+ * 将 Anthropic Messages 请求转换为 OpenAI 聊天补全请求体
+ * @param {object} body - Anthropic 请求体
+ * @returns {{data?: object, error?: string}} 转换结果
+ */
+export function toChatRequest(body) {
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        return { error: 'messages 必须是非空数组' };
+    }
+
+    const messages = [];
+    const system = joinText(body.system);
+    if (system) messages.push({ role: 'system', content: system });
+    for (const message of body.messages) {
+        if (message?.role !== 'user' && message?.role !== 'assistant') {
+            return { error: `messages 中的 role 仅支持 user 或 assistant: ${message?.role}` };
+        }
+        messages.push(...convertMessage(message));
+    }
+
+    const data = {
+        model: body.model,
+        messages,
+        stream: body.stream === true
+    };
+    if (Array.isArray(body.tools) && body.tools.length > 0) {
+        data.tools = body.tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+        }));
+        data.tool_choice = convertToolChoice(body.tool_choice);
+    }
+    return { data };
+}
+
+/**
+ * 解析工具调用参数
+ * @param {string} args - JSON 字符串
+ * @returns {object}
+ */
+function parseArguments(args) {
+    try {
+        return JSON.parse(args || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * 构造 Anthropic 格式的消息响应（非流式）
+ * @param {import('../../respond.js').ChatChoice} choice - 回复结果
+ * @param {string} modelName - 模型名称
+ * @param {import('../../tokens.js').Usage} usage - token 用量
+ * @param {object} [options={}] - 选项
+ * @param {boolean} [options.thinking=false] - 是否返回思考过程（请求启用了 thinking）
+ * @returns {object}
+ */
+export function buildMessage(choice, modelName, usage, options = {}) {
+    const content = [];
+    if (options.thinking && choice.reasoning) {
+        content.push({ type: 'thinking', thinking: choice.reasoning, signature: '' });
+    }
+    if (choice.content) {
+        content.push({ type: 'text', text: choice.content });
+    }
+    for (const call of choice.toolCalls || []) {
+        content.push({ type: 'tool_use', id: call.id, name: call.function.name, input: parseArguments(call.function.arguments) });
+    }
+
+    return {
+        id: 'msg_' + Date.now(),
+        type: 'message',
+        role: 'assistant',
+        model: modelName,
+        content,
+        stop_reason: choice.toolCalls?.length ? 'tool_use' : 'end_turn',
+        stop_sequence: null,
+        usage: { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens }
+    };
+}
+
+/**
+ * 创建 Anthropic Messages 格式的响应器
+ * 流式事件顺序: message_start → (content_block_start → content_block_delta* → content_block_stop)* → message_delta → message_stop
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {string} options.modelName - 模型名称
+ * @param {boolean} options.isStreaming - 是否流式响应
+ * @param {number} options.inputTokens - 估算的输入 token 数（用于 message_start）
+ * @param {boolean} [options.thinking=false] - 是否返回思考过程
+ * @returns {import('../../respond.js').TaskResponder}
+ */
+export function createAnthropicResponder(res, options) {
+    const { isStreaming, inputTokens, thinking = false } = options;
+    let modelName = options.modelName;
+    const messageId = 'msg_' + Date.now();
+    let started = false;
+    let blockIndex = -1;
+    let blockType = null;
+    let streamedText = '';
+    let streamedReasoning = '';
+
+    function start() {
+        if (started) return;
+        started = true;
+        sendEvent(res, 'message_start', {
+            type: 'message_start',
+            message: {
+                id: messageId,
+                type: 'message',
+                role: 'assistant',
+                model: modelName,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { input_tokens: inputTokens, output_tokens: 0 }
+            }
+        });
+    }
+
+    function closeBlock() {
+        if (blockType === null) return;
+        sendEvent(res, 'content_block_stop', { type: 'content_block_stop', index: blockIndex });
+        blockType = null;
+    }
+
+    /**
+     * 在指定类型的内容块中推送增量，类型变化时先关闭上一个块
+     */
+    function sendDelta(type, delta) {
+        start();
+        if (blockType !== type) {
+            closeBlock();
+            blockIndex++;
+            blockType = type;
+            const block = type === 'thinking' ? { type, thinking: '' } : { type, text: '' };
+            sendEvent(res, 'content_block_start', { type: 'content_block_start', index: blockIndex, content_block: block });
+        }
+        const payload = type === 'thinking' ? { type: 'thinking_delta', thinking: delta } : { type: 'text_delta', text: delta };
+        sendEvent(res, 'content_block_delta', { type: 'content_block_delta', index: blockIndex, delta: payload });
+    }
+
+    return {
+        setModel(model) {
+            modelName = model;
+        },
+
+        heartbeat(mode) {
+            if (res.writableEnded) return;
+            if (mode === 'comment') {
+                res.write(':keepalive\n\n');
+            } else {
+                start();
+                sendEvent(res, 'ping', { type: 'ping' });
+            }
+        },
+
+        textDelta(delta) {
+            streamedText += delta;
+            sendDelta('text', delta);
+        },
+
+        reasoningDelta(delta) {
+            if (!thinking) return;
+            streamedReasoning += delta;
+            sendDelta('thinking', delta);
+        },
+
+        resetStream() {
+            // 丢弃失败尝试的内容块，重试的内容从索引 0 开始替换
+            if (started) closeBlock();
+            blockIndex = -1;
+            streamedText = '';
+            streamedReasoning = '';
+        },
+
+        success(choices, usage) {
+            // Messages API 不支持多个候选，只返回第一个结果
+            const choice = choices[0];
+            if (!isStreaming) {
+                if (res.writableEnded) return;
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(buildMessage(choice, modelName, usage, { thinking })));
+                return;
+            }
+
+            const reasoningTail = thinking ? unsentTail(choice.reasoning || '', streamedReasoning) : '';
+            if (reasoningTail) sendDelta('thinking', reasoningTail);
+            const tail = unsentTail(choice.content || '', streamedText);
+            if (tail) sendDelta('text', tail);
+
+            start();
+            closeBlock();
+            for (const call of choice.toolCalls || []) {
+                blockIndex++;
+                sendEvent(res, 'content_block_start', {
+                    type: 'content_block_start',
+                    index: blockIndex,
+                    content_block: { type: 'tool_use', id: call.id, name: call.function.name, input: {} }
+                });
+                sendEvent(res, 'content_block_delta', {
+                    type: 'content_block_delta',
+                    index: blockIndex,
+                    delta: { type: 'input_json_delta', partial_json: call.function.arguments || '{}' }
+                });
+                sendEvent(res, 'content_block_stop', { type: 'content_block_stop', index: blockIndex });
+            }
+
+            sendEvent(res, 'message_delta', {
+                type: 'message_delta',
+                delta: { stop_reason: choice.toolCalls?.length ? 'tool_use' : 'end_turn', stop_sequence: null },
+                usage: { output_tokens: usage.completion_tokens }
+            });
+            sendEvent(res, 'message_stop', { type: 'message_stop' });
+            if (!res.writableEnded) res.end();
+        },
+
+        error(error) {
+            sendAnthropicError(res, { ...error, isStreaming });
+        }
+    };
+}
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Anthropic 兼容 API 路由
+ * @description 处理 /v1/messages 与 /v1/messages/count_tokens，复用 OpenAI 请求解析与任务队列
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { ERROR_CODES } from '../../errors.js';
+import { sendJson } from '../../respond.js';
+import { estimateTokens } from '../../tokens.js';
+import { parseRequest } from '../openai/parse.js';
+import { getRequestOwner, hasModelScope, scopeModels } from '../../middlewares/auth.js';
+import { toChatRequest, createAnthropicResponder, sendAnthropicError } from './convert.js';
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @returns {Promise<object>} 请求体
+ */
+async function readJsonBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString());
+}
+
+/**
+ * 创建 Anthropic API 路由处理器
+ * @param {object} context - 路由上下文（同 createOpenAIRouter）
+ * @returns {Function} 路由处理函数（返回是否已处理该请求）
+ */
+export function createAnthropicRouter(context) {
+    const {
+        backendName,
+        getModels,
+        getImagePolicy,
+        getModelType,
+        getImageOptions,
+        getFileTypes,
+        getPromptTemplate,
+        getInputLimit,
+        tempDir,
+        imageLimit,
+        queueManager,
+        fileStore,
+        remoteImage
+    } = context;
+
+    /**
+     * 将 Anthropic 请求体转换并解析为内部任务参数
+     * @param {import('http').IncomingMessage} req - HTTP 请求（用于确定可引用的已上传文件）
+     * @param {object} body - Anthropic 请求体
+     * @param {string} requestId - 请求 ID
+     * @returns {Promise<import('../openai/parse.js').ParseResult>}
+     */
+    async function parseMessages(req, body, requestId) {
+        const converted = toChatRequest(body);
+        if (converted.error) {
+            return { success: false, error: { code: ERROR_CODES.INVALID_PARAMETER, error: converted.error } };
+        }
+        return parseRequest(converted.data, {
+            tempDir,
+            imageLimit,
+            backendName,
+            getSupportedModels: () => scopeModels(getModels(), req),
+            requireModel: hasModelScope(req.apiKey),
+            getImagePolicy,
+            getModelType,
+            getImageOptions,
+            getFileTypes,
+            getPromptTemplate,
+            getInputLimit,
+            requestId,
+            logger,
+            remoteImage,
+            getFile: fileStore ? (fileId) => fileStore.get(fileId, getRequestOwner(req)) : undefined
+        });
+    }
+
+    /**
+     * 处理 POST /v1/messages
+     */
+    async function handleMessages(req, res, requestId) {
+        try {
+            const body = await readJsonBody(req);
+            const isStreaming = body.stream === true;
+
+            // 限流检查
+            if (!isStreaming && !queueManager.canAcceptNonStreaming()) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendAnthropicError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}/${queueManager.maxQueueSize}）。请使用流式模式 (stream: true) 或稍后重试。`
+                });
+                return;
+            }
+
+            const parseResult = await parseMessages(req, body, requestId);
+            if (!parseResult.success) {
+                sendAnthropicError(res, { code: parseResult.error.code, message: parseResult.error.error });
+                return;
+            }
+
+            // 设置 SSE 响应头（请求校验通过后再进入流式，便于客户端按 HTTP 状态码处理参数错误）
+            if (isStreaming) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+            }
+
+            const { prompt, imagePaths, attachments, modelId, modelName, tools, imageOptions, mediaFormat, session, targetPrompts } = parseResult.data;
+
+            logger.info('服务器', `[队列] Anthropic 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                attachments,
+                session,
+                targetPrompts,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming,
+                tools,
+                imageOptions,
+                mediaFormat,
+                responder: createAnthropicResponder(res, {
+                    modelName: modelName || body.model,
+                    isStreaming,
+                    inputTokens: estimateTokens(prompt),
+                    thinking: body.thinking?.type === 'enabled'
+                })
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendAnthropicError(res, {
+                code: err instanceof SyntaxError ? ERROR_CODES.INVALID_PARAMETER : ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming: res.headersSent
+            });
+        }
+    }
+
+    /**
+     * 处理 POST /v1/messages/count_tokens（按实际发送给网页的提示词估算）
+     */
+    async function handleCountTokens(req, res, requestId) {
+        try {
+            const parseResult = await parseMessages(req, await readJsonBody(req), requestId);
+            if (!parseResult.success) {
+                sendAnthropicError(res, { code: parseResult.error.code, message: parseResult.error.error });
+                return;
+            }
+
+            const { prompt, imagePaths, attachments, targetPrompts } = parseResult.data;
+            // 别名各目标的附件中可能有按各自模板生成的上下文附件
+            const allAttachments = [...attachments, ...Object.values(targetPrompts || {}).flatMap(t => t.attachments)];
+            for (const p of new Set([...imagePaths, ...allAttachments.map(a => a.path)])) {
+                try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+            }
+            sendJson(res, 200, { input_tokens: estimateTokens(prompt) });
+        } catch (err) {
+            sendAnthropicError(res, {
+                code: err instanceof SyntaxError ? ERROR_CODES.INVALID_PARAMETER : ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * Anthropic API 路由处理函数
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} pathname - 去除 /v1 前缀后的路径
+     * @returns {Promise<boolean>} 是否已处理该请求
+     */
+    return async function handleAnthropicRequest(req, res, pathname) {
+        if (req.method !== 'POST') return false;
+
+        const requestId = crypto.randomUUID().slice(0, 8);
+        if (pathname === '/messages') {
+            await handleMessages(req, res, requestId);
+        } else if (pathname === '/messages/count_tokens') {
+            await handleCountTokens(req, res, requestId);
+        } else {
+            return false;
+        }
+        return true;
+    };
+}
@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Gemini 原生 API 格式转换
+ * @description 将 generateContent 请求转换为 OpenAI 聊天补全格式交给 parseRequest 处理，并将结果按 GenerateContentResponse 格式输出
+ */
+
+import { getErrorDetails } from '../../errors.js';
+import { unsentTail } from '../../respond.js';
+
+/**
+ * 按 HTTP 状态码映射 Google API 错误状态
+ * @param {number} status - HTTP 状态码
+ * @returns {string}
+ */
+function errorStatus(status) {
+    switch (status) {
+        case 400: return 'INVALID_ARGUMENT';
+        case 401: return 'UNAUTHENTICATED';
+        case 403: return 'PERMISSION_DENIED';
+        case 404: return 'NOT_FOUND';
+        case 429: return 'RESOURCE_EXHAUSTED';
+        case 503: return 'UNAVAILABLE';
+        case 504: return 'DEADLINE_EXCEEDED';
+        default: return 'INTERNAL';
+    }
+}
+
+/**
+ * 写出 SSE 数据块 (alt=sse)
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} payload - GenerateContentResponse
+ */
+function sendChunk(res, payload) {
+    if (res.writableEnded) return;
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * 发送 Google API 格式的错误响应
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 错误选项
+ * @param {string} options.code - 错误码 (ERROR_CODES)
+ * @param {string} [options.message] - 错误消息
+ * @param {number} [options.status] - HTTP 状态码
+ * @param {boolean} [options.isStreaming=false] - 是否已进入流式响应
+ */
+export function sendGeminiError(res, options) {
+    if (res.writableEnded) return;
+    const details = getErrorDetails(options.code);
+    const httpStatus = options.status || details.status;
+    const payload = {
+        error: { code: httpStatus, message: options.message || details.message, status: errorStatus(httpStatus) }
+    };
+    if (options.isStreaming) {
+        sendChunk(res, payload);
+        res.end();
+    } else {
+        res.writeHead(httpStatus, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+}
+
+/**
+ * 将 Gemini 的 OpenAPI 风格 Schema（type 为 'OBJECT' 等大写枚举）转换为 JSON Schema
+ * @param {unknown} schema - Schema
+ * @returns {unknown}
+ */
+function normalizeSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(normalizeSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    const normalized = {};
+    for (const [key, value] of Object.entries(schema)) {
+        normalized[key] = key === 'type' && typeof value === 'string' ? value.toLowerCase() : normalizeSchema(value);
+    }
+    return normalized;
+}
+
+/**
+ * 将 Gemini part 列表转换为 OpenAI 消息列表
+ * functionResponse 拆分为 tool 角色消息，functionCall 转换为助手的 tool_calls
+ * @param {object} content - Gemini Content { role, parts }
+ * @returns {object[]}
+ */
+function convertContent(content) {
+    const role = content.role === 'model' ? 'assistant' : 'user';
+    const converted = [];
+    const parts = [];
+    const toolCalls = [];
+
+    for (const part of content.parts || []) {
+        if (typeof part?.text === 'string') {
+            // 历史中的思考过程不回传给网页
+            if (!part.thought) parts.push({ type: 'text', text: part.text });
+        } else if (part?.inlineData?.data && part.inlineData.mimeType?.startsWith('image/')) {
+            const { mimeType, data } = part.inlineData;
+            parts.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } });
+        } else if (part?.inlineData?.data && part.inlineData.mimeType) {
+            // 非图片的内联数据 (PDF、音频等) 作为附件上传
+            const { mimeType, data } = part.inlineData;
+            parts.push({ type: 'file', file: { file_data: `data:${mimeType};base64,${data}` } });
+        } else if (part?.fileData?.fileUri && /^https?:\/\//.test(part.fileData.fileUri)) {
+            parts.push({ type: 'image_url', image_url: { url: part.fileData.fileUri } });
+        } else if (part?.functionCall) {
+            const { id, name, args } = part.functionCall;
+            toolCalls.push({
+                id: id || `call_${converted.length}_${toolCalls.length}`,
+                type: 'function',
+                function: { name, arguments: JSON.stringify(args ?? {}) }
+            });
+        } else if (part?.functionResponse) {
+            const { id, name, response } = part.functionResponse;
+            converted.push({ role: 'tool', tool_call_id: id, name, content: JSON.stringify(response ?? {}) });
+        }
+    }
+
+    if (role === 'assistant') {
+        const message = { role, content: parts };
+        if (toolCalls.length > 0) message.tool_calls = toolCalls;
+        converted.push(message);
+    } else if (parts.length > 0) {
+        converted.push({ role, content: parts });
+    }
+    return converted;
+}
+
+/**
+ * 转换 toolConfig.functionCallingConfig
+ * @param {object} [config] - { mode: 'AUTO' | 'ANY' | 'NONE', allowedFunctionNames? }
+ * @returns {string|object|undefined}
+ */
+function convertToolChoice(config) {
+    switch (config?.mode) {
+        case 'ANY':
+            return config.allowedFunctionNames?.length === 1
+                ? { type: 'function', function: { name: config.allowedFunctionNames[0] } }
+                : 'required';
+        case 'NONE': return 'none';
+        case 'AUTO': return 'auto';
+        default: return undefined;
+    }
+}
+
+/**
+ * 将 Gemini generateContent 请求转换为 OpenAI 聊天补全请求体
+ * @param {object} body - Gemini 请求体
+ * @param {string} model - 路径中的模型名（已去除 models/ 前缀）
+ * @param {boolean} isStreaming - 是否为 streamGenerateContent
+ * @returns {{data?: object, error?: string}} 转换结果
+ */
+export function toChatRequest(body, model, isStreaming) {
+    if (!Array.isArray(body.contents) || body.contents.length === 0) {
+        return { error: 'contents 必须是非空数组' };
+    }
+
+    const messages = [];
+    const systemInstruction = body.systemInstruction || body.system_instruction;
+    const system = typeof systemInstruction === 'string'
+        ? systemInstruction
+        : (systemInstruction?.parts || []).map(part => part.text).filter(Boolean).join('\n');
+    if (system) messages.push({ role: 'system', content: system });
+    for (const content of body.contents) {
+        messages.push(...convertContent(content));
+    }
+
+    const config = body.generationConfig || {};
+    const data = { model, messages, stream: isStreaming };
+    if (config.candidateCount !== undefined) data.n = config.candidateCount;
+    if (config.imageConfig?.aspectRatio) data.aspect_ratio = config.imageConfig.aspectRatio;
+    if (config.imageConfig?.imageSize) data.size = config.imageConfig.imageSize;
+    if (config.responseMimeType === 'application/json') {
+        const schema = config.responseJsonSchema || config.responseSchema;
+        data.response_format = schema
+            ? { type: 'json_schema', json_schema: { name: 'response', schema: normalizeSchema(schema) } }
+            : { type: 'json_object' };
+    }
+
+    const declarations = (body.tools || []).flatMap(tool => tool.functionDeclarations || []);
+    if (declarations.length > 0) {
+        data.tools = declarations.map(declaration => ({
+            type: 'function',
+            function: {
+                name: declaration.name,
+                description: declaration.description,
+                parameters: declaration.parametersJsonSchema || normalizeSchema(declaration.parameters)
+            }
+        }));
+        data.tool_choice = convertToolChoice(body.toolConfig?.functionCallingConfig);
+    }
+    return { data };
+}
+
+/**
+ * 将图片/视频结果转换为 part（data URI → inlineData，URL → fileData）
+ * @param {string} image - data URI 或 URL
+ * @returns {object}
+ */
+function mediaPart(image) {
+    const match = image.match(/^data:([^;,]+);base64,(.*)$/s);
+    if (match) return { inlineData: { mimeType: match[1], data: match[2] } };
+    return { fileData: { fileUri: image } };
+}
+
+/**
+ * 将 ChatChoice 转换为 Gemini 候选结果
+ * @param {import('../../respond.js').ChatChoice} choice - 回复结果
+ * @param {number} index - 候选序号
+ * @param {object} options - 选项
+ * @param {boolean} options.includeThoughts - 是否返回思考过程
+ * @param {string} [options.text] - 覆盖 choice.content 的文本（流式时为未推送的剩余部分）
+ * @param {string} [options.reasoning] - 覆盖 choice.reasoning 的思考过程
+ * @returns {object}
+ */
+function buildCandidate(choice, index, options) {
+    const { includeThoughts, text = choice.content, reasoning = choice.reasoning } = options;
+    const parts = [];
+    if (includeThoughts && reasoning) parts.push({ text: reasoning, thought: true });
+    if (choice.images?.length) {
+        parts.push(...choice.images.map(mediaPart));
+    } else if (text) {
+        parts.push({ text });
+    }
+    for (const call of choice.toolCalls || []) {
+        let args = {};
+        try { args = JSON.parse(call.function.arguments || '{}'); } catch (e) { /* ignore */ }
+        parts.push({ functionCall: { id: call.id, name: call.function.name, args } });
+    }
+    return { content: { role: 'model', parts }, finishReason: 'STOP', index };
+}
+
+/**
+ * 转换 token 用量
+ * @param {import('../../tokens.js').Usage} usage - token 用量
+ * @returns {object}
+ */
+function buildUsageMetadata(usage) {
+    return {
+        promptTokenCount: usage.prompt_tokens,
+        candidatesTokenCount: usage.completion_tokens,
+        totalTokenCount: usage.total_tokens
+    };
+}
+
+/**
+ * 构造 Gemini 模型对象 (models.list / models.get)
+ * @param {string} id - 模型 ID
+ * @returns {object}
+ */
+export function buildModel(id) {
+    return {
+        name: `models/${id}`,
+        baseModelId: id,
+        version: '001',
+        displayName: id,
+        supportedGenerationMethods: ['generateContent', 'streamGenerateContent', 'countTokens']
+    };
+}
+
+/**
+ * 创建 Gemini GenerateContentResponse 格式的响应器
+ * 流式 (alt=sse) 时每个增量为一个只含单个 part 的响应块，最后一块带 finishReason 与 usageMetadata
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {string} options.modelName - 模型名称
+ * @param {boolean} options.isStreaming - 是否流式响应
+ * @param {boolean} [options.includeThoughts=false] - 是否返回思考过程 (thinkingConfig.includeThoughts)
+ * @returns {import('../../respond.js').TaskResponder}
+ */
+export function createGeminiResponder(res, options) {
+    const { isStreaming, includeThoughts = false } = options;
+    let modelName = options.modelName;
+    const responseId = 'resp_' + Date.now();
+    let streamedText = '';
+    let streamedReasoning = '';
+
+    function sendPart(part) {
+        sendChunk(res, {
+            candidates: [{ content: { role: 'model', parts: [part] }, index: 0 }],
+            modelVersion: modelName,
+            responseId
+        });
+    }
+
+    return {
+        setModel(model) {
+            modelName = model;
+        },
+
+        heartbeat(mode) {
+            if (res.writableEnded) return;
+            if (mode === 'comment') {
+                res.write(':keepalive\n\n');
+            } else {
+                sendPart({ text: '' });
+            }
+        },
+
+        textDelta(delta) {
+            streamedText += delta;
+            sendPart({ text: delta });
+        },
+
+        reasoningDelta(delta) {
+            if (!includeThoughts) return;
+            streamedReasoning += delta;
+            sendPart({ text: delta, thought: true });
+        },
+
+        resetStream() {
+            streamedText = '';
+            streamedReasoning = '';
+        },
+
+        success(choices, usage) {
+            if (!isStreaming) {
+                if (res.writableEnded) return;
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    candidates: choices.map((choice, index) => buildCandidate(choice, index, { includeThoughts })),
+                    usageMetadata: buildUsageMetadata(usage),
+                    modelVersion: modelName,
+                    responseId
+                }));
+                return;
+            }
+
+            // 增量只在单个结果时推送，最后一块补发未推送的内容
+            sendChunk(res, {
+                candidates: choices.map((choice, index) => buildCandidate(choice, index, {
+                    includeThoughts,
+                    text: unsentTail(choice.content || '', streamedText),
+                    reasoning: unsentTail(choice.reasoning || '', streamedReasoning)
+                })),
+                usageMetadata: buildUsageMetadata(usage),
+                modelVersion: modelName,
+                responseId
+            });
+            if (!res.writableEnded) res.end();
+        },
+
+        error(error) {
+            sendGeminiError(res, { ...error, isStreaming });
+        }
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Gemini 原生 API 路由
+ * @description 处理 /v1beta 路径下的 models.list / generateContent / streamGenerateContent / countTokens，复用 OpenAI 请求解析与任务队列
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { ERROR_CODES } from '../../errors.js';
+import { sendJson } from '../../respond.js';
+import { estimateTokens } from '../../tokens.js';
+import { parseRequest } from '../openai/parse.js';
+import { hasModelScope, scopeModels } from '../../middlewares/auth.js';
+import { toChatRequest, buildModel, createGeminiResponder, sendGeminiError } from './convert.js';
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @returns {Promise<object>} 请求体
+ */
+async function readJsonBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString());
+}
+
+/**
+ * 创建 Gemini API 路由处理器
+ * @param {object} context - 路由上下文（同 createOpenAIRouter）
+ * @returns {Function} 路由处理函数
+ */
+export function createGeminiRouter(context) {
+    const {
+        backendName,
+        getModels,
+        getImagePolicy,
+        getModelType,
+        getImageOptions,
+        getFileTypes,
+        getPromptTemplate,
+        getInputLimit,
+        tempDir,
+        imageLimit,
+        queueManager,
+        remoteImage
+    } = context;
+
+    /**
+     * 将 Gemini 请求体转换并解析为内部任务参数
+     * @param {import('http').IncomingMessage} req - HTTP 请求
+     * @param {object} body - Gemini 请求体
+     * @param {string} model - 模型名
+     * @param {boolean} isStreaming - 是否流式
+     * @param {string} requestId - 请求 ID
+     * @returns {Promise<import('../openai/parse.js').ParseResult>}
+     */
+    async function parseContents(req, body, model, isStreaming, requestId) {
+        const converted = toChatRequest(body, model, isStreaming);
+        if (converted.error) {
+            return { success: false, error: { code: ERROR_CODES.INVALID_PARAMETER, error: converted.error } };
+        }
+        return parseRequest(converted.data, {
+            tempDir,
+            imageLimit,
+            backendName,
+            getSupportedModels: () => scopeModels(getModels(), req),
+            requireModel: hasModelScope(req.apiKey),
+            getImagePolicy,
+            getModelType,
+            getImageOptions,
+            getFileTypes,
+            getPromptTemplate,
+            getInputLimit,
+            requestId,
+            logger,
+            remoteImage
+        });
+    }
+
+    /**
+     * 处理 GET /v1beta/models/{model}
+     */
+    function handleGetModel(req, res, model) {
+        if (!scopeModels(getModels(), req).data.some(m => m.id === model)) {
+            sendGeminiError(res, { code: ERROR_CODES.NOT_FOUND, message: `模型不存在: ${model}` });
+            return;
+        }
+        sendJson(res, 200, buildModel(model));
+    }
+
+    /**
+     * 处理 POST /v1beta/models/{model}:generateContent 与 :streamGenerateContent
+     */
+    async function handleGenerateContent(req, res, requestId, model, isStreaming) {
+        try {
+            const body = await readJsonBody(req);
+
+            // 限流检查
+            if (!isStreaming && !queueManager.canAcceptNonStreaming()) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendGeminiError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}/${queueManager.maxQueueSize}）。请使用 streamGenerateContent 或稍后重试。`
+                });
+                return;
+            }
+
+            const parseResult = await parseContents(req, body, model, isStreaming, requestId);
+            if (!parseResult.success) {
+                sendGeminiError(res, { code: parseResult.error.code, message: parseResult.error.error });
+                return;
+            }
+
+            // 设置 SSE 响应头（请求校验通过后再进入流式，便于客户端按 HTTP 状态码处理参数错误）
+            if (isStreaming) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+            }
+
+            const { prompt, imagePaths, attachments, modelId, modelName, n, tools, responseFormat, imageOptions, session, targetPrompts } = parseResult.data;
+
+            logger.info('服务器', `[队列] Gemini 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                attachments,
+                session,
+                targetPrompts,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming,
+                n,
+                tools,
+                responseFormat,
+                imageOptions,
+                // 图片以 inlineData 返回，SDK 的图片读取方法依赖 Base64 数据
+                mediaFormat: 'base64',
+                responder: createGeminiResponder(res, {
+                    modelName: modelName || model,
+                    isStreaming,
+                    includeThoughts: body.generationConfig?.thinkingConfig?.includeThoughts === true
+                })
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendGeminiError(res, {
+                code: err instanceof SyntaxError ? ERROR_CODES.INVALID_PARAMETER : ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming: res.headersSent
+            });
+        }
+    }
+
+    /**
+     * 处理 POST /v1beta/models/{model}:countTokens（按实际发送给网页的提示词估算）
+     */
+    async function handleCountTokens(req, res, requestId, model) {
+        try {
+            const body = await readJsonBody(req);
+            // countTokens 也接受 { generateContentRequest } 包装形式
+            const parseResult = await parseContents(req, body.generateContentRequest || body, model, false, requestId);
+            if (!parseResult.success) {
+                sendGeminiError(res, { code: parseResult.error.code, message: parseResult.error.error });
+                return;
+            }
+
+            const { prompt, imagePaths, attachments, targetPrompts } = parseResult.data;
+            // 别名各目标的附件中可能有按各自模板生成的上下文附件
+            const allAttachments = [...attachments, ...Object.values(targetPrompts || {}).flatMap(t => t.attachments)];
+            for (const p of new Set([...imagePaths, ...allAttachments.map(a => a.path)])) {
+                try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+            }
+            sendJson(res, 200, { totalTokens: estimateTokens(prompt) });
+        } catch (err) {
+            sendGeminiError(res, {
+                code: err instanceof SyntaxError ? ERROR_CODES.INVALID_PARAMETER : ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * Gemini API 路由处理函数
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} pathname - 去除 /v1beta 前缀后的路径
+     * @param {URL} parsedUrl - 解析后的 URL 对象
+     */
+    return async function handleGeminiRequest(req, res, pathname, parsedUrl) {
+        const requestId = crypto.randomUUID().slice(0, 8);
+        const actionMatch = pathname.match(/^\/models\/(.+):(generateContent|streamGenerateContent|countTokens)$/);
+        const modelMatch = pathname.match(/^\/models\/([^:]+)$/);
+
+        if (req.method === 'GET' && pathname === '/models') {
+            sendJson(res, 200, { models: scopeModels(getModels(), req).data.map(m => buildModel(m.id)) });
+        } else if (req.method === 'GET' && modelMatch) {
+            handleGetModel(req, res, decodeURIComponent(modelMatch[1]));
+        } else if (req.method === 'POST' && actionMatch) {
+            const model = decodeURIComponent(actionMatch[1]);
+            const action = actionMatch[2];
+            if (action === 'countTokens') {
+                await handleCountTokens(req, res, requestId, model);
+            } else if (action === 'streamGenerateContent' && parsedUrl.searchParams.get('alt') !== 'sse') {
+                sendGeminiError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: 'streamGenerateContent 仅支持 alt=sse' });
+            } else {
+                await handleGenerateContent(req, res, requestId, model, action === 'streamGenerateContent');
+            }
+        } else {
+            sendGeminiError(res, { code: ERROR_CODES.NOT_FOUND, message: `未知的接口: ${req.method} ${pathname}` });
+        }
+    };
+}
@@ -1,12 +1,16 @@
 /**
  * @fileoverview API 路由总装配
- * @description 统一挂载 /v1 和 /admin 路由
+ * @description 统一挂载 /v1 (OpenAI / Anthropic 兼容)、/v1beta (Gemini 兼容)、/api (Ollama 兼容)、/media (托管媒体) 和 /admin 路由
  */
 
 import fs from 'fs';
 import path from 'path';
 import { createOpenAIRouter } from './openai/routes.js';
+import { createAnthropicRouter } from './anthropic/routes.js';
+import { createGeminiRouter } from './gemini/routes.js';
+import { createOllamaRouter } from './ollama/routes.js';
 import { createAdminRouter } from './admin/routes.js';
+import { createMediaRouter } from './media/routes.js';
 import { createAuthMiddleware } from '../middlewares/auth.js';
 
 // MIME 类型映射
@@ -33,17 +37,22 @@ const WEBUI_DIR = path.join(process.cwd(), 'webui', 'dist');
  * 创建全局路由处理器
  * @param {object} context - 路由上下文
  * @param {boolean} [context.loginMode] - 登录模式（禁用 OpenAI API）
+ * @param {object} [context.keyStore] - API 密钥存储
  * @returns {Function} 请求处理函数
  */
 export function createGlobalRouter(context) {
-    const { authToken, config, queueManager, tempDir, loginMode, getSafeMode } = context;
+    const { authToken, keyStore, config, queueManager, tempDir, loginMode, getSafeMode, mediaStore } = context;
 
     // 创建鉴权中间件
-    const checkAuth = createAuthMiddleware(authToken);
+    const checkAuth = createAuthMiddleware(authToken, keyStore);
 
     // 创建子路由处理器
     const handleOpenAIRequest = loginMode ? null : createOpenAIRouter(context);
-    const handleAdminRequest = createAdminRouter({ config, queueManager, tempDir, getSafeMode });
+    const handleAnthropicRequest = loginMode ? null : createAnthropicRouter(context);
+    const handleGeminiRequest = loginMode ? null : createGeminiRouter(context);
+    const handleOllamaRequest = loginMode ? null : createOllamaRouter(context);
+    const handleAdminRequest = createAdminRouter({ config, queueManager, tempDir, getSafeMode, keyStore });
+    const handleMediaRequest = mediaStore ? createMediaRouter({ mediaStore, authToken, keyStore }) : null;
 
     /**
      * 主路由处理函数
@@ -52,8 +61,14 @@ export function createGlobalRouter(context) {
         const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
         const pathname = parsedUrl.pathname;
 
+        // ==================== 托管媒体文件（签名链接无需鉴权头） ====================
+        if ((req.method === 'GET' || req.method === 'HEAD') && pathname.startsWith('/media/') && handleMediaRequest) {
+            handleMediaRequest(req, res, pathname.slice(7), parsedUrl); // 去除 /media/ 前缀
+            return;
+        }
+
         // ==================== 静态文件服务 ====================
-        if (req.method === 'GET' && !pathname.startsWith('/v1') && !pathname.startsWith('/admin')) {
+        if (req.method === 'GET' && !pathname.startsWith('/v1') && !pathname.startsWith('/api/') && !pathname.startsWith('/admin')) {
             let filePath = pathname === '/' ? '/index.html' : pathname;
             filePath = path.join(WEBUI_DIR, filePath);
 
@@ -98,8 +113,8 @@ export function createGlobalRouter(context) {
             return;
         }
 
-        // OpenAI API (/v1)
-        if (pathname.startsWith('/v1')) {
+        // OpenAI / Anthropic API (/v1)、Gemini API (/v1beta) 与 Ollama API (/api)
+        if (pathname.startsWith('/v1') || pathname.startsWith('/api/')) {
             // 安全模式下禁用 OpenAI API
             const safeMode = getSafeMode?.();
             if (safeMode?.enabled) {
@@ -120,7 +135,16 @@ export function createGlobalRouter(context) {
                 }));
                 return;
             }
+            if (pathname.startsWith('/api/')) {
+                await handleOllamaRequest(req, res, pathname.slice(4)); // 去除 /api 前缀
+                return;
+            }
+            if (pathname.startsWith('/v1beta/')) {
+                await handleGeminiRequest(req, res, pathname.slice(7), parsedUrl); // 去除 /v1beta 前缀
+                return;
+            }
             const v1Path = pathname.slice(3); // 去除 /v1 前缀
+            if (await handleAnthropicRequest(req, res, v1Path)) return;
             await handleOpenAIRequest(req, res, v1Path, parsedUrl);
             return;
         }
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview 托管媒体文件路由
+ * @description 处理 GET /media/{file}，签名链接有效或请求携带 API Key 时返回文件
+ */
+
+import fs from 'fs';
+import { ERROR_CODES } from '../../errors.js';
+import { sendApiError } from '../../respond.js';
+import { resolveAuth } from '../../middlewares/auth.js';
+
+/**
+ * 创建托管媒体路由处理器
+ * @param {object} context - 路由上下文
+ * @param {object} context.mediaStore - 媒体存储
+ * @param {string} context.authToken - 认证令牌
+ * @param {object|null} [context.keyStore] - 密钥存储
+ * @returns {Function} 路由处理函数
+ */
+export function createMediaRouter(context) {
+    const { mediaStore, authToken, keyStore } = context;
+
+    /**
+     * 托管媒体路由处理函数
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} name - 文件名
+     * @param {URL} parsedUrl - 解析后的 URL 对象
+     */
+    return function handleMediaRequest(req, res, name, parsedUrl) {
+        const signed = mediaStore.verify(
+            name,
+            parsedUrl.searchParams.get('expires'),
+            parsedUrl.searchParams.get('signature')
+        );
+        if (!signed && !resolveAuth(req, authToken, keyStore).ok) {
+            sendApiError(res, { code: ERROR_CODES.UNAUTHORIZED, message: '链接无效或已过期' });
+            return;
+        }
+
+        const file = mediaStore.resolve(name);
+        if (!file) {
+            sendApiError(res, { code: ERROR_CODES.NOT_FOUND, message: `文件不存在或已过期: ${name}` });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': file.contentType,
+            'Content-Length': file.size,
+            'Cache-Control': 'private, max-age=3600'
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(file.path).pipe(res);
+    };
+}
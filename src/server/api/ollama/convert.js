@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Ollama API 格式转换
+ * @description 将 /api/chat 与 /api/generate 请求转换为 OpenAI 聊天补全格式交给 parseRequest 处理，并将结果按 Ollama 格式 (流式为 NDJSON) 输出
+ */
+
+import { getErrorDetails } from '../../errors.js';
+import { unsentTail } from '../../respond.js';
+
+/**
+ * 写出一行 NDJSON
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} payload - 数据
+ */
+function sendLine(res, payload) {
+    if (res.writableEnded) return;
+    res.write(JSON.stringify(payload) + '\n');
+}
+
+/**
+ * 发送 Ollama 格式的错误响应 ({ error: string })
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 错误选项
+ * @param {string} options.code - 错误码 (ERROR_CODES)
+ * @param {string} [options.message] - 错误消息
+ * @param {number} [options.status] - HTTP 状态码
+ * @param {boolean} [options.isStreaming=false] - 是否已进入流式响应
+ */
+export function sendOllamaError(res, options) {
+    if (res.writableEnded) return;
+    const details = getErrorDetails(options.code);
+    const payload = { error: options.message || details.message };
+    if (options.isStreaming) {
+        sendLine(res, payload);
+        res.end();
+    } else {
+        res.writeHead(options.status || details.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+}
+
+/**
+ * 将 Ollama 的 images 字段（纯 base64）转换为 image_url 内容
+ * @param {string[]} [images] - 图片列表
+ * @returns {object[]}
+ */
+function convertImages(images) {
+    if (!Array.isArray(images)) return [];
+    return images
+        .filter(image => typeof image === 'string' && image)
+        .map(image => ({
+            type: 'image_url',
+            image_url: { url: image.startsWith('data:') ? image : `data:image/png;base64,${image}` }
+        }));
+}
+
+/**
+ * 将单条 Ollama 消息转换为 OpenAI 消息
+ * @param {object} message - Ollama 消息 { role, content, images?, tool_calls?, tool_name? }
+ * @param {number} index - 消息序号（用于生成工具调用 ID）
+ * @returns {object}
+ */
+function convertMessage(message, index) {
+    const { role, content = '', images } = message;
+    const imageParts = convertImages(images);
+    const converted = {
+        role,
+        content: imageParts.length > 0 ? [{ type: 'text', text: content }, ...imageParts] : content
+    };
+
+    if (role === 'tool') {
+        converted.name = message.tool_name || message.name;
+    }
+    if (Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+        converted.tool_calls = message.tool_calls.map((call, callIndex) => ({
+            id: `call_${index}_${callIndex}`,
+            type: 'function',
+            function: {
+                name: call.function?.name,
+                arguments: typeof call.function?.arguments === 'string'
+                    ? call.function.arguments
+                    : JSON.stringify(call.function?.arguments ?? {})
+            }
+        }));
+    }
+    return converted;
+}
+
+/**
+ * 转换 format 参数
+ * @param {string|object} [format] - 'json' 或 JSON Schema
+ * @returns {object|undefined} OpenAI response_format
+ */
+function convertFormat(format) {
+    if (format === 'json') return { type: 'json_object' };
+    if (format && typeof format === 'object') {
+        return { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+    }
+    return undefined;
+}
+
+/**
+ * 将 /api/chat 请求转换为 OpenAI 聊天补全请求体
+ * @param {object} body - Ollama 请求体
+ * @returns {{data?: object, error?: string}} 转换结果
+ */
+export function chatToChatRequest(body) {
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        return { error: 'messages 必须是非空数组' };
+    }
+    return {
+        data: {
+            model: body.model,
+            messages: body.messages.map(convertMessage),
+            stream: body.stream !== false,
+            tools: Array.isArray(body.tools) && body.tools.length > 0 ? body.tools : undefined,
+            response_format: convertFormat(body.format)
+        }
+    };
+}
+
+/**
+ * 将 /api/generate 请求转换为 OpenAI 聊天补全请求体
+ * @param {object} body - Ollama 请求体 { model, prompt, system?, images? }
+ * @returns {{data?: object, error?: string}} 转换结果
+ */
+export function generateToChatRequest(body) {
+    if (typeof body.prompt !== 'string' || !body.prompt.trim()) {
+        return { error: 'prompt 不能为空' };
+    }
+    const messages = [];
+    if (body.system) messages.push({ role: 'system', content: body.system });
+    messages.push(convertMessage({ role: 'user', content: body.prompt, images: body.images }, 0));
+    return {
+        data: {
+            model: body.model,
+            messages,
+            stream: body.stream !== false,
+            response_format: convertFormat(body.format)
+        }
+    };
+}
+
+/**
+ * 构造 Ollama 模型列表 (/api/tags)
+ * @param {object} models - OpenAI 格式的模型列表
+ * @returns {object}
+ */
+export function buildTags(models) {
+    return {
+        models: models.data.map(m => ({
+            name: m.id,
+            model: m.id,
+            modified_at: new Date((m.created || Math.floor(Date.now() / 1000)) * 1000).toISOString(),
+            size: 0,
+            digest: '',
+            details: { format: '', family: m.owned_by || '', families: null, parameter_size: '', quantization_level: '' }
+        }))
+    };
+}
+
+/**
+ * 创建 Ollama 格式的响应器
+ * 流式时每行一个 JSON 对象，最后一行 done 为 true 并附带 token 统计
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {'chat'|'generate'} options.endpoint - 接口类型（决定内容放在 message 还是 response 字段）
+ * @param {string} options.modelName - 模型名称
+ * @param {boolean} options.isStreaming - 是否流式响应
+ * @param {boolean} [options.think=false] - 是否返回思考过程
+ * @returns {import('../../respond.js').TaskResponder}
+ */
+export function createOllamaResponder(res, options) {
+    const { endpoint, isStreaming, think = false } = options;
+    let modelName = options.modelName;
+    const startTime = process.hrtime.bigint();
+    let streamedText = '';
+    let streamedReasoning = '';
+
+    /**
+     * 构造响应对象
+     * @param {string} content - 回复内容
+     * @param {string} [thinking] - 思考过程
+     * @param {object[]} [toolCalls] - 工具调用 (仅 chat)
+     * @returns {object}
+     */
+    function buildPayload(content, thinking, toolCalls) {
+        const payload = { model: modelName, created_at: new Date().toISOString() };
+        if (endpoint === 'chat') {
+            payload.message = { role: 'assistant', content };
+            if (thinking) payload.message.thinking = thinking;
+            if (toolCalls?.length) payload.message.tool_calls = toolCalls;
+        } else {
+            payload.response = content;
+            if (thinking) payload.thinking = thinking;
+        }
+        return payload;
+    }
+
+    return {
+        setModel(model) {
+            modelName = model;
+        },
+
+        heartbeat() {
+            // NDJSON 不支持注释行，两种模式都发送空增量
+            sendLine(res, { ...buildPayload(''), done: false });
+        },
+
+        textDelta(delta) {
+            streamedText += delta;
+            sendLine(res, { ...buildPayload(delta), done: false });
+        },
+
+        reasoningDelta(delta) {
+            if (!think) return;
+            streamedReasoning += delta;
+            sendLine(res, { ...buildPayload('', delta), done: false });
+        },
+
+        resetStream() {
+            streamedText = '';
+            streamedReasoning = '';
+        },
+
+        success(choices, usage) {
+            // Ollama 不支持多个候选，只返回第一个结果
+            const choice = choices[0];
+            const toolCalls = (choice.toolCalls || []).map(call => {
+                let args = {};
+                try { args = JSON.parse(call.function.arguments || '{}'); } catch (e) { /* ignore */ }
+                return { function: { name: call.function.name, arguments: args } };
+            });
+            const content = isStreaming ? unsentTail(choice.content || '', streamedText) : (choice.content || '');
+            let thinking;
+            if (think) {
+                thinking = isStreaming ? unsentTail(choice.reasoning || '', streamedReasoning) : choice.reasoning;
+            }
+
+            const payload = {
+                ...buildPayload(content, thinking, toolCalls),
+                done: true,
+                done_reason: 'stop',
+                total_duration: Number(process.hrtime.bigint() - startTime),
+                prompt_eval_count: usage.prompt_tokens,
+                eval_count: usage.completion_tokens
+            };
+
+            if (isStreaming) {
+                sendLine(res, payload);
+                if (!res.writableEnded) res.end();
+            } else if (!res.writableEnded) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            }
+        },
+
+        error(error) {
+            sendOllamaError(res, { ...error, isStreaming });
+        }
+    };
+}
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Ollama 兼容 API 路由
+ * @description 处理 /api/tags、/api/version、/api/chat 与 /api/generate，复用 OpenAI 请求解析与任务队列
+ */
+
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { ERROR_CODES } from '../../errors.js';
+import { sendJson } from '../../respond.js';
+import { parseRequest } from '../openai/parse.js';
+import { hasModelScope, scopeModels } from '../../middlewares/auth.js';
+import {
+    chatToChatRequest,
+    generateToChatRequest,
+    buildTags,
+    createOllamaResponder,
+    sendOllamaError
+} from './convert.js';
+
+/** /api/version 返回的版本号（部分客户端据此判断接口能力） */
+const OLLAMA_VERSION = '0.12.0';
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @returns {Promise<object>} 请求体
+ */
+async function readJsonBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString());
+}
+
+/**
+ * 创建 Ollama API 路由处理器
+ * @param {object} context - 路由上下文（同 createOpenAIRouter）
+ * @returns {Function} 路由处理函数
+ */
+export function createOllamaRouter(context) {
+    const {
+        backendName,
+        getModels,
+        getImagePolicy,
+        getModelType,
+        getImageOptions,
+        getFileTypes,
+        getPromptTemplate,
+        getInputLimit,
+        tempDir,
+        imageLimit,
+        queueManager,
+        remoteImage
+    } = context;
+
+    /**
+     * 处理 POST /api/chat 与 /api/generate
+     * @param {'chat'|'generate'} endpoint - 接口类型
+     */
+    async function handleCompletion(req, res, requestId, endpoint) {
+        try {
+            const body = await readJsonBody(req);
+            // Ollama 默认流式输出
+            const isStreaming = body.stream !== false;
+
+            // 限流检查
+            if (!isStreaming && !queueManager.canAcceptNonStreaming()) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendOllamaError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}/${queueManager.maxQueueSize}）。请使用流式模式 (stream: true) 或稍后重试。`
+                });
+                return;
+            }
+
+            const converted = endpoint === 'chat' ? chatToChatRequest(body) : generateToChatRequest(body);
+            if (converted.error) {
+                sendOllamaError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: converted.error });
+                return;
+            }
+
+            const parseResult = await parseRequest(converted.data, {
+                tempDir,
+                imageLimit,
+                backendName,
+                getSupportedModels: () => scopeModels(getModels(), req),
+                requireModel: hasModelScope(req.apiKey),
+                getImagePolicy,
+                getModelType,
+                getImageOptions,
+                getFileTypes,
+                getPromptTemplate,
+                getInputLimit,
+                requestId,
+                logger,
+                remoteImage
+            });
+            if (!parseResult.success) {
+                sendOllamaError(res, { code: parseResult.error.code, message: parseResult.error.error });
+                return;
+            }
+
+            // 设置 NDJSON 响应头
+            if (isStreaming) {
+                res.writeHead(200, {
+                    'Content-Type': 'application/x-ndjson',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+            }
+
+            const { prompt, imagePaths, attachments, modelId, modelName, tools, responseFormat, imageOptions, mediaFormat, session, targetPrompts } = parseResult.data;
+
+            logger.info('服务器', `[队列] Ollama 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                attachments,
+                session,
+                targetPrompts,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming,
+                tools,
+                responseFormat,
+                imageOptions,
+                mediaFormat,
+                responder: createOllamaResponder(res, {
+                    endpoint,
+                    modelName: modelName || body.model,
+                    isStreaming,
+                    think: body.think === true
+                })
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendOllamaError(res, {
+                code: err instanceof SyntaxError ? ERROR_CODES.INVALID_PARAMETER : ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming: res.headersSent
+            });
+        }
+    }
+
+    /**
+     * Ollama API 路由处理函数
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} pathname - 去除 /api 前缀后的路径
+     */
+    return async function handleOllamaRequest(req, res, pathname) {
+        const requestId = crypto.randomUUID().slice(0, 8);
+
+        if (req.method === 'GET' && pathname === '/tags') {
+            sendJson(res, 200, buildTags(scopeModels(getModels(), req)));
+        } else if (req.method === 'GET' && pathname === '/version') {
+            sendJson(res, 200, { version: OLLAMA_VERSION });
+        } else if (req.method === 'POST' && pathname === '/chat') {
+            await handleCompletion(req, res, requestId, 'chat');
+        } else if (req.method === 'POST' && pathname === '/generate') {
+            await handleCompletion(req, res, requestId, 'generate');
+        } else {
+            sendOllamaError(res, { code: ERROR_CODES.NOT_FOUND, message: `未知的接口: ${req.method} ${pathname}` });
+        }
+    };
+}
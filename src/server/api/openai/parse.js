@@ -6,8 +6,61 @@
 import fs from 'fs';
 import path from 'path';
 import sharp from 'sharp';
-import { IMAGE_POLICY } from '../../../backend/registry.js';
+import { IMAGE_POLICY, acceptsFileTypes } from '../../../backend/registry.js';
 import { ERROR_CODES, getErrorMessage } from '../../errors.js';
+import { fetchRemoteImage } from '../../remoteImage.js';
+import { normalizeTools, normalizeToolChoice, buildToolsPrompt, renderToolCalls } from '../../tools.js';
+import { normalizeResponseFormat, buildResponseFormatPrompt } from '../../structured.js';
+import { resolveImageOptions } from '../../imageOptions.js';
+import { resolvePromptTemplate, renderSections } from '../../../utils/promptTemplate.js';
+
+/** n 参数上限（与 OpenAI 一致） */
+const MAX_N = 10;
+
+/** 提示词超出输入上限时，溢出部分以该类型的文本附件上传 */
+const OVERFLOW_MIME_TYPE = 'text/plain';
+
+/** /v1/files 支持的用途 */
+const FILE_PURPOSES = ['assistants', 'vision', 'user_data'];
+
+/** 文件扩展名与 MIME 类型映射（上传文件未声明类型时按扩展名推断，附件临时文件按类型补全扩展名） */
+const FILE_MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.csv': 'text/csv',
+    '.html': 'text/html',
+    '.json': 'application/json',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.m4a': 'audio/mp4',
+    '.ogg': 'audio/ogg',
+    '.flac': 'audio/flac'
+};
+
+/**
+ * 解析 n 参数（multipart 表单中的数字以字符串形式传入）
+ * @param {unknown} value - 请求中的 n
+ * @returns {{n?: number, error?: string}}
+ */
+function parseN(value) {
+    const n = value === undefined || value === null || value === '' ? 1 : Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_N) {
+        return { error: `n 必须为 1-${MAX_N} 之间的整数: ${value}` };
+    }
+    return { n };
+}
 
 /**
  * 构造解析错误结果
@@ -29,9 +82,39 @@ function parseError(code, customMessage) {
  * @typedef {object} ParsedRequest
  * @property {string} prompt - 提取的提示词
  * @property {string[]} imagePaths - 图片临时文件路径
+ * @property {Attachment[]} attachments - 非图片附件（仅文本模型）
  * @property {string|null} modelId - 解析后的模型 ID
  * @property {string|null} modelName - 原始模型名称
  * @property {boolean} isStreaming - 是否流式请求
+ * @property {number} n - 生成结果数量
+ * @property {import('../../tools.js').ToolDefinition[]|null} [tools] - 启用工具调用模拟时的工具列表（仅文本模型）
+ * @property {import('../../structured.js').ResponseFormat|null} [responseFormat] - 结构化输出格式（仅文本模型）
+ * @property {import('../../imageOptions.js').ImageOptions|null} [imageOptions] - 图片参数 size / aspect_ratio / quality（仅非文本模型）
+ * @property {'base64'|'url'|null} mediaFormat - 生成图片/视频的返回方式 (media_format)，未指定时为 null
+ * @property {SessionInfo|null} [session] - 多轮会话信息（仅文本模型的纯文本对话）
+ * @property {Record<string, TargetPrompt>|null} [targetPrompts] - 别名中模板与首个目标不同的目标各自的提示词（仅文本模型）
+ */
+
+/**
+ * @typedef {object} TargetPrompt
+ * @property {string} prompt - 按该目标的模板构建的提示词
+ * @property {Attachment[]} attachments - 该目标使用的附件（溢出时含按其模板生成的上下文附件）
+ */
+
+/**
+ * @typedef {object} Attachment
+ * @property {string} path - 临时文件路径
+ * @property {string} mimeType - MIME 类型
+ * @property {string} filename - 原始文件名
+ */
+
+/**
+ * @typedef {object} SessionInfo
+ * @property {Array<{role: string, content: string}>|null} lookup - 截至上一轮回复的对话历史（最后一条非助手回复时为 null，无法续接）
+ * @property {Array<{role: string, content: string}>} history - 截至本轮用户消息的对话（保存会话时追加本轮回复）
+ * @property {string} prompt - 本轮用户消息（续接会话时单独发送）
+ * @property {number} imageStart - 本轮图片在 imagePaths 中的起始位置
+ * @property {number} attachmentStart - 本轮附件在 attachments 中的起始位置
  */
 
 /**
@@ -57,8 +140,15 @@ function parseError(code, customMessage) {
  * @param {Function} options.getSupportedModels - 获取支持的模型列表函数
  * @param {Function} options.getImagePolicy - 获取图片策略函数
  * @param {Function} options.getModelType - 获取模型类型函数
+ * @param {Function} [options.getImageOptions] - 获取模型图片参数能力声明函数
+ * @param {Function} [options.getFileTypes] - 获取模型接受的附件 MIME 类型函数（缺省时不接受非图片附件）
+ * @param {Function} [options.getPromptTemplate] - 获取文本模型虚拟上下文模板配置函数（缺省时使用默认模板）
+ * @param {Function} [options.getInputLimit] - 获取文本模型输入长度上限函数（缺省时不限制）
  * @param {string} options.requestId - 请求 ID
  * @param {Function} options.logger - 日志函数
+ * @param {import('../../remoteImage.js').RemoteImageOptions} [options.remoteImage] - 远程图片下载选项（缺省时不下载 http 链接）
+ * @param {(fileId: string) => import('../../fileStore.js').StoredFile|null} [options.getFile] - 查找当前 API Key 上传的文件（缺省时不支持 file_id 引用）
+ * @param {boolean} [options.requireModel=false] - 是否必须指定模型（限制了可用模型的密钥不能使用网页默认模型）
  * @returns {Promise<ParseResult>} 解析结果
  */
 export async function parseRequest(data, options) {
@@ -69,8 +159,15 @@ export async function parseRequest(data, options) {
         getSupportedModels,
         getImagePolicy,
         getModelType,
+        getImageOptions,
+        getFileTypes,
+        getPromptTemplate,
+        getInputLimit,
         requestId,
-        logger
+        logger,
+        remoteImage,
+        getFile = () => null,
+        requireModel = false
     } = options;
 
     const messages = data.messages;
@@ -81,17 +178,32 @@ export async function parseRequest(data, options) {
         return parseError(ERROR_CODES.NO_MESSAGES);
     }
 
+    const { n, error: nError } = parseN(data.n);
+    if (nError) {
+        return parseError(ERROR_CODES.INVALID_PARAMETER, nError);
+    }
+
+    const mediaFormat = data.media_format ?? null;
+    if (mediaFormat !== null && mediaFormat !== 'base64' && mediaFormat !== 'url') {
+        return parseError(ERROR_CODES.INVALID_PARAMETER, `media_format 仅支持 base64 或 url: ${mediaFormat}`);
+    }
+
+    const fileError = validateFileRefs(messages, getFile);
+    if (fileError) return fileError;
+
     // 1. 解析模型参数与类型
     let modelKey = null;
     let isTextMode = false;
+    let aliasTargets = null;
 
     if (data.model) {
         // 检查模型是否在支持列表中
         const supportedModels = getSupportedModels();
-        const isSupported = supportedModels.data.some(m => m.id === data.model);
+        const model = supportedModels.data.find(m => m.id === data.model);
 
-        if (isSupported) {
+        if (model) {
             modelKey = data.model;
+            aliasTargets = Array.isArray(model.targets) ? model.targets : null;
             logger.info('服务器', `触发模型: ${data.model}`, { id: requestId });
 
             // 判定是否为文本模式
@@ -107,33 +219,501 @@ export async function parseRequest(data, options) {
         } else {
             return parseError(ERROR_CODES.INVALID_MODEL, `模型无效/后端 ${backendName} 不支持: ${data.model}`);
         }
+    } else if (requireModel) {
+        return parseError(ERROR_CODES.INVALID_MODEL, '当前密钥限制了可用模型，请求参数必须指定 model');
     } else {
         logger.info('服务器', '未指定模型，使用网页默认', { id: requestId });
     }
 
+    // 非图片附件只能上传给文本模型，且类型需在模型的 fileTypes 声明内
+    const attachmentTypes = collectAttachmentTypes(messages, getFile);
+    if (attachmentTypes.length > 0) {
+        if (!isTextMode) {
+            return parseError(ERROR_CODES.INVALID_PARAMETER, `模型 ${modelKey || '(网页默认)'} 不支持文件附件`);
+        }
+        const accepted = getFileTypes ? getFileTypes(modelKey) : [];
+        const rejected = attachmentTypes.filter(type => !acceptsFileTypes(accepted, [type]));
+        if (rejected.length > 0) {
+            return parseError(ERROR_CODES.INVALID_PARAMETER, `模型 ${modelKey} 不支持该类型的附件: ${rejected.join(', ')}`);
+        }
+    }
+
     // ============================================================
     // 分支 A: 文本模型解析 (构建虚拟上下文)
     // ============================================================
     if (isTextMode) {
-        return await parseTextRequest(messages, tempDir, imageLimit, modelKey, isStreaming);
+        const normalized = normalizeTools(data.tools);
+        if (normalized.error) {
+            return parseError(ERROR_CODES.INVALID_PARAMETER, normalized.error);
+        }
+        const responseFormat = normalizeResponseFormat(data.response_format);
+        if (responseFormat.error) {
+            return parseError(ERROR_CODES.INVALID_PARAMETER, responseFormat.error);
+        }
+        const template = resolvePromptTemplate(getPromptTemplate ? getPromptTemplate(modelKey) : null);
+        const promptOptions = {
+            tools: normalized.tools,
+            toolChoice: normalizeToolChoice(data.tool_choice),
+            responseFormat: responseFormat.format,
+            template,
+            targetTemplates: resolveTargetTemplates(aliasTargets, getPromptTemplate, template),
+            inputLimit: getInputLimit ? getInputLimit(modelKey) : 0,
+            canOverflow: acceptsFileTypes(getFileTypes ? getFileTypes(modelKey) : [], [OVERFLOW_MIME_TYPE])
+        };
+        return withRequestOptions(await parseTextRequest(messages, tempDir, imageLimit, modelKey, isStreaming, remoteImage, getFile, promptOptions), { n, mediaFormat });
     }
 
     // ============================================================
     // 分支 B: 生图模型解析 (原有逻辑)
     // ============================================================
-    return await parseImageRequest(messages, tempDir, imageLimit, modelKey, isStreaming, getImagePolicy);
+    const imageOptions = resolveImageOptions(data, modelKey && getImageOptions ? getImageOptions(modelKey) : {});
+    if (imageOptions.error) {
+        return parseError(ERROR_CODES.INVALID_PARAMETER, imageOptions.error);
+    }
+    const result = withRequestOptions(await parseImageRequest(messages, tempDir, imageLimit, modelKey, isStreaming, getImagePolicy, remoteImage, getFile), { n, mediaFormat });
+    if (result.success) result.data.imageOptions = imageOptions.options;
+    return result;
+}
+
+/**
+ * 找出别名中模板与首个目标不同的目标（请求可能回退到这些目标，需按各自的模板单独构建提示词）
+ * @param {string[]|null} targets - 别名的目标模型
+ * @param {Function} [getPromptTemplate] - 获取模板配置函数
+ * @param {import('../../../utils/promptTemplate.js').PromptTemplate} primary - 首个目标的模板
+ * @returns {Array<{target: string, template: import('../../../utils/promptTemplate.js').PromptTemplate}>}
+ */
+function resolveTargetTemplates(targets, getPromptTemplate, primary) {
+    if (!targets || !getPromptTemplate) return [];
+    const primaryKey = JSON.stringify(primary);
+    return targets
+        .map(target => ({ target, template: resolvePromptTemplate(getPromptTemplate(target)) }))
+        .filter(({ template }) => JSON.stringify(template) !== primaryKey);
+}
+
+/**
+ * 获取文件片段的内容：file 片段的 file 字段，或 input_file 片段本身 (Responses API 格式)
+ * @param {object} item - 内容片段
+ * @returns {{file_id?: string, file_data?: string, filename?: string}|null} 非文件片段返回 null
+ */
+function getFilePart(item) {
+    if (item.type === 'file') return item.file || null;
+    if (item.type === 'input_file') return item;
+    return null;
+}
+
+/**
+ * 获取内容片段中的图片来源
+ * 支持 image_url (data URL / http 链接)、image_file，以及内容为图片的 file / input_file 片段 (file_id / file_data)
+ * @param {object} item - 内容片段
+ * @param {Function} getFile - 文件查找函数
+ * @returns {{url?: string, fileId?: string}|null} 非图片片段返回 null
+ */
+function getImageSource(item, getFile) {
+    if (item.type === 'image_url' && item.image_url?.url) return { url: item.image_url.url };
+    if (item.type === 'image_file' && item.image_file?.file_id) return { fileId: item.image_file.file_id };
+    const file = getFilePart(item);
+    if (file?.file_id && getFile(file.file_id)?.imagePath) return { fileId: file.file_id };
+    if (typeof file?.file_data === 'string' && file.file_data.startsWith('data:image')) return { url: file.file_data };
+    return null;
+}
+
+/**
+ * 获取内容片段中的非图片附件来源 (PDF、文档、表格、音频等)
+ * @param {object} item - 内容片段
+ * @param {Function} getFile - 文件查找函数
+ * @returns {{fileId?: string, fileData?: string, filename?: string}|null} 非附件片段返回 null
+ */
+function getAttachmentSource(item, getFile) {
+    const file = getFilePart(item);
+    if (!file || getImageSource(item, getFile)) return null;
+    if (file.file_id) return { fileId: file.file_id };
+    if (file.file_data) return { fileData: file.file_data, filename: file.filename };
+    return null;
+}
+
+/**
+ * 获取附件的 MIME 类型与文件名（file_data 优先使用 data URI 中的类型，否则按文件名推断）
+ * @param {{fileId?: string, fileData?: string, filename?: string}} source - 附件来源
+ * @param {Function} getFile - 文件查找函数
+ * @returns {{mimeType: string, filename: string}}
+ */
+function describeAttachment(source, getFile) {
+    if (source.fileId) {
+        const file = getFile(source.fileId);
+        return { mimeType: file?.mimeType || 'application/octet-stream', filename: file?.filename || source.fileId };
+    }
+    const declared = source.fileData.match(/^data:([^;,]+)[;,]/)?.[1].toLowerCase();
+    const ext = path.extname(source.filename || '').toLowerCase();
+    const mimeType = declared || FILE_MIME_TYPES[ext] || 'application/octet-stream';
+    // 网页按扩展名识别文件类型，缺少扩展名时按 MIME 类型补全
+    const fallbackExt = ext ? '' : (Object.keys(FILE_MIME_TYPES).find(key => FILE_MIME_TYPES[key] === mimeType) || '');
+    return { mimeType, filename: `${source.filename || 'file'}${fallbackExt}` };
+}
+
+/**
+ * 收集消息中全部附件的 MIME 类型（去重）
+ * @param {object[]} messages - 消息列表
+ * @param {Function} getFile - 文件查找函数
+ * @returns {string[]}
+ */
+function collectAttachmentTypes(messages, getFile) {
+    const types = new Set();
+    for (const msg of messages) {
+        if (!Array.isArray(msg.content)) continue;
+        for (const item of msg.content) {
+            const source = getAttachmentSource(item, getFile);
+            if (source) types.add(describeAttachment(source, getFile).mimeType);
+        }
+    }
+    return [...types];
+}
+
+/**
+ * 校验消息中通过 file_id 引用的文件（不存在、已过期或属于其他 API Key 时视为不存在）
+ * 同时拒绝非对象的消息与内容项，避免后续解析时出错
+ * @param {object[]} messages - 消息列表
+ * @param {Function} getFile - 文件查找函数
+ * @returns {{success: false, error: ParseError}|null} 校验失败时返回错误
+ */
+function validateFileRefs(messages, getFile) {
+    for (const msg of messages) {
+        if (!msg || typeof msg !== 'object') {
+            return parseError(ERROR_CODES.INVALID_PARAMETER, 'messages 中的每一项必须是对象');
+        }
+        if (!Array.isArray(msg.content)) continue;
+        for (const item of msg.content) {
+            if (!item || typeof item !== 'object') {
+                return parseError(ERROR_CODES.INVALID_PARAMETER, 'content 数组中的每一项必须是对象');
+            }
+            const fileId = (item.type === 'image_file' && item.image_file?.file_id) || getFilePart(item)?.file_id;
+            if (!fileId) continue;
+            const file = getFile(fileId);
+            if (!file) {
+                return parseError(ERROR_CODES.NOT_FOUND, `文件不存在或已过期: ${fileId}`);
+            }
+            if (item.type === 'image_file' && !file.imagePath) {
+                return parseError(ERROR_CODES.INVALID_PARAMETER, `文件 ${fileId} 不是图片`);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * 为解析成功的结果附加与消息内容无关的请求参数
+ * @param {ParseResult} result - 解析结果
+ * @param {{n: number, mediaFormat: 'base64'|'url'|null}} requestOptions - 生成结果数量与媒体返回方式
+ * @returns {ParseResult}
+ */
+function withRequestOptions(result, requestOptions) {
+    if (result.success) Object.assign(result.data, requestOptions);
+    return result;
+}
+
+/**
+ * @typedef {object} ParsedImageGeneration
+ * @property {string} prompt - 提示词
+ * @property {string[]} imagePaths - 参考图临时文件路径（仅 edits）
+ * @property {string|null} modelId - 模型 ID
+ * @property {string|null} modelName - 模型名称
+ * @property {number} n - 生成数量
+ * @property {import('../../imageOptions.js').ImageOptions|null} imageOptions - 图片参数 (size / aspect_ratio / quality)
+ * @property {string} responseFormat - 返回格式 ('b64_json' | 'url')
+ */
+
+/**
+ * 校验 Images API 的公共参数 (model / n / response_format / size / aspect_ratio / quality)
+ * @param {object} data - 请求参数
+ * @param {object} options - 解析选项（同 parseImageGenerationRequest）
+ * @returns {{error?: object, n?: number, responseFormat?: string, imageOptions?: object|null}} 校验失败时返回 error
+ */
+function validateImageParams(data, options) {
+    const { backendName, getSupportedModels, getModelType, getImageOptions } = options;
+
+    if (!data.model) {
+        return { error: parseError(ERROR_CODES.INVALID_MODEL, '请求参数缺少 model') };
+    }
+
+    const supportedModels = getSupportedModels();
+    if (!supportedModels.data.some(m => m.id === data.model)) {
+        return { error: parseError(ERROR_CODES.INVALID_MODEL, `模型无效/后端 ${backendName} 不支持: ${data.model}`) };
+    }
+
+    const type = getModelType ? getModelType(data.model) : 'image';
+    if (type !== 'image') {
+        return { error: parseError(ERROR_CODES.INVALID_MODEL, `模型 ${data.model} 不是图片生成模型`) };
+    }
+
+    const responseFormat = data.response_format || 'b64_json';
+    if (responseFormat !== 'b64_json' && responseFormat !== 'url') {
+        return { error: parseError(ERROR_CODES.INVALID_PARAMETER, `response_format 仅支持 b64_json 或 url: ${responseFormat}`) };
+    }
+
+    const { n, error: nError } = parseN(data.n);
+    if (nError) {
+        return { error: parseError(ERROR_CODES.INVALID_PARAMETER, nError) };
+    }
+
+    const imageOptions = resolveImageOptions(data, getImageOptions ? getImageOptions(data.model) : {});
+    if (imageOptions.error) {
+        return { error: parseError(ERROR_CODES.INVALID_PARAMETER, imageOptions.error) };
+    }
+
+    return { n, responseFormat, imageOptions: imageOptions.options };
+}
+
+/**
+ * 解析图片生成请求 (POST /v1/images/generations)
+ * @param {object} data - 请求体数据
+ * @param {object} options - 解析选项
+ * @param {string} options.backendName - 后端名称
+ * @param {Function} options.getSupportedModels - 获取支持的模型列表函数
+ * @param {Function} options.getImagePolicy - 获取图片策略函数
+ * @param {Function} options.getModelType - 获取模型类型函数
+ * @param {Function} [options.getImageOptions] - 获取模型图片参数能力声明函数
+ * @param {string} options.requestId - 请求 ID
+ * @param {Function} options.logger - 日志函数
+ * @returns {{success: boolean, data?: ParsedImageGeneration, error?: ParseError}} 解析结果
+ */
+export function parseImageGenerationRequest(data, options) {
+    const { getImagePolicy, requestId, logger } = options;
+
+    const prompt = typeof data.prompt === 'string' ? data.prompt.trim() : '';
+    if (!prompt) {
+        return parseError(ERROR_CODES.NO_PROMPT);
+    }
+
+    const params = validateImageParams(data, options);
+    if (params.error) return params.error;
+
+    if (getImagePolicy(data.model) === IMAGE_POLICY.REQUIRED) {
+        return parseError(ERROR_CODES.IMAGE_REQUIRED, `模型 ${data.model} 需要参考图，请使用 /v1/images/edits`);
+    }
+
+    logger.info('服务器', `触发模型: ${data.model}`, { id: requestId });
+
+    return {
+        success: true,
+        data: {
+            prompt,
+            imagePaths: [],
+            modelId: data.model,
+            modelName: data.model,
+            n: params.n,
+            imageOptions: params.imageOptions,
+            responseFormat: params.responseFormat
+        }
+    };
+}
+
+/**
+ * 解析图片编辑请求 (POST /v1/images/edits, multipart/form-data)
+ * 网页端不支持蒙版编辑，mask 会作为最后一张参考图上传，并在提示词中说明其用途
+ * @param {import('../../multipart.js').MultipartResult} form - 解析后的表单
+ * @param {object} options - 解析选项（同 parseImageGenerationRequest）
+ * @param {string} options.tempDir - 临时目录路径
+ * @param {number} options.imageLimit - 图片数量限制
+ * @returns {Promise<{success: boolean, data?: ParsedImageGeneration, error?: ParseError}>} 解析结果
+ */
+export async function parseImageEditRequest(form, options) {
+    const { tempDir, imageLimit, getImagePolicy, requestId, logger } = options;
+    const { fields, files } = form;
+
+    let prompt = (fields.prompt || '').trim();
+    if (!prompt) {
+        return parseError(ERROR_CODES.NO_PROMPT);
+    }
+
+    const params = validateImageParams(fields, options);
+    if (params.error) return params.error;
+
+    const imageFiles = files.filter(f => f.field === 'image' || f.field === 'image[]');
+    const maskFile = files.find(f => f.field === 'mask');
+
+    if (imageFiles.length === 0) {
+        return parseError(ERROR_CODES.IMAGE_REQUIRED, '请求参数缺少 image');
+    }
+
+    const totalImages = imageFiles.length + (maskFile ? 1 : 0);
+    const maxImages = Math.min(imageLimit, 10);
+    if (totalImages > maxImages) {
+        return parseError(ERROR_CODES.TOO_MANY_IMAGES, `图片数量超过限制（最大 ${maxImages} 张，含 mask）`);
+    }
+
+    if (getImagePolicy(fields.model) === IMAGE_POLICY.FORBIDDEN) {
+        return parseError(ERROR_CODES.IMAGE_FORBIDDEN, `模型 ${fields.model} 不支持图片输入`);
+    }
+
+    const imagePaths = [];
+    for (const file of [...imageFiles, ...(maskFile ? [maskFile] : [])]) {
+        // 蒙版需要保留透明通道，不能转为 JPEG
+        const imagePath = await saveImageBuffer(file.data, tempDir, file === maskFile ? 'png' : 'jpeg');
+        if (!imagePath) {
+            cleanupFiles(imagePaths);
+            return parseError(ERROR_CODES.INVALID_PARAMETER, `无法解析图片文件: ${file.filename || file.field}`);
+        }
+        imagePaths.push(imagePath);
+    }
+
+    if (maskFile) {
+        prompt += '\n\n(最后一张图片为蒙版，只修改原图中对应蒙版透明区域的部分)';
+    }
+
+    logger.info('服务器', `触发模型: ${fields.model}`, { id: requestId, images: imagePaths.length });
+
+    return {
+        success: true,
+        data: {
+            prompt,
+            imagePaths,
+            modelId: fields.model,
+            modelName: fields.model,
+            n: params.n,
+            imageOptions: params.imageOptions,
+            responseFormat: params.responseFormat
+        }
+    };
+}
+
+/**
+ * 解析视频生成请求 (POST /v1/videos)
+ * 参考图可通过 multipart 的 input_reference 文件字段或 JSON 的 input_reference (data URL / http 链接) 传入
+ * @param {object} fields - 请求参数（JSON 请求体或 multipart 普通字段）
+ * @param {import('../../multipart.js').MultipartFile[]} files - multipart 文件字段（JSON 请求为空数组）
+ * @param {object} options - 解析选项（同 parseImageEditRequest）
+ * @returns {Promise<{success: boolean, data?: {prompt: string, imagePaths: string[], modelId: string, modelName: string}, error?: ParseError}>} 解析结果
+ */
+export async function parseVideoRequest(fields, files, options) {
+    const { tempDir, backendName, getSupportedModels, getImagePolicy, getModelType, requestId, logger, remoteImage } = options;
+
+    const prompt = typeof fields.prompt === 'string' ? fields.prompt.trim() : '';
+    if (!prompt) {
+        return parseError(ERROR_CODES.NO_PROMPT);
+    }
+
+    if (!fields.model) {
+        return parseError(ERROR_CODES.INVALID_MODEL, '请求参数缺少 model');
+    }
+
+    const supportedModels = getSupportedModels();
+    if (!supportedModels.data.some(m => m.id === fields.model)) {
+        return parseError(ERROR_CODES.INVALID_MODEL, `模型无效/后端 ${backendName} 不支持: ${fields.model}`);
+    }
+
+    if ((getModelType ? getModelType(fields.model) : 'image') !== 'video') {
+        return parseError(ERROR_CODES.INVALID_MODEL, `模型 ${fields.model} 不是视频生成模型`);
+    }
+
+    // 参考图
+    const imagePaths = [];
+    const referenceFile = files.find(f => f.field === 'input_reference');
+    if (referenceFile) {
+        const imagePath = await saveImageBuffer(referenceFile.data, tempDir);
+        if (!imagePath) {
+            return parseError(ERROR_CODES.INVALID_PARAMETER, `无法解析图片文件: ${referenceFile.filename || referenceFile.field}`);
+        }
+        imagePaths.push(imagePath);
+    } else if (typeof fields.input_reference === 'string' && fields.input_reference.startsWith('data:image')) {
+        const imagePath = await saveBase64Image(fields.input_reference, tempDir);
+        if (!imagePath) {
+            return parseError(ERROR_CODES.INVALID_PARAMETER, '无法解析 input_reference 图片');
+        }
+        imagePaths.push(imagePath);
+    } else if (typeof fields.input_reference === 'string' && isRemoteUrl(fields.input_reference) && remoteImage?.enable) {
+        const saved = await saveRemoteImage(fields.input_reference, tempDir, remoteImage);
+        if (!saved.path) {
+            return parseError(ERROR_CODES.INVALID_PARAMETER, saved.error);
+        }
+        imagePaths.push(saved.path);
+    }
+
+    const policy = getImagePolicy(fields.model);
+    if (policy === IMAGE_POLICY.REQUIRED && imagePaths.length === 0) {
+        return parseError(ERROR_CODES.IMAGE_REQUIRED, `模型 ${fields.model} 需要参考图`);
+    }
+    if (policy === IMAGE_POLICY.FORBIDDEN && imagePaths.length > 0) {
+        cleanupFiles(imagePaths);
+        return parseError(ERROR_CODES.IMAGE_FORBIDDEN, `模型 ${fields.model} 不支持图片输入`);
+    }
+
+    logger.info('服务器', `触发模型: ${fields.model}`, { id: requestId, images: imagePaths.length });
+
+    return {
+        success: true,
+        data: {
+            prompt,
+            imagePaths,
+            modelId: fields.model,
+            modelName: fields.model
+        }
+    };
+}
+
+/**
+ * @typedef {object} ParsedFileUpload
+ * @property {string} filename - 原始文件名
+ * @property {string} purpose - 用途
+ * @property {string} mimeType - MIME 类型
+ * @property {Buffer} data - 文件内容
+ * @property {Buffer|null} image - 预处理后的图片 (JPEG)，非图片为 null
+ * @property {number|null} expiresAfter - 请求的保留时长（秒）
+ */
+
+/**
+ * 解析文件上传请求 (POST /v1/files, multipart/form-data)
+ * 图片在上传时压缩一次，后续请求通过 file_id 引用时直接复用，无需重复处理
+ * @param {import('../../multipart.js').MultipartResult} form - 解析后的表单
+ * @returns {Promise<{success: boolean, data?: ParsedFileUpload, error?: ParseError}>} 解析结果
+ */
+export async function parseFileUpload(form) {
+    const { fields, files } = form;
+
+    const file = files.find(f => f.field === 'file');
+    if (!file) {
+        return parseError(ERROR_CODES.INVALID_PARAMETER, '请求参数缺少 file');
+    }
+
+    if (!FILE_PURPOSES.includes(fields.purpose)) {
+        return parseError(ERROR_CODES.INVALID_PARAMETER, `purpose 仅支持 ${FILE_PURPOSES.join(' / ')}: ${fields.purpose}`);
+    }
+
+    const rawExpires = fields['expires_after[seconds]'];
+    const expiresAfter = rawExpires === undefined || rawExpires === '' ? null : Number(rawExpires);
+    if (expiresAfter !== null && (!Number.isInteger(expiresAfter) || expiresAfter < 1)) {
+        return parseError(ERROR_CODES.INVALID_PARAMETER, `expires_after[seconds] 必须为正整数: ${rawExpires}`);
+    }
+
+    const filename = file.filename || 'file';
+    let mimeType = file.contentType.split(';')[0].trim().toLowerCase();
+    if (mimeType === 'application/octet-stream') {
+        mimeType = FILE_MIME_TYPES[path.extname(filename).toLowerCase()] || mimeType;
+    }
+
+    let image = null;
+    if (mimeType.startsWith('image/')) {
+        try {
+            image = await encodeImage(file.data);
+        } catch (e) {
+            return parseError(ERROR_CODES.INVALID_PARAMETER, `无法解析图片文件: ${filename}`);
+        }
+    }
+
+    return {
+        success: true,
+        data: { filename, purpose: fields.purpose, mimeType, data: file.data, image, expiresAfter }
+    };
 }
 
 /**
  * 解析文本请求 (构建虚拟上下文)
  */
-async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStreaming) {
-    let systemPrompt = '';
-    let historyPrompt = '';
-    let currentPrompt = '';
+async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStreaming, remoteImage, getFile, promptOptions) {
+    const { tools, toolChoice, responseFormat, template, targetTemplates = [], inputLimit, canOverflow } = promptOptions;
 
     const imagePaths = [];
+    const attachments = [];
     let globalImageCount = 0;
+    let globalFileCount = 0;
 
     // 辅助函数：处理单条消息内容
     async function processContent(content) {
@@ -142,9 +722,27 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
             textBuffer += content;
         } else if (Array.isArray(content)) {
             for (const item of content) {
+                const source = getImageSource(item, getFile);
+                const attachment = getAttachmentSource(item, getFile);
                 if (item.type === 'text') {
                     textBuffer += item.text;
-                } else if (item.type === 'image_url' && item.image_url?.url) {
+                } else if (attachment) {
+                    globalFileCount++;
+
+                    // 附件与图片使用相同的数量限制
+                    if (imageLimit > 0 && globalFileCount > imageLimit) {
+                        textBuffer += `[文件${globalFileCount} (已忽略:超过限制)]`;
+                        continue;
+                    }
+
+                    const saved = saveAttachment(attachment, tempDir, getFile);
+                    if (saved) {
+                        attachments.push(saved);
+                        textBuffer += `[文件${globalFileCount}: ${saved.filename}]`;
+                    } else {
+                        textBuffer += `[文件${globalFileCount} (上传失败)]`;
+                    }
+                } else if (source) {
                     globalImageCount++;
 
                     // 图片数量限制检查
@@ -153,8 +751,16 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
                         continue;
                     }
 
-                    const url = item.image_url.url;
-                    if (url.startsWith('data:image')) {
+                    const url = source.url;
+                    if (source.fileId) {
+                        const imagePath = copyStoredImage(getFile(source.fileId), tempDir);
+                        if (imagePath) {
+                            imagePaths.push(imagePath);
+                            textBuffer += `[图片${globalImageCount}]`;
+                        } else {
+                            textBuffer += `[图片${globalImageCount} (上传失败)]`;
+                        }
+                    } else if (url.startsWith('data:image')) {
                         const imagePath = await saveBase64Image(url, tempDir);
                         if (imagePath) {
                             imagePaths.push(imagePath);
@@ -163,6 +769,14 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
                         } else {
                             textBuffer += `[图片${globalImageCount} (上传失败)]`;
                         }
+                    } else if (isRemoteUrl(url) && remoteImage?.enable) {
+                        const saved = await saveRemoteImage(url, tempDir, remoteImage);
+                        if (saved.path) {
+                            imagePaths.push(saved.path);
+                            textBuffer += `[图片${globalImageCount}]`;
+                        } else {
+                            textBuffer += `[图片${globalImageCount} (下载失败)]`;
+                        }
                     } else {
                         textBuffer += `[图片${globalImageCount} (无效链接)]`;
                     }
@@ -174,12 +788,7 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
 
     // 1. 提取 System Prompt
     const systemMsg = messages.find(m => m.role === 'system');
-    if (systemMsg) {
-        const content = await processContent(systemMsg.content);
-        if (content) {
-            systemPrompt = `=== 系统指令 (永远置顶) ===\n${content}\n\n`;
-        }
-    }
+    const systemContent = systemMsg ? await processContent(systemMsg.content) : '';
 
     // 2. 区分历史和当前消息
     // 找到最后一条 user 消息的索引
@@ -195,54 +804,156 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
         return parseError(ERROR_CODES.NO_USER_MESSAGES);
     }
 
-    // 3. 构建历史对话 (不包含 system 和 最后一条 user)
-    const historyMessages = messages.filter((m, index) => {
-        return m.role !== 'system' && index < lastUserIndex;
-    });
-
-    if (historyMessages.length > 0) {
-        historyPrompt += `=== 历史对话 (滑动窗口或摘要) ===\n`;
-        for (const msg of historyMessages) {
-            const roleName = msg.role === 'user' ? 'User' : 'AI';
-            const content = await processContent(msg.content);
-            historyPrompt += `${roleName}: ${content}\n`;
+    // 工具调用 ID -> 工具名，用于渲染 tool 角色消息
+    const toolNames = new Map();
+    for (const msg of messages) {
+        for (const call of msg.tool_calls || []) {
+            if (call.id) toolNames.set(call.id, call.function?.name);
+        }
+    }
+
+    // 辅助函数：转换单条对话消息 (user / assistant / tool)，具体格式由模板决定
+    async function toLine(msg) {
+        const content = await processContent(msg.content);
+        if (msg.role === 'tool') {
+            return { role: 'tool', name: toolNames.get(msg.tool_call_id) || msg.name, content };
+        }
+        if (msg.role === 'user') {
+            return { role: 'user', content };
         }
-        historyPrompt += `\n`;
+        // 助手消息中的工具调用按约定格式回放，保持与模型输出格式一致
+        const toolCalls = msg.tool_calls?.length ? renderToolCalls(msg.tool_calls) : '';
+        return { role: 'assistant', content: [content, toolCalls].filter(Boolean).join('\n') };
+    }
+
+    // 3. 构建历史对话 (不包含 system 和 最后一条 user)
+    const history = [];
+    for (const msg of messages.filter((m, index) => m.role !== 'system' && index < lastUserIndex)) {
+        history.push(await toLine(msg));
     }
 
+    // 工具说明 (tool_choice 为 none 时不提供)
+    const toolsPrompt = tools.length > 0 && toolChoice.mode !== 'none'
+        ? buildToolsPrompt(tools, toolChoice)
+        : '';
+
+    // 输出格式说明 (response_format)
+    const formatPrompt = responseFormat ? buildResponseFormatPrompt(responseFormat) : '';
+
     // 4. 构建当前输入
-    const lastUserMsg = messages[lastUserIndex];
-    const currentContent = await processContent(lastUserMsg.content);
-
-    // 判断是否需要添加分割符号
-    const hasContext = systemPrompt || historyPrompt;
-    if (hasContext) {
-        // 有上下文，添加分割符
-        currentPrompt = `=== 当前输入 ===\nUser: ${currentContent}`;
-    } else {
-        // 没有上下文，直接使用内容
-        currentPrompt = currentContent;
+    // 最后一条 user 之后的助手工具调用与工具结果属于本轮，一并放入当前输入
+    const imageStart = imagePaths.length;
+    const attachmentStart = attachments.length;
+    const current = [await toLine(messages[lastUserIndex])];
+    for (const msg of messages.slice(lastUserIndex + 1).filter(m => m.role !== 'system')) {
+        current.push(await toLine(msg));
+    }
+
+    // 5. 按模板合并最终 Prompt (没有上下文时直接使用当前输入内容)
+    // 别名中模板不同的目标按各自的模板另外构建
+    const conversation = { system: systemContent, extra: toolsPrompt + formatPrompt, history, current };
+    const variants = [{ target: null, sections: renderSections(template, conversation) }];
+    for (const { target, template: targetTemplate } of targetTemplates) {
+        variants.push({ target, sections: renderSections(targetTemplate, conversation) });
     }
+    for (const variant of variants) {
+        variant.prompt = variant.sections.context + variant.sections.current;
+        variant.attachments = attachments;
+    }
+    let session = buildSessionInfo({ systemContent, history, current, imageStart, attachmentStart, extra: toolsPrompt || formatPrompt });
+
+    // 6. 超出输入上限时将溢出部分作为文本附件上传，输入框中只发送简短说明
+    // 任一目标超出上限时全部改为附件上传，保证各目标收到相同类型的附件
+    const longest = Math.max(...variants.map(variant => variant.prompt.length));
+    if (inputLimit > 0 && longest > inputLimit) {
+        const uploaded = [...imagePaths, ...attachments.map(file => file.path)];
+        if (!canOverflow) {
+            cleanupFiles(uploaded);
+            return parseError(ERROR_CODES.PROMPT_TOO_LONG, `提示词长度 (${longest}) 超过模型 ${modelId} 的输入上限 (${inputLimit})，且该模型不支持上传文本附件，请缩短对话历史`);
+        }
+
+        let keepsCurrent = true;
+        for (const variant of variants) {
+            const overflow = splitOverflow(variant.sections, inputLimit);
+            const saved = saveTextAttachment(overflow.file, tempDir);
+            if (!saved) {
+                cleanupFiles([...uploaded, ...variants.filter(v => v.attachments !== attachments).map(v => v.attachments[0].path)]);
+                return parseError(ERROR_CODES.INTERNAL_ERROR, '溢出内容保存失败');
+            }
 
-    // 5. 合并最终 Prompt
-    const finalPrompt = systemPrompt + historyPrompt + currentPrompt;
+            // 上下文附件排在最前，本轮的图片与附件位置不变
+            variant.attachments = [saved, ...attachments];
+            variant.prompt = overflow.prompt;
+            keepsCurrent = keepsCurrent && overflow.keepsCurrent;
+        }
+        if (session) {
+            session = keepsCurrent ? { ...session, attachmentStart: session.attachmentStart + 1 } : null;
+        }
+    }
+
+    const [primary, ...others] = variants;
 
     return {
         success: true,
         data: {
-            prompt: finalPrompt,
+            prompt: primary.prompt,
             imagePaths,
+            attachments: primary.attachments,
             modelId,
             modelName: modelId,
-            isStreaming
+            isStreaming,
+            tools: toolsPrompt ? tools : null,
+            responseFormat,
+            session,
+            targetPrompts: others.length > 0
+                ? Object.fromEntries(others.map(({ target, prompt, attachments }) => [target, { prompt, attachments }]))
+                : null
         }
     };
 }
 
+/**
+ * 拆分超出输入上限的提示词
+ * 优先只把上下文（系统指令与历史对话）放入附件；当前输入本身也超出上限时整段对话放入附件
+ * @param {{context: string, current: string}} sections - 按模板渲染的上下文与当前输入
+ * @param {number} limit - 输入长度上限
+ * @returns {{file: string, prompt: string, keepsCurrent: boolean}} 附件内容、输入框内容，以及当前输入是否仍在输入框中
+ */
+function splitOverflow(sections, limit) {
+    const notice = '[对话上下文 (系统指令与历史对话) 较长，已作为文本附件上传。请先阅读附件，再回复以下输入]\n\n';
+    if (sections.context && notice.length + sections.current.length <= limit) {
+        return { file: sections.context, prompt: notice + sections.current, keepsCurrent: true };
+    }
+    return {
+        file: sections.context + sections.current,
+        prompt: '[完整的对话内容较长，已作为文本附件上传。请阅读附件，并回复其中最后一条用户输入]',
+        keepsCurrent: false
+    };
+}
+
+/**
+ * 构建多轮会话信息（供会话模式续接网页会话）
+ * 仅纯文本对话可续接：使用工具、结构化输出或本轮包含工具结果时返回 null
+ * @param {object} conversation - 已转换的对话
+ * @returns {SessionInfo|null}
+ */
+function buildSessionInfo({ systemContent, history, current, imageStart, attachmentStart, extra }) {
+    if (extra || current.length > 1 || history.some(line => line.role === 'tool')) return null;
+
+    const lines = systemContent ? [{ role: 'system', content: systemContent }, ...history] : history;
+    return {
+        lookup: history.at(-1)?.role === 'assistant' ? lines : null,
+        history: [...lines, current[0]],
+        prompt: current[0].content,
+        imageStart,
+        attachmentStart
+    };
+}
+
 /**
  * 解析生图请求 (原有逻辑)
  */
-async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStreaming, getImagePolicy) {
+async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStreaming, getImagePolicy, remoteImage, getFile) {
     // 筛选用户消息
     const userMessages = messages.filter(m => m.role === 'user');
     if (userMessages.length === 0) {
@@ -258,9 +969,10 @@ async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStrea
     // 解析内容
     if (Array.isArray(lastMessage.content)) {
         for (const item of lastMessage.content) {
+            const source = getImageSource(item, getFile);
             if (item.type === 'text') {
                 prompt += item.text + ' ';
-            } else if (item.type === 'image_url' && item.image_url?.url) {
+            } else if (source) {
                 imageCount++;
 
                 // 图片数量检查
@@ -275,13 +987,26 @@ async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStrea
                     }
                 }
 
-                // 处理 data URL
-                const url = item.image_url.url;
-                if (url.startsWith('data:image')) {
+                // 处理已上传文件与 data URL
+                const url = source.url;
+                if (source.fileId) {
+                    const imagePath = copyStoredImage(getFile(source.fileId), tempDir);
+                    if (imagePath) {
+                        imagePaths.push(imagePath);
+                    }
+                } else if (url.startsWith('data:image')) {
                     const imagePath = await saveBase64Image(url, tempDir);
                     if (imagePath) {
                         imagePaths.push(imagePath);
                     }
+                } else if (isRemoteUrl(url) && remoteImage?.enable) {
+                    // 生图模式下参考图缺失会直接影响结果，下载失败时返回错误
+                    const saved = await saveRemoteImage(url, tempDir, remoteImage);
+                    if (!saved.path) {
+                        cleanupFiles(imagePaths);
+                        return parseError(ERROR_CODES.INVALID_PARAMETER, saved.error);
+                    }
+                    imagePaths.push(saved.path);
                 }
             }
         }
@@ -308,6 +1033,7 @@ async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStrea
         data: {
             prompt,
             imagePaths,
+            attachments: [],
             modelId,
             modelName: modelId,
             isStreaming
@@ -327,18 +1053,140 @@ async function saveBase64Image(dataUrl, tempDir) {
         return null;
     }
 
+    return await saveImageBuffer(Buffer.from(matches[2], 'base64'), tempDir);
+}
+
+/**
+ * 判断是否为 http(s) 图片链接
+ * @param {string} url - 图片链接
+ * @returns {boolean}
+ */
+function isRemoteUrl(url) {
+    return /^https?:\/\//i.test(url);
+}
+
+/**
+ * 下载远程图片并保存到临时文件
+ * @param {string} url - 图片链接
+ * @param {string} tempDir - 临时目录
+ * @param {import('../../remoteImage.js').RemoteImageOptions} remoteImage - 下载选项
+ * @returns {Promise<{path?: string, error?: string}>} 保存的文件路径，失败时返回错误原因
+ */
+async function saveRemoteImage(url, tempDir, remoteImage) {
     try {
-        const buffer = Buffer.from(matches[2], 'base64');
-        // 压缩图片
-        const processedBuffer = await sharp(buffer)
-            .jpeg({ quality: 90 })
-            .toBuffer();
-
-        const filename = `img_${Date.now()}_${Math.random().toString(36).substring(7)}.jpg`;
-        const filePath = path.join(tempDir, filename);
+        const { buffer } = await fetchRemoteImage(url, remoteImage);
+        const imagePath = await saveImageBuffer(buffer, tempDir);
+        return imagePath ? { path: imagePath } : { error: `无法解析图片: ${url}` };
+    } catch (err) {
+        return { error: `图片下载失败: ${err.message}` };
+    }
+}
+
+/**
+ * 生成临时图片文件路径
+ * @param {string} tempDir - 临时目录
+ * @param {string} ext - 扩展名
+ * @returns {string}
+ */
+function tempImagePath(tempDir, ext) {
+    return path.join(tempDir, `img_${Date.now()}_${Math.random().toString(36).substring(7)}.${ext}`);
+}
+
+/**
+ * 压缩图片
+ * @param {Buffer} buffer - 图片数据
+ * @param {'jpeg'|'png'} [format='jpeg'] - 输出格式
+ * @returns {Promise<Buffer>} 压缩后的图片
+ * @throws {Error} 无法解析图片时抛出错误
+ */
+async function encodeImage(buffer, format = 'jpeg') {
+    return format === 'png'
+        ? await sharp(buffer).png().toBuffer()
+        : await sharp(buffer).jpeg({ quality: 90 }).toBuffer();
+}
+
+/**
+ * 压缩图片并保存到临时文件
+ * @param {Buffer} buffer - 图片数据
+ * @param {string} tempDir - 临时目录
+ * @param {'jpeg'|'png'} [format='jpeg'] - 输出格式（png 用于需要透明通道的蒙版）
+ * @returns {Promise<string|null>} 保存的文件路径，失败返回 null
+ */
+async function saveImageBuffer(buffer, tempDir, format = 'jpeg') {
+    try {
+        const processedBuffer = await encodeImage(buffer, format);
+        const filePath = tempImagePath(tempDir, format === 'png' ? 'png' : 'jpg');
         fs.writeFileSync(filePath, processedBuffer);
         return filePath;
     } catch (e) {
         return null;
     }
 }
+
+/**
+ * 将已上传文件的预处理图片复制到临时文件（任务结束后临时文件会被删除，原文件保留）
+ * @param {import('../../fileStore.js').StoredFile|null} file - 文件记录
+ * @param {string} tempDir - 临时目录
+ * @returns {string|null} 保存的文件路径，失败返回 null
+ */
+function copyStoredImage(file, tempDir) {
+    if (!file?.imagePath) return null;
+    try {
+        const filePath = tempImagePath(tempDir, 'jpg');
+        fs.copyFileSync(file.imagePath, filePath);
+        return filePath;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 将附件保存到临时文件（保留原始文件名，便于网页端识别文件类型）
+ * @param {{fileId?: string, fileData?: string, filename?: string}} source - 附件来源
+ * @param {string} tempDir - 临时目录
+ * @param {Function} getFile - 文件查找函数
+ * @returns {Attachment|null} 保存的附件，失败返回 null
+ */
+function saveAttachment(source, tempDir, getFile) {
+    const { mimeType, filename } = describeAttachment(source, getFile);
+    const safeName = path.basename(filename).replace(/[^\p{L}\p{N}._-]/gu, '_');
+    const filePath = path.join(tempDir, `file_${Date.now()}_${Math.random().toString(36).substring(7)}_${safeName}`);
+    try {
+        if (source.fileId) {
+            fs.copyFileSync(getFile(source.fileId).path, filePath);
+        } else {
+            const base64 = source.fileData.replace(/^data:[^,]*,/, '');
+            fs.writeFileSync(filePath, Buffer.from(base64, 'base64'));
+        }
+        return { path: filePath, mimeType, filename };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 将溢出的提示词保存为文本附件
+ * @param {string} content - 文本内容
+ * @param {string} tempDir - 临时目录
+ * @returns {Attachment|null} 保存的附件，失败返回 null
+ */
+function saveTextAttachment(content, tempDir) {
+    const filename = 'context.txt';
+    const filePath = path.join(tempDir, `file_${Date.now()}_${Math.random().toString(36).substring(7)}_${filename}`);
+    try {
+        fs.writeFileSync(filePath, content, 'utf8');
+        return { path: filePath, mimeType: OVERFLOW_MIME_TYPE, filename };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 删除已保存的临时文件 (解析失败时回滚)
+ * @param {string[]} filePaths - 文件路径列表
+ */
+function cleanupFiles(filePaths) {
+    for (const p of filePaths) {
+        try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+    }
+}
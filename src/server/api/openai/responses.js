@@ -0,0 +1,385 @@
+/**
+ * @fileoverview OpenAI Responses API 格式转换
+ * @description 将 /v1/responses 请求（input 条目 + previous_response_id 历史）转换为聊天补全格式交给 parseRequest 处理，并将结果按 Responses 格式与类型化流式事件输出
+ */
+
+import crypto from 'crypto';
+import { sendApiError, unsentTail } from '../../respond.js';
+
+/**
+ * 生成输出条目 ID
+ * @param {string} prefix - 前缀 ('msg' | 'rs' | 'fc')
+ * @returns {string}
+ */
+function itemId(prefix) {
+    return `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * 转换 input 条目中的消息内容
+ * @param {string|object[]} content - 字符串或内容片段数组 (input_text / output_text / input_image / input_file)
+ * @returns {string|object[]}
+ */
+function convertContent(content) {
+    if (!Array.isArray(content)) return content ?? '';
+    const parts = [];
+    for (const part of content) {
+        if (part?.type === 'input_text' || part?.type === 'output_text' || part?.type === 'text') {
+            parts.push({ type: 'text', text: part.text });
+        } else if (part?.type === 'refusal') {
+            parts.push({ type: 'text', text: part.refusal });
+        } else if (part?.type === 'input_image' && part.image_url) {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url.url;
+            parts.push({ type: 'image_url', image_url: { url } });
+        } else if ((part?.type === 'input_image' || part?.type === 'input_file') && part.file_id) {
+            parts.push({ type: 'file', file: { file_id: part.file_id } });
+        } else if (part?.type === 'input_file' && part.file_data) {
+            parts.push({ type: 'file', file: { file_data: part.file_data, filename: part.filename } });
+        }
+    }
+    return parts;
+}
+
+/**
+ * 将 input 转换为 OpenAI 聊天消息列表
+ * 连续的 function_call 条目合并为一条助手消息的 tool_calls，function_call_output 转换为 tool 消息
+ * @param {string|object[]} input - 请求 input
+ * @returns {object[]}
+ */
+export function convertInput(input) {
+    if (typeof input === 'string') return [{ role: 'user', content: input }];
+
+    const messages = [];
+    for (const item of input) {
+        const type = item?.type || (item?.role ? 'message' : null);
+        if (type === 'message') {
+            const role = item.role === 'developer' ? 'system' : item.role;
+            messages.push({ role, content: convertContent(item.content) });
+        } else if (type === 'function_call') {
+            const call = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '{}' } };
+            const last = messages[messages.length - 1];
+            if (last?.role === 'assistant' && last.tool_calls) {
+                last.tool_calls.push(call);
+            } else {
+                messages.push({ role: 'assistant', content: '', tool_calls: [call] });
+            }
+        } else if (type === 'function_call_output') {
+            const output = typeof item.output === 'string' ? item.output : JSON.stringify(item.output);
+            messages.push({ role: 'tool', tool_call_id: item.call_id, content: output });
+        }
+        // reasoning 等其他条目不回传给网页
+    }
+    return messages;
+}
+
+/**
+ * 转换 text.format 为 response_format
+ * @param {object} [format] - { type: 'text' | 'json_object' | 'json_schema', name?, schema?, strict? }
+ * @returns {object|undefined}
+ */
+function convertTextFormat(format) {
+    if (!format || format.type === 'text') return undefined;
+    if (format.type === 'json_schema') {
+        return { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: format.strict } };
+    }
+    return { type: format.type };
+}
+
+/**
+ * 转换 tool_choice（Responses 的函数指定形式为 { type: 'function', name }）
+ * @param {string|object} [toolChoice]
+ * @returns {string|object|undefined}
+ */
+function convertToolChoice(toolChoice) {
+    if (toolChoice?.type === 'function' && toolChoice.name) {
+        return { type: 'function', function: { name: toolChoice.name } };
+    }
+    return toolChoice;
+}
+
+/**
+ * 将 Responses 请求转换为 OpenAI 聊天补全请求体
+ * @param {object} body - Responses 请求体
+ * @param {object[]} [history=[]] - previous_response_id 对应的对话历史
+ * @returns {{data?: object, inputMessages?: object[], error?: string}} 转换结果（inputMessages 为本轮 input 转换后的消息，用于保存历史）
+ */
+export function toChatRequest(body, history = []) {
+    const isEmpty = body.input === undefined || body.input === null || body.input === ''
+        || (Array.isArray(body.input) && body.input.length === 0);
+    if (isEmpty) {
+        return { error: 'input 不能为空' };
+    }
+    if (typeof body.input !== 'string' && !Array.isArray(body.input)) {
+        return { error: 'input 必须是字符串或数组' };
+    }
+
+    const inputMessages = convertInput(body.input);
+    const messages = [...history, ...inputMessages];
+    if (body.instructions) messages.unshift({ role: 'system', content: body.instructions });
+
+    const data = {
+        model: body.model,
+        messages,
+        stream: body.stream === true,
+        response_format: convertTextFormat(body.text?.format)
+    };
+    // 只支持函数工具，web_search 等内置工具忽略
+    const tools = (body.tools || []).filter(tool => tool?.type === 'function');
+    if (tools.length > 0) {
+        data.tools = tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }));
+        data.tool_choice = convertToolChoice(body.tool_choice);
+    }
+    return { data, inputMessages };
+}
+
+/**
+ * 将 ChatChoice 转换为助手历史消息（保存后供 previous_response_id 续接）
+ * @param {import('../../respond.js').ChatChoice} choice - 回复结果
+ * @returns {object}
+ */
+export function toHistoryMessage(choice) {
+    const message = { role: 'assistant', content: choice.content || '' };
+    if (choice.toolCalls?.length) message.tool_calls = choice.toolCalls;
+    return message;
+}
+
+/**
+ * 转换 token 用量
+ * @param {import('../../tokens.js').Usage} usage - token 用量
+ * @returns {object}
+ */
+function buildUsage(usage) {
+    return {
+        input_tokens: usage.prompt_tokens,
+        input_tokens_details: { cached_tokens: 0 },
+        output_tokens: usage.completion_tokens,
+        output_tokens_details: { reasoning_tokens: usage.completion_tokens_details?.reasoning_tokens || 0 },
+        total_tokens: usage.total_tokens
+    };
+}
+
+/** 构造输出条目 */
+const buildReasoningItem = (id, text) => ({ id, type: 'reasoning', summary: text ? [{ type: 'summary_text', text }] : [] });
+const buildMessageItem = (id, text, status = 'completed') => ({
+    id,
+    type: 'message',
+    status,
+    role: 'assistant',
+    content: status === 'completed' ? [{ type: 'output_text', text, annotations: [] }] : []
+});
+const buildFunctionCallItem = (call, status = 'completed') => ({
+    id: itemId('fc'),
+    type: 'function_call',
+    status,
+    call_id: call.id,
+    name: call.function.name,
+    arguments: status === 'completed' ? call.function.arguments : ''
+});
+
+/**
+ * 将 ChatChoice 转换为 Responses 输出条目列表
+ * @param {import('../../respond.js').ChatChoice} choice - 回复结果
+ * @returns {object[]}
+ */
+function buildOutput(choice) {
+    const output = [];
+    if (choice.reasoning) output.push(buildReasoningItem(itemId('rs'), choice.reasoning));
+    if (choice.content) output.push(buildMessageItem(itemId('msg'), choice.content));
+    for (const call of choice.toolCalls || []) output.push(buildFunctionCallItem(call));
+    return output;
+}
+
+/**
+ * 创建 Responses API 格式的响应器
+ * 流式事件: response.created → response.in_progress → (output_item.added → 增量事件* → output_item.done)* → response.completed
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {string} options.id - 响应 ID
+ * @param {string} options.modelName - 模型名称
+ * @param {boolean} options.isStreaming - 是否流式响应
+ * @param {object} options.echo - 回显到响应对象中的请求字段 (instructions / previous_response_id / tools 等)
+ * @param {(response: object, choice: import('../../respond.js').ChatChoice) => void} [options.onComplete] - 响应完成回调（用于保存历史）
+ * @returns {import('../../respond.js').TaskResponder}
+ */
+export function createResponsesResponder(res, options) {
+    const { id, isStreaming, echo, onComplete } = options;
+    let modelName = options.modelName;
+    const createdAt = Math.floor(Date.now() / 1000);
+    const output = [];
+    let sequence = 0;
+    let started = false;
+    let current = null;
+    let streamedText = '';
+    let streamedReasoning = '';
+
+    function buildResponse(status, extra = {}) {
+        return {
+            id,
+            object: 'response',
+            created_at: createdAt,
+            status,
+            model: modelName,
+            output,
+            parallel_tool_calls: true,
+            error: null,
+            incomplete_details: null,
+            usage: null,
+            ...echo,
+            ...extra
+        };
+    }
+
+    function sendEvent(type, payload) {
+        if (res.writableEnded) return;
+        res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequence++, ...payload })}\n\n`);
+    }
+
+    function start() {
+        if (started) return;
+        started = true;
+        sendEvent('response.created', { response: buildResponse('in_progress') });
+        sendEvent('response.in_progress', { response: buildResponse('in_progress') });
+    }
+
+    /**
+     * 结束当前输出条目（消息或思考摘要）
+     */
+    function closeItem() {
+        if (!current) return;
+        const { item, index, text } = current;
+        const base = { item_id: item.id, output_index: index };
+        if (item.type === 'message') {
+            const part = { type: 'output_text', text, annotations: [] };
+            sendEvent('response.output_text.done', { ...base, content_index: 0, text });
+            sendEvent('response.content_part.done', { ...base, content_index: 0, part });
+            output[index] = buildMessageItem(item.id, text);
+        } else {
+            const part = { type: 'summary_text', text };
+            sendEvent('response.reasoning_summary_text.done', { ...base, summary_index: 0, text });
+            sendEvent('response.reasoning_summary_part.done', { ...base, summary_index: 0, part });
+            output[index] = buildReasoningItem(item.id, text);
+        }
+        sendEvent('response.output_item.done', { output_index: index, item: output[index] });
+        current = null;
+    }
+
+    /**
+     * 在指定类型的输出条目中推送增量，类型变化时先结束上一个条目
+     * @param {'message'|'reasoning'} type - 条目类型
+     * @param {string} delta - 增量
+     */
+    function sendDelta(type, delta) {
+        start();
+        if (current?.item.type !== type) {
+            closeItem();
+            const item = type === 'message'
+                ? buildMessageItem(itemId('msg'), '', 'in_progress')
+                : buildReasoningItem(itemId('rs'), '');
+            current = { item, index: output.length, text: '' };
+            output.push(item);
+            const base = { item_id: item.id, output_index: current.index };
+            sendEvent('response.output_item.added', { output_index: current.index, item });
+            if (type === 'message') {
+                sendEvent('response.content_part.added', { ...base, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } });
+            } else {
+                sendEvent('response.reasoning_summary_part.added', { ...base, summary_index: 0, part: { type: 'summary_text', text: '' } });
+            }
+        }
+        current.text += delta;
+        const base = { item_id: current.item.id, output_index: current.index };
+        if (type === 'message') {
+            sendEvent('response.output_text.delta', { ...base, content_index: 0, delta });
+        } else {
+            sendEvent('response.reasoning_summary_text.delta', { ...base, summary_index: 0, delta });
+        }
+    }
+
+    return {
+        setModel(model) {
+            modelName = model;
+        },
+
+        heartbeat(mode) {
+            if (res.writableEnded) return;
+            if (mode === 'comment') {
+                res.write(':keepalive\n\n');
+            } else {
+                start();
+                sendEvent('response.in_progress', { response: buildResponse('in_progress') });
+            }
+        },
+
+        textDelta(delta) {
+            streamedText += delta;
+            sendDelta('message', delta);
+        },
+
+        reasoningDelta(delta) {
+            streamedReasoning += delta;
+            sendDelta('reasoning', delta);
+        },
+
+        resetStream() {
+            // 丢弃失败尝试的输出条目，重试的内容从 output_index 0 开始替换
+            closeItem();
+            output.length = 0;
+            streamedText = '';
+            streamedReasoning = '';
+        },
+
+        success(choices, usage) {
+            // Responses API 不支持多个候选，只返回第一个结果
+            const choice = choices[0];
+            if (!isStreaming) {
+                output.push(...buildOutput(choice));
+                const response = buildResponse('completed', { usage: buildUsage(usage) });
+                onComplete?.(response, choice);
+                if (res.writableEnded) return;
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(response));
+                return;
+            }
+
+            const reasoningTail = unsentTail(choice.reasoning || '', streamedReasoning);
+            if (reasoningTail) sendDelta('reasoning', reasoningTail);
+            const tail = unsentTail(choice.content || '', streamedText);
+            if (tail) sendDelta('message', tail);
+
+            start();
+            closeItem();
+            for (const call of choice.toolCalls || []) {
+                const item = buildFunctionCallItem(call, 'in_progress');
+                const index = output.length;
+                output.push(item);
+                const base = { item_id: item.id, output_index: index };
+                sendEvent('response.output_item.added', { output_index: index, item });
+                sendEvent('response.function_call_arguments.delta', { ...base, delta: call.function.arguments });
+                sendEvent('response.function_call_arguments.done', { ...base, arguments: call.function.arguments });
+                output[index] = { ...item, status: 'completed', arguments: call.function.arguments };
+                sendEvent('response.output_item.done', { output_index: index, item: output[index] });
+            }
+
+            const response = buildResponse('completed', { usage: buildUsage(usage) });
+            onComplete?.(response, choice);
+            sendEvent('response.completed', { response });
+            if (!res.writableEnded) res.end();
+        },
+
+        error({ code, message, status }) {
+            if (!isStreaming) {
+                sendApiError(res, { code, message, status });
+                return;
+            }
+            if (started) {
+                closeItem();
+                sendEvent('response.failed', { response: buildResponse('failed', { error: { code, message } }) });
+            } else {
+                sendEvent('error', { code, message, param: null });
+            }
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
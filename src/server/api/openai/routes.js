@@ -3,11 +3,43 @@
  * @description 处理 /v1 路径下的所有 API 请求
  */
 
+import fs from 'fs';
 import crypto from 'crypto';
 import { logger } from '../../../utils/logger.js';
 import { ERROR_CODES } from '../../errors.js';
-import { sendJson, sendApiError } from '../../respond.js';
-import { parseRequest } from './parse.js';
+import {
+    sendJson,
+    sendApiError,
+    buildImagesResponse,
+    buildVideoObject,
+    buildTaskObject,
+    buildFileObject,
+    buildChatCompletion,
+    buildChatChoices,
+    formatResultContent,
+    getResultImages
+} from '../../respond.js';
+import { parseRequest, parseImageGenerationRequest, parseImageEditRequest, parseVideoRequest, parseFileUpload } from './parse.js';
+import { toChatRequest as responsesToChatRequest, toHistoryMessage, createResponsesResponder } from './responses.js';
+import { JOB_STATUS } from '../../jobs.js';
+import { checkCallbackUrl, sendWebhook } from '../../webhook.js';
+import { estimateUsage } from '../../tokens.js';
+import { isMultipart, parseMultipart } from '../../multipart.js';
+import { createResponseId } from '../../responseStore.js';
+import { getRequestOwner, hasModelScope, scopeModels } from '../../middlewares/auth.js';
+
+/**
+ * 读取完整请求体
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @returns {Promise<Buffer>} 请求体
+ */
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
 
 /**
  * 创建 OpenAI API 路由处理器
@@ -20,16 +52,39 @@ export function createOpenAIRouter(context) {
         getModels,
         getImagePolicy,
         getModelType,
+        getImageOptions,
+        getFileTypes,
+        getPromptTemplate,
+        getInputLimit,
         tempDir,
         imageLimit,
-        queueManager
+        queueManager,
+        jobStore,
+        responseStore,
+        mediaStore,
+        fileStore,
+        remoteImage
     } = context;
 
+    /** @type {Map<string, import('../../queue.js').TaskContext>} 排队中的异步任务（任务 ID → 队列任务），删除任务时移出队列 */
+    const queuedJobs = new Map();
+
     /**
-     * 处理 GET /v1/models
+     * 创建当前请求的文件查找函数（仅能访问同一 API Key 上传的文件）
+     * @param {import('http').IncomingMessage} req - HTTP 请求
+     * @returns {Function|undefined}
      */
-    function handleModels(res) {
-        const models = getModels();
+    function fileResolver(req) {
+        if (!fileStore) return undefined;
+        const owner = getRequestOwner(req);
+        return (fileId) => fileStore.get(fileId, owner);
+    }
+
+    /**
+     * 处理 GET /v1/models（按请求使用的密钥过滤）
+     */
+    function handleModels(req, res) {
+        const models = scopeModels(getModels(), req);
         sendJson(res, 200, models);
     }
 
@@ -71,14 +126,17 @@ export function createOpenAIRouter(context) {
      * 处理 POST /v1/chat/completions
      */
     async function handleChatCompletions(req, res, requestId) {
-        const chunks = [];
-        for await (const chunk of req) {
-            chunks.push(chunk);
-        }
+        const body = (await readBody(req)).toString();
 
         try {
-            const body = Buffer.concat(chunks).toString();
             const data = JSON.parse(body);
+
+            // 异步模式：立即返回任务 ID，结果保存在服务端
+            if (data.async === true) {
+                await submitAsyncTask(req, res, data, requestId);
+                return;
+            }
+
             const isStreaming = data.stream === true;
 
             // 限流检查
@@ -106,11 +164,18 @@ export function createOpenAIRouter(context) {
                 tempDir,
                 imageLimit,
                 backendName,
-                getSupportedModels: getModels,
+                getSupportedModels: () => scopeModels(getModels(), req),
+                requireModel: hasModelScope(req.apiKey),
                 getImagePolicy,
                 getModelType,
+                getImageOptions,
+                getFileTypes,
+                getPromptTemplate,
+                getInputLimit,
                 requestId,
-                logger
+                logger,
+                remoteImage,
+                getFile: fileResolver(req)
             });
 
             if (!parseResult.success) {
@@ -122,9 +187,9 @@ export function createOpenAIRouter(context) {
                 return;
             }
 
-            const { prompt, imagePaths, modelId, modelName } = parseResult.data;
+            const { prompt, imagePaths, attachments, modelId, modelName, n, tools, responseFormat, imageOptions, mediaFormat, session, targetPrompts } = parseResult.data;
 
-            logger.info('服务器', `[队列] 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+            logger.info('服务器', `[队列] 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length, n });
 
             // 加入队列
             queueManager.addTask({
@@ -132,10 +197,19 @@ export function createOpenAIRouter(context) {
                 res,
                 prompt,
                 imagePaths,
+                attachments,
+                session,
+                targetPrompts,
                 modelId,
                 modelName,
                 id: requestId,
-                isStreaming
+                isStreaming,
+                n,
+                includeUsage: isStreaming && data.stream_options?.include_usage === true,
+                tools,
+                responseFormat,
+                imageOptions,
+                mediaFormat
             });
 
         } catch (err) {
@@ -147,6 +221,745 @@ export function createOpenAIRouter(context) {
         }
     }
 
+    /**
+     * 处理 POST /v1/responses
+     * previous_response_id 对应的历史与本轮 input 合并后按聊天补全解析，完成后保存供后续续接
+     */
+    async function handleResponses(req, res, requestId) {
+        try {
+            const data = JSON.parse((await readBody(req)).toString());
+            const isStreaming = data.stream === true;
+
+            // 限流检查
+            if (!isStreaming && !queueManager.canAcceptNonStreaming()) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendApiError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}/${queueManager.maxQueueSize}）。请使用流式模式 (stream: true) 或稍后重试。`
+                });
+                return;
+            }
+
+            let history = [];
+            if (data.previous_response_id) {
+                const previous = responseStore.get(data.previous_response_id, getRequestOwner(req));
+                if (!previous) {
+                    sendApiError(res, { code: ERROR_CODES.NOT_FOUND, message: `响应不存在或已过期: ${data.previous_response_id}` });
+                    return;
+                }
+                history = previous.messages;
+            }
+
+            const converted = responsesToChatRequest(data, history);
+            if (converted.error) {
+                sendApiError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: converted.error });
+                return;
+            }
+
+            const parseResult = await parseRequest(converted.data, {
+                tempDir,
+                imageLimit,
+                backendName,
+                getSupportedModels: () => scopeModels(getModels(), req),
+                requireModel: hasModelScope(req.apiKey),
+                getImagePolicy,
+                getModelType,
+                getImageOptions,
+                getFileTypes,
+                getPromptTemplate,
+                getInputLimit,
+                requestId,
+                logger,
+                remoteImage,
+                getFile: fileResolver(req)
+            });
+            if (!parseResult.success) {
+                sendApiError(res, { code: parseResult.error.code, message: parseResult.error.error });
+                return;
+            }
+
+            // 设置 SSE 响应头
+            if (isStreaming) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+            }
+
+            const { prompt, imagePaths, attachments, modelId, modelName, tools, responseFormat, imageOptions, mediaFormat, session, targetPrompts } = parseResult.data;
+            const store = data.store !== false;
+            const echo = {
+                instructions: data.instructions ?? null,
+                metadata: data.metadata ?? {},
+                previous_response_id: data.previous_response_id ?? null,
+                store,
+                text: data.text ?? { format: { type: 'text' } },
+                tool_choice: data.tool_choice ?? 'auto',
+                tools: data.tools ?? []
+            };
+
+            logger.info('服务器', `[队列] Responses 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                attachments,
+                session,
+                targetPrompts,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming,
+                tools,
+                responseFormat,
+                imageOptions,
+                mediaFormat,
+                responder: createResponsesResponder(res, {
+                    id: createResponseId(),
+                    modelName: modelName || data.model,
+                    isStreaming,
+                    echo,
+                    onComplete: store
+                        ? (response, choice) => responseStore.save(response, [...history, ...converted.inputMessages, toHistoryMessage(choice)], getRequestOwner(req))
+                        : null
+                })
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: err instanceof SyntaxError ? ERROR_CODES.INVALID_PARAMETER : ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理 GET / DELETE /v1/responses/{id}
+     */
+    function handleResponseObject(req, res, responseId) {
+        const entry = responseStore.get(responseId, getRequestOwner(req));
+        if (!entry) {
+            sendApiError(res, { code: ERROR_CODES.NOT_FOUND, message: `响应不存在或已过期: ${responseId}` });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            responseStore.remove(responseId);
+            sendJson(res, 200, { id: responseId, object: 'response.deleted', deleted: true });
+            return;
+        }
+        sendJson(res, 200, entry.response);
+    }
+
+    /**
+     * 异步任务结束后发送回调通知（未设置 callback_url 时忽略）
+     * @param {import('../../jobs.js').Job} job - 异步任务
+     * @param {Function} buildObject - 任务对象构建函数
+     */
+    function notifyJobCallback(job, buildObject) {
+        if (!job.extra.callbackUrl) return;
+        sendWebhook(job.extra.callbackUrl, buildObject(job), { meta: { id: job.id } });
+    }
+
+    /**
+     * 提交异步聊天任务 (POST /v1/tasks 或 async: true)
+     * 任务与客户端连接解耦，通过 GET /v1/tasks/{id} 轮询或 callback_url 获取结果
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {object} data - 聊天补全请求体
+     * @param {string} requestId - 请求 ID
+     */
+    async function submitAsyncTask(req, res, data, requestId) {
+        if (!queueManager.canAcceptNonStreaming()) {
+            const status = queueManager.getStatus();
+            logger.warn('服务器', '异步任务被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+            sendApiError(res, {
+                code: ERROR_CODES.SERVER_BUSY,
+                message: `服务器繁忙（队列: ${status.total}）。请稍后重试。`
+            });
+            return;
+        }
+
+        const callbackUrl = data.callback_url ?? null;
+        const callbackError = callbackUrl !== null ? await checkCallbackUrl(callbackUrl) : null;
+        if (callbackError) {
+            sendApiError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: callbackError });
+            return;
+        }
+
+        const parseResult = await parseRequest(data, {
+            tempDir,
+            imageLimit,
+            backendName,
+            getSupportedModels: () => scopeModels(getModels(), req),
+            requireModel: hasModelScope(req.apiKey),
+            getImagePolicy,
+            getModelType,
+            getImageOptions,
+            getFileTypes,
+            getPromptTemplate,
+            getInputLimit,
+            requestId,
+            logger,
+            remoteImage,
+            getFile: fileResolver(req)
+        });
+
+        if (!parseResult.success) {
+            sendApiError(res, {
+                code: parseResult.error.code,
+                message: parseResult.error.error
+            });
+            return;
+        }
+
+        const { prompt, imagePaths, attachments, modelId, modelName, n, tools, responseFormat, imageOptions, mediaFormat, session, targetPrompts } = parseResult.data;
+        const job = jobStore.create('task', { owner: getRequestOwner(req), model: modelName, extra: { callbackUrl } });
+
+        logger.info('服务器', `[队列] 异步任务入队: ${prompt.slice(0, 10)}...`, { id: requestId, job: job.id, images: imagePaths.length });
+
+        // 异步任务不占用连接，与非流式请求共用队列上限
+        const task = {
+            req: null,
+            res: null,
+            owner: job.owner,
+            prompt,
+            imagePaths,
+            attachments,
+            session,
+            targetPrompts,
+            modelId,
+            modelName,
+            id: requestId,
+            isStreaming: false,
+            n,
+            tools,
+            responseFormat,
+            imageOptions,
+            mediaFormat,
+            // 任务不持有请求对象，托管链接地址在提交时确定
+            baseUrl: mediaStore?.getBaseUrl(req),
+            onStart: () => {
+                queuedJobs.delete(job.id);
+                jobStore.start(job.id);
+            },
+            onProgress: (progress) => jobStore.setProgress(job.id, progress),
+            onResult: (result) => {
+                if (result.error) {
+                    jobStore.fail(job.id, ERROR_CODES.GENERATION_FAILED, result.error);
+                } else {
+                    const results = result.results || [result];
+                    const usage = estimateUsage(prompt, results.map(formatResultContent), results.map(item => item.reasoning));
+                    const completion = buildChatCompletion(buildChatChoices(result, tools), result.model || modelName, { usage });
+                    jobStore.complete(job.id, { extra: { result: completion } });
+                }
+                logger.info('服务器', '异步任务已结束', { id: job.id, status: job.status });
+                notifyJobCallback(job, buildTaskObject);
+            },
+            onError: (err) => {
+                jobStore.fail(job.id, ERROR_CODES.INTERNAL_ERROR, err.message);
+                notifyJobCallback(job, buildTaskObject);
+            }
+        };
+        queuedJobs.set(job.id, task);
+        queueManager.addTask(task);
+
+        sendJson(res, 202, buildTaskObject(job));
+    }
+
+    /**
+     * 处理 POST /v1/tasks
+     */
+    async function handleCreateTask(req, res, requestId) {
+        const body = (await readBody(req)).toString();
+
+        try {
+            await submitAsyncTask(req, res, JSON.parse(body), requestId);
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: err instanceof SyntaxError ? ERROR_CODES.INVALID_PARAMETER : ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 删除异步任务（排队中的任务同时移出队列）
+     * @param {import('../../jobs.js').Job} job - 异步任务
+     */
+    function removeJob(job) {
+        const task = queuedJobs.get(job.id);
+        if (task) {
+            queuedJobs.delete(job.id);
+            queueManager.cancelTask(task);
+        }
+        jobStore.remove(job.id);
+    }
+
+    /**
+     * 处理 GET/DELETE /v1/tasks/{id}
+     */
+    function handleTaskJob(req, res, taskId) {
+        const job = jobStore.get(taskId, getRequestOwner(req));
+        if (!job || job.kind !== 'task') {
+            sendApiError(res, { code: ERROR_CODES.NOT_FOUND, message: `任务不存在: ${taskId}` });
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            if (job.status === JOB_STATUS.IN_PROGRESS) {
+                sendApiError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: '任务正在处理，无法删除' });
+                return;
+            }
+            removeJob(job);
+            sendJson(res, 200, { id: job.id, object: 'task.deleted', deleted: true });
+            return;
+        }
+
+        sendJson(res, 200, buildTaskObject(job));
+    }
+
+    /**
+     * 发送图片生成结果 (Images API 格式)
+     * @param {import('http').ServerResponse} res
+     * @param {object} result - 适配器结果
+     * @param {string} responseFormat - 返回格式
+     * @param {string} requestId - 请求 ID
+     */
+    function sendImagesResult(res, result, responseFormat, requestId) {
+        if (result.error) {
+            sendApiError(res, {
+                code: ERROR_CODES.GENERATION_FAILED,
+                message: result.error,
+                status: result.retryable ? 503 : 502
+            });
+            return;
+        }
+
+        // 仅接受图片结果，视频或纯文本回复视为失败
+        const results = result.results || [result];
+        const images = results
+            .flatMap(getResultImages)
+            .filter(image => !image.startsWith('data:') || image.startsWith('data:image/'));
+        if (images.length === 0) {
+            sendApiError(res, {
+                code: ERROR_CODES.GENERATION_FAILED,
+                message: results.find(item => item.text)?.text || '未返回图片结果'
+            });
+            return;
+        }
+
+        sendJson(res, 200, buildImagesResponse(images, responseFormat));
+        logger.info('服务器', '图片响应已发送', { id: requestId, images: images.length });
+    }
+
+    /**
+     * 处理 POST /v1/images/generations
+     */
+    async function handleImageGenerations(req, res, requestId) {
+        const body = (await readBody(req)).toString();
+
+        try {
+            const data = JSON.parse(body);
+
+            // 限流检查 (Images API 无流式模式)
+            if (!queueManager.canAcceptNonStreaming()) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '图片请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendApiError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}）。请稍后重试。`
+                });
+                return;
+            }
+
+            const parseResult = parseImageGenerationRequest(data, {
+                backendName,
+                getSupportedModels: () => scopeModels(getModels(), req),
+                getImagePolicy,
+                getModelType,
+                getImageOptions,
+                requestId,
+                logger,
+                remoteImage
+            });
+
+            if (!parseResult.success) {
+                sendApiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { prompt, modelId, modelName, n, responseFormat, imageOptions } = parseResult.data;
+
+            logger.info('服务器', `[队列] 图片请求入队: ${prompt.slice(0, 10)}...`, { id: requestId });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths: [],
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming: false,
+                n,
+                imageOptions,
+                mediaFormat: responseFormat === 'url' ? 'url' : 'base64',
+                onResult: (result) => sendImagesResult(res, result, responseFormat, requestId)
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: err instanceof SyntaxError ? ERROR_CODES.INVALID_PARAMETER : ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理 POST /v1/images/edits (multipart/form-data)
+     */
+    async function handleImageEdits(req, res, requestId) {
+        if (!isMultipart(req)) {
+            sendApiError(res, {
+                code: ERROR_CODES.INVALID_PARAMETER,
+                message: '/v1/images/edits 仅支持 multipart/form-data 请求'
+            });
+            return;
+        }
+
+        try {
+            const form = await parseMultipart(req);
+
+            if (!queueManager.canAcceptNonStreaming()) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '图片请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendApiError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}）。请稍后重试。`
+                });
+                return;
+            }
+
+            const parseResult = await parseImageEditRequest(form, {
+                tempDir,
+                imageLimit,
+                backendName,
+                getSupportedModels: () => scopeModels(getModels(), req),
+                getImagePolicy,
+                getModelType,
+                getImageOptions,
+                requestId,
+                logger,
+                remoteImage
+            });
+
+            if (!parseResult.success) {
+                sendApiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { prompt, imagePaths, modelId, modelName, n, responseFormat, imageOptions } = parseResult.data;
+
+            logger.info('服务器', `[队列] 图片编辑请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming: false,
+                n,
+                imageOptions,
+                mediaFormat: responseFormat === 'url' ? 'url' : 'base64',
+                onResult: (result) => sendImagesResult(res, result, responseFormat, requestId)
+            });
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+
+    /**
+     * 保存视频任务结果到任务存储
+     * @param {import('../../jobs.js').Job} job - 视频任务
+     * @param {object} result - 适配器结果
+     */
+    function saveVideoResult(job, result) {
+        if (result.error) {
+            jobStore.fail(job.id, ERROR_CODES.GENERATION_FAILED, result.error);
+            logger.warn('服务器', '视频任务失败', { id: job.id, error: result.error });
+            return;
+        }
+
+        const match = result.image?.match(/^data:(video\/([\w.+-]+));base64,(.+)$/);
+        if (!match) {
+            jobStore.fail(job.id, ERROR_CODES.GENERATION_FAILED, '模型未返回视频');
+            logger.warn('服务器', '视频任务未返回视频', { id: job.id, preview: result.text?.slice(0, 100) });
+            return;
+        }
+
+        const [, contentType, ext, base64] = match;
+        jobStore.saveContent(job.id, Buffer.from(base64, 'base64'), ext, contentType);
+        logger.info('服务器', '视频任务已完成', { id: job.id });
+    }
+
+    /**
+     * 处理 POST /v1/videos (JSON 或 multipart/form-data)
+     */
+    async function handleCreateVideo(req, res, requestId) {
+        try {
+            let fields;
+            let files = [];
+            if (isMultipart(req)) {
+                ({ fields, files } = await parseMultipart(req));
+            } else {
+                fields = JSON.parse((await readBody(req)).toString());
+            }
+
+            if (!queueManager.canAcceptNonStreaming()) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '视频请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendApiError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}）。请稍后重试。`
+                });
+                return;
+            }
+
+            const callbackUrl = fields.callback_url || null;
+            const callbackError = callbackUrl !== null ? await checkCallbackUrl(callbackUrl) : null;
+            if (callbackError) {
+                sendApiError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: callbackError });
+                return;
+            }
+
+            const parseResult = await parseVideoRequest(fields, files, {
+                tempDir,
+                backendName,
+                getSupportedModels: () => scopeModels(getModels(), req),
+                getImagePolicy,
+                getModelType,
+                requestId,
+                logger,
+                remoteImage
+            });
+
+            if (!parseResult.success) {
+                sendApiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { prompt, imagePaths, modelId, modelName } = parseResult.data;
+            const job = jobStore.create('video', { owner: getRequestOwner(req), model: modelName, extra: { prompt, callbackUrl } });
+
+            logger.info('服务器', `[队列] 视频任务入队: ${prompt.slice(0, 10)}...`, { id: requestId, job: job.id, images: imagePaths.length });
+
+            // 任务与客户端连接解耦，结果写入任务存储
+            const task = {
+                req: null,
+                res: null,
+                owner: job.owner,
+                prompt,
+                imagePaths,
+                modelId,
+                modelName,
+                id: requestId,
+                isStreaming: false,
+                // 视频结果由任务存储保存，需要原始 data URI
+                mediaFormat: 'base64',
+                onStart: () => {
+                    queuedJobs.delete(job.id);
+                    jobStore.start(job.id);
+                },
+                onProgress: (progress) => jobStore.setProgress(job.id, progress),
+                onResult: (result) => {
+                    saveVideoResult(job, result);
+                    notifyJobCallback(job, buildVideoObject);
+                },
+                onError: (err) => {
+                    jobStore.fail(job.id, ERROR_CODES.INTERNAL_ERROR, err.message);
+                    notifyJobCallback(job, buildVideoObject);
+                }
+            };
+            queuedJobs.set(job.id, task);
+            queueManager.addTask(task);
+
+            sendJson(res, 200, buildVideoObject(job));
+
+        } catch (err) {
+            logger.error('服务器', '请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: err instanceof SyntaxError ? ERROR_CODES.INVALID_PARAMETER : ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理 /v1/videos/{id} 及 /v1/videos/{id}/content
+     */
+    function handleVideoJob(req, res, videoId, action) {
+        const job = jobStore.get(videoId, getRequestOwner(req));
+        if (!job || job.kind !== 'video') {
+            sendApiError(res, { code: ERROR_CODES.NOT_FOUND, message: `视频任务不存在: ${videoId}` });
+            return;
+        }
+
+        if (req.method === 'DELETE' && !action) {
+            if (job.status === JOB_STATUS.IN_PROGRESS) {
+                sendApiError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: '视频任务正在处理，无法删除' });
+                return;
+            }
+            removeJob(job);
+            sendJson(res, 200, { id: job.id, object: 'video.deleted', deleted: true });
+            return;
+        }
+
+        if (!action) {
+            sendJson(res, 200, buildVideoObject(job));
+            return;
+        }
+
+        // GET /v1/videos/{id}/content
+        if (job.status !== JOB_STATUS.COMPLETED || !job.contentPath || !fs.existsSync(job.contentPath)) {
+            sendApiError(res, {
+                code: ERROR_CODES.INVALID_PARAMETER,
+                message: `视频尚未生成完成 (状态: ${job.status})`
+            });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': job.contentType,
+            'Content-Length': fs.statSync(job.contentPath).size
+        });
+        fs.createReadStream(job.contentPath).pipe(res);
+    }
+
+    /**
+     * 处理 POST /v1/files (multipart/form-data)
+     */
+    async function handleCreateFile(req, res, requestId) {
+        if (!isMultipart(req)) {
+            sendApiError(res, {
+                code: ERROR_CODES.INVALID_PARAMETER,
+                message: '/v1/files 仅支持 multipart/form-data 请求'
+            });
+            return;
+        }
+
+        try {
+            const parseResult = await parseFileUpload(await parseMultipart(req, { maxBytes: fileStore.maxBytes }));
+            if (!parseResult.success) {
+                sendApiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { file, error } = fileStore.create({ owner: getRequestOwner(req), ...parseResult.data });
+            if (error) {
+                sendApiError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: error });
+                return;
+            }
+
+            logger.info('服务器', `文件已上传: ${file.filename}`, { id: requestId, file: file.id, bytes: file.bytes });
+            sendJson(res, 200, buildFileObject(file));
+
+        } catch (err) {
+            logger.error('服务器', '文件上传失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INVALID_PARAMETER,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理 GET /v1/files
+     */
+    function handleListFiles(req, res, parsedUrl) {
+        const purpose = parsedUrl.searchParams.get('purpose');
+        const order = parsedUrl.searchParams.get('order') || 'desc';
+        const after = parsedUrl.searchParams.get('after');
+        const limit = Number(parsedUrl.searchParams.get('limit')) || 10000;
+
+        let files = fileStore.list(getRequestOwner(req)).filter(file => !purpose || file.purpose === purpose);
+        if (order === 'asc') files.reverse();
+        if (after) {
+            const index = files.findIndex(file => file.id === after);
+            if (index === -1) {
+                sendApiError(res, { code: ERROR_CODES.INVALID_PARAMETER, message: `after 指定的文件不存在或已过期: ${after}` });
+                return;
+            }
+            files = files.slice(index + 1);
+        }
+
+        const data = files.slice(0, limit).map(buildFileObject);
+        sendJson(res, 200, {
+            object: 'list',
+            data,
+            first_id: data[0]?.id ?? null,
+            last_id: data[data.length - 1]?.id ?? null,
+            has_more: files.length > limit
+        });
+    }
+
+    /**
+     * 处理 /v1/files/{id} 及 /v1/files/{id}/content
+     */
+    function handleFileObject(req, res, fileId, action) {
+        const owner = getRequestOwner(req);
+        const file = fileStore.get(fileId, owner);
+        if (!file) {
+            sendApiError(res, { code: ERROR_CODES.NOT_FOUND, message: `文件不存在或已过期: ${fileId}` });
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            fileStore.remove(fileId, owner);
+            sendJson(res, 200, { id: fileId, object: 'file', deleted: true });
+            return;
+        }
+
+        if (!action) {
+            sendJson(res, 200, buildFileObject(file));
+            return;
+        }
+
+        // GET /v1/files/{id}/content
+        res.writeHead(200, {
+            'Content-Type': file.mimeType,
+            'Content-Length': file.bytes
+        });
+        fs.createReadStream(file.path).pipe(res);
+    }
+
     /**
      * OpenAI API 路由处理函数
      * @param {import('http').IncomingMessage} req
@@ -156,15 +969,45 @@ export function createOpenAIRouter(context) {
      */
     return async function handleOpenAIRequest(req, res, pathname, parsedUrl) {
         const requestId = crypto.randomUUID().slice(0, 8);
+        const videoMatch = pathname.match(/^\/videos\/([^/]+)(?:\/(content))?$/);
+        const taskMatch = pathname.match(/^\/tasks\/([^/]+)$/);
+        const responseMatch = pathname.match(/^\/responses\/([^/]+)$/);
+        const fileMatch = pathname.match(/^\/files\/([^/]+)(?:\/(content))?$/);
 
         if (req.method === 'GET' && pathname === '/models') {
-            handleModels(res);
+            handleModels(req, res);
         } else if (req.method === 'GET' && pathname === '/cookies') {
             const workerName = parsedUrl.searchParams.get('name');
             const domain = parsedUrl.searchParams.get('domain');
             await handleCookies(res, requestId, workerName, domain);
         } else if (req.method === 'POST' && pathname.startsWith('/chat/completions')) {
             await handleChatCompletions(req, res, requestId);
+        } else if (req.method === 'POST' && pathname === '/responses') {
+            await handleResponses(req, res, requestId);
+        } else if (responseMatch && (req.method === 'GET' || req.method === 'DELETE')) {
+            handleResponseObject(req, res, responseMatch[1]);
+        } else if (req.method === 'POST' && pathname === '/images/generations') {
+            await handleImageGenerations(req, res, requestId);
+        } else if (req.method === 'POST' && pathname === '/images/edits') {
+            await handleImageEdits(req, res, requestId);
+        } else if (req.method === 'POST' && pathname === '/tasks') {
+            await handleCreateTask(req, res, requestId);
+        } else if (req.method === 'GET' && pathname === '/tasks') {
+            sendJson(res, 200, { object: 'list', data: jobStore.list('task', getRequestOwner(req)).map(buildTaskObject) });
+        } else if (taskMatch && (req.method === 'GET' || req.method === 'DELETE')) {
+            handleTaskJob(req, res, taskMatch[1]);
+        } else if (req.method === 'POST' && pathname === '/videos') {
+            await handleCreateVideo(req, res, requestId);
+        } else if (req.method === 'GET' && pathname === '/videos') {
+            sendJson(res, 200, { object: 'list', data: jobStore.list('video', getRequestOwner(req)).map(buildVideoObject) });
+        } else if (videoMatch && (req.method === 'GET' || (req.method === 'DELETE' && !videoMatch[2]))) {
+            handleVideoJob(req, res, videoMatch[1], videoMatch[2]);
+        } else if (fileStore && req.method === 'POST' && pathname === '/files') {
+            await handleCreateFile(req, res, requestId);
+        } else if (fileStore && req.method === 'GET' && pathname === '/files') {
+            handleListFiles(req, res, parsedUrl);
+        } else if (fileStore && fileMatch && (req.method === 'GET' || (req.method === 'DELETE' && !fileMatch[2]))) {
+            handleFileObject(req, res, fileMatch[1], fileMatch[2]);
         } else {
             res.writeHead(404);
             res.end();
@@ -25,6 +25,12 @@ export const ERROR_TYPES = {
 export const ERROR_CODES = {
     /** 未授权（Token 无效或缺失） */
     UNAUTHORIZED: 'UNAUTHORIZED',
+    /** 密钥无权访问（非管理密钥访问管理接口） */
+    FORBIDDEN: 'FORBIDDEN',
+    /** 超出密钥的每分钟请求数上限 */
+    RATE_LIMITED: 'RATE_LIMITED',
+    /** 超出密钥的每日配额 */
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
     /** 浏览器未初始化 */
     BROWSER_NOT_INITIALIZED: 'BROWSER_NOT_INITIALIZED',
     /** 服务器繁忙（队列已满） */
@@ -33,6 +39,12 @@ export const ERROR_CODES = {
     NO_MESSAGES: 'NO_MESSAGES',
     /** messages 中缺少 role=user 的消息 */
     NO_USER_MESSAGES: 'NO_USER_MESSAGES',
+    /** 请求参数缺少 prompt */
+    NO_PROMPT: 'NO_PROMPT',
+    /** 请求参数无效 */
+    INVALID_PARAMETER: 'INVALID_PARAMETER',
+    /** 资源不存在 */
+    NOT_FOUND: 'NOT_FOUND',
     /** 图片数量超过限制 */
     TOO_MANY_IMAGES: 'TOO_MANY_IMAGES',
     /** 模型无效/后端不支持 */
@@ -41,6 +53,8 @@ export const ERROR_CODES = {
     IMAGE_REQUIRED: 'IMAGE_REQUIRED',
     /** 该模型不支持图片输入 */
     IMAGE_FORBIDDEN: 'IMAGE_FORBIDDEN',
+    /** 提示词超过输入长度上限 */
+    PROMPT_TOO_LONG: 'PROMPT_TOO_LONG',
     /** 触发人机验证（reCAPTCHA） */
     RECAPTCHA: 'RECAPTCHA',
     /** 服务器内部错误 */
@@ -59,6 +73,21 @@ const ERROR_DETAILS = {
         status: 401,
         type: ERROR_TYPES.INVALID_REQUEST,
     },
+    [ERROR_CODES.FORBIDDEN]: {
+        message: '该密钥无权访问此接口',
+        status: 403,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.RATE_LIMITED]: {
+        message: '超出密钥的每分钟请求数上限',
+        status: 429,
+        type: ERROR_TYPES.RATE_LIMIT,
+    },
+    [ERROR_CODES.QUOTA_EXCEEDED]: {
+        message: '超出密钥的每日配额',
+        status: 429,
+        type: ERROR_TYPES.RATE_LIMIT,
+    },
     [ERROR_CODES.BROWSER_NOT_INITIALIZED]: {
         message: '浏览器未初始化',
         status: 503,
@@ -79,6 +108,21 @@ const ERROR_DETAILS = {
         status: 400,
         type: ERROR_TYPES.INVALID_REQUEST,
     },
+    [ERROR_CODES.NO_PROMPT]: {
+        message: '请求参数缺少 prompt',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.INVALID_PARAMETER]: {
+        message: '请求参数无效',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.NOT_FOUND]: {
+        message: '资源不存在',
+        status: 404,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
     [ERROR_CODES.TOO_MANY_IMAGES]: {
         message: '图片数量超过限制',
         status: 400,
@@ -99,6 +143,11 @@ const ERROR_DETAILS = {
         status: 400,
         type: ERROR_TYPES.INVALID_REQUEST,
     },
+    [ERROR_CODES.PROMPT_TOO_LONG]: {
+        message: '提示词超过输入长度上限',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
     [ERROR_CODES.RECAPTCHA]: {
         message: '触发人机验证（reCAPTCHA）',
         status: 403,
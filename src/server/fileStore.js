@@ -0,0 +1,187 @@
+/**
+ * @fileoverview 文件存储模块
+ * @description 保存 /v1/files 上传的参考图与文档，按 API Key 隔离访问，按保留时长自动清理（服务重启后保留）
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/** 文件 ID 格式 */
+const FILE_ID_PATTERN = /^file-[a-f0-9]{32}$/;
+
+/**
+ * @typedef {object} StoredFile
+ * @property {string} id - 文件 ID
+ * @property {string} owner - 所属 API Key 标识
+ * @property {string} filename - 原始文件名
+ * @property {string} purpose - 用途
+ * @property {string} mimeType - MIME 类型
+ * @property {number} bytes - 文件大小（字节）
+ * @property {number} createdAt - 创建时间（秒级时间戳）
+ * @property {number} expiresAt - 过期时间（秒级时间戳）
+ * @property {string} path - 原始文件路径
+ * @property {string|null} imagePath - 预处理后的图片路径（非图片为 null）
+ */
+
+/**
+ * 生成文件 ID
+ * @returns {string}
+ */
+export function createFileId() {
+    return `file-${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * 创建文件存储
+ * @param {object} options - 选项
+ * @param {string} options.dir - 存储目录
+ * @param {number} [options.retention=604800] - 文件保留时长上限（秒）
+ * @param {number} [options.maxSize=50] - 单个文件大小上限（MB）
+ * @param {number} [options.maxCount=100] - 每个 API Key 可保存的文件数量上限
+ * @param {number} [options.sweepInterval=60000] - 过期检查间隔（毫秒）
+ * @returns {object} 文件存储
+ */
+export function createFileStore(options) {
+    const {
+        dir,
+        retention = 604800,
+        maxSize = 50,
+        maxCount = 100,
+        sweepInterval = 60000
+    } = options;
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    /** @type {Map<string, StoredFile>} */
+    const files = new Map();
+
+    const now = () => Math.floor(Date.now() / 1000);
+    const metaPath = (id) => path.join(dir, `${id}.json`);
+
+    /**
+     * 删除文件及其元数据
+     * @param {StoredFile} file - 文件记录
+     */
+    function unlinkFile(file) {
+        files.delete(file.id);
+        for (const p of [file.path, file.imagePath, metaPath(file.id)]) {
+            if (!p) continue;
+            try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+        }
+    }
+
+    // 加载已保存的文件元数据
+    for (const name of fs.readdirSync(dir)) {
+        const id = name.replace(/\.json$/, '');
+        if (!name.endsWith('.json') || !FILE_ID_PATTERN.test(id)) continue;
+        try {
+            const meta = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+            files.set(id, {
+                ...meta,
+                path: path.join(dir, id),
+                imagePath: meta.hasImage ? path.join(dir, `${id}.jpg`) : null
+            });
+        } catch (e) {
+            logger.warn('服务器', '文件元数据读取失败，已忽略', { file: name, error: e.message });
+        }
+    }
+
+    // 定期清理过期文件（不阻止进程退出）
+    const timer = setInterval(() => {
+        const ts = now();
+        for (const file of files.values()) {
+            if (file.expiresAt <= ts) {
+                logger.debug('服务器', '上传文件已过期，清理', { id: file.id });
+                unlinkFile(file);
+            }
+        }
+    }, sweepInterval);
+    timer.unref?.();
+
+    /**
+     * 获取未过期的文件（仅限所属 API Key）
+     * @param {string} id - 文件 ID
+     * @param {string} owner - API Key 标识
+     * @returns {StoredFile|null}
+     */
+    function get(id, owner) {
+        const file = files.get(id);
+        if (!file || file.owner !== owner || file.expiresAt <= now()) return null;
+        return file;
+    }
+
+    /**
+     * 列出 API Key 的文件（按创建时间倒序）
+     * @param {string} owner - API Key 标识
+     * @returns {StoredFile[]}
+     */
+    function list(owner) {
+        const ts = now();
+        return [...files.values()]
+            .filter(file => file.owner === owner && file.expiresAt > ts)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    return {
+        /** 单个文件大小上限（字节） */
+        maxBytes: maxSize * 1024 * 1024,
+
+        /**
+         * 保存文件
+         * @param {object} input - 文件内容
+         * @param {string} input.owner - API Key 标识
+         * @param {string} input.filename - 原始文件名
+         * @param {string} input.purpose - 用途
+         * @param {string} input.mimeType - MIME 类型
+         * @param {Buffer} input.data - 文件内容
+         * @param {Buffer|null} [input.image] - 预处理后的图片（供后续请求直接复用，无需重复压缩）
+         * @param {number|null} [input.expiresAfter] - 请求的保留时长（秒），不超过 retention
+         * @returns {{file?: StoredFile, error?: string}} 超出数量上限时返回 error
+         */
+        create(input) {
+            const { owner, filename, purpose, mimeType, data, image = null, expiresAfter = null } = input;
+            if (list(owner).length >= maxCount) {
+                return { error: `文件数量超过上限 (${maxCount})，请先删除不再使用的文件` };
+            }
+
+            const id = createFileId();
+            const createdAt = now();
+            const meta = {
+                id,
+                owner,
+                filename,
+                purpose,
+                mimeType,
+                bytes: data.length,
+                createdAt,
+                expiresAt: createdAt + Math.min(expiresAfter || retention, retention),
+                hasImage: !!image
+            };
+
+            const file = { ...meta, path: path.join(dir, id), imagePath: image ? path.join(dir, `${id}.jpg`) : null };
+            fs.writeFileSync(file.path, data);
+            if (image) fs.writeFileSync(file.imagePath, image);
+            fs.writeFileSync(metaPath(id), JSON.stringify(meta));
+            files.set(id, file);
+            return { file };
+        },
+
+        get,
+        list,
+
+        /**
+         * 删除文件（仅限所属 API Key）
+         * @param {string} id - 文件 ID
+         * @param {string} owner - API Key 标识
+         * @returns {boolean} 是否存在并已删除
+         */
+        remove(id, owner) {
+            const file = get(id, owner);
+            if (!file) return false;
+            unlinkFile(file);
+            return true;
+        }
+    };
+}
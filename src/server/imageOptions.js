@@ -0,0 +1,167 @@
+/**
+ * @fileoverview 图片参数模块 (size / aspect_ratio / quality)
+ * @description 将 OpenAI 风格的图片参数映射为适配器选项，并按模型在 manifest 中声明的能力 (models[].imageOptions) 校验
+ */
+
+/**
+ * @typedef {object} ImageCapabilities
+ * @property {string[]} [aspectRatios] - 支持的宽高比（如 '16:9'）
+ * @property {string[]} [resolutions] - 支持的分辨率档位（如 '1K'、'2K'）
+ * @property {string[]} [qualities] - 支持的画质选项
+ */
+
+/**
+ * @typedef {object} ImageOptions
+ * @property {string} [aspectRatio] - 宽高比
+ * @property {string} [resolution] - 分辨率档位
+ * @property {string} [quality] - 画质
+ */
+
+/** 按像素尺寸匹配宽高比时允许的偏差（对数差，约 10%） */
+const ASPECT_TOLERANCE = 0.1;
+
+/** OpenAI quality 取值对应的分辨率位置（0 为最低档，1 为最高档） */
+const QUALITY_LEVELS = { low: 0, standard: 0, medium: 0.5, high: 1, hd: 1 };
+
+/**
+ * 最大公约数
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * 解析宽高比字符串并约分 ('32:18' → '16:9')
+ * @param {string} value - 宽高比
+ * @returns {string|null} 格式无效时返回 null
+ */
+function parseAspectRatio(value) {
+    const match = String(value).trim().match(/^(\d+)\s*:\s*(\d+)$/);
+    if (!match) return null;
+    const width = Number(match[1]);
+    const height = Number(match[2]);
+    if (width === 0 || height === 0) return null;
+    const divisor = gcd(width, height);
+    return `${width / divisor}:${height / divisor}`;
+}
+
+/**
+ * 计算宽高比数值
+ * @param {string} ratio - 宽高比 ('16:9')
+ * @returns {number}
+ */
+function ratioValue(ratio) {
+    const [width, height] = ratio.split(':').map(Number);
+    return width / height;
+}
+
+/**
+ * 分辨率档位对应的长边像素 ('2K' → 2048)
+ * @param {string} resolution - 分辨率档位
+ * @returns {number}
+ */
+function resolutionEdge(resolution) {
+    return parseFloat(resolution) * 1024;
+}
+
+/**
+ * 从候选项中选出与目标值最接近的一项（按对数差比较）
+ * @param {string[]} candidates - 候选项
+ * @param {number} target - 目标数值
+ * @param {Function} toValue - 候选项转数值函数
+ * @returns {{item: string, distance: number}|null}
+ */
+function findNearest(candidates, target, toValue) {
+    let best = null;
+    for (const item of candidates) {
+        const distance = Math.abs(Math.log(target / toValue(item)));
+        if (!best || distance < best.distance) best = { item, distance };
+    }
+    return best;
+}
+
+/**
+ * 构造参数不支持的错误消息
+ * @param {string} name - 参数名
+ * @param {string} value - 参数值
+ * @param {string[]} [supported] - 模型支持的取值
+ * @returns {string}
+ */
+function unsupported(name, value, supported) {
+    return supported?.length
+        ? `模型不支持 ${name}: ${value}（可选: ${supported.join(', ')}）`
+        : `模型不支持 ${name} 参数`;
+}
+
+/**
+ * 解析请求中的图片参数并按模型能力校验
+ * - aspect_ratio (如 '16:9') 与分辨率档位形式的 size (如 '2K') 必须是模型声明支持的取值
+ * - 像素形式的 size (如 '1792x1024') 尽量匹配最接近的宽高比与分辨率档位，模型未声明对应能力或差距过大时忽略
+ * - quality 优先匹配模型声明的画质选项，否则 OpenAI 的 low / medium / high (standard / hd) 映射为分辨率档位
+ * @param {{size?: unknown, aspect_ratio?: unknown, quality?: unknown}} params - 请求参数
+ * @param {ImageCapabilities} [capabilities] - 模型能力声明
+ * @returns {{options?: ImageOptions|null, error?: string}} 解析结果，未指定任何参数时 options 为 null
+ */
+export function resolveImageOptions(params, capabilities) {
+    const { aspectRatios, resolutions, qualities } = capabilities || {};
+    const isSet = (value) => value !== undefined && value !== null && value !== '' && value !== 'auto';
+    const options = {};
+
+    if (isSet(params.aspect_ratio)) {
+        const ratio = parseAspectRatio(params.aspect_ratio);
+        if (!ratio) {
+            return { error: `aspect_ratio 格式应为 宽:高 (如 16:9): ${params.aspect_ratio}` };
+        }
+        if (!aspectRatios?.includes(ratio)) {
+            return { error: unsupported('aspect_ratio', ratio, aspectRatios) };
+        }
+        options.aspectRatio = ratio;
+    }
+
+    if (isSet(params.size)) {
+        const size = String(params.size).trim();
+        const tier = size.match(/^(\d+(?:\.\d+)?)k$/i);
+        const pixels = size.match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+
+        if (tier) {
+            const resolution = `${tier[1]}K`;
+            if (!resolutions?.includes(resolution)) {
+                return { error: unsupported('size', resolution, resolutions) };
+            }
+            options.resolution = resolution;
+        } else if (pixels) {
+            const width = Number(pixels[1]);
+            const height = Number(pixels[2]);
+            if (width === 0 || height === 0) {
+                return { error: `size 无效: ${size}` };
+            }
+            if (!options.aspectRatio && aspectRatios?.length) {
+                const nearest = findNearest(aspectRatios, width / height, ratioValue);
+                if (nearest.distance <= ASPECT_TOLERANCE) options.aspectRatio = nearest.item;
+            }
+            if (resolutions?.length) {
+                options.resolution = findNearest(resolutions, Math.max(width, height), resolutionEdge).item;
+            }
+        } else {
+            return { error: `size 格式应为 宽x高 (如 1024x1024) 或分辨率档位 (如 2K): ${size}` };
+        }
+    }
+
+    if (isSet(params.quality)) {
+        const quality = String(params.quality).trim();
+        const level = QUALITY_LEVELS[quality.toLowerCase()];
+        if (qualities?.includes(quality)) {
+            options.quality = quality;
+        } else if (level === undefined) {
+            return { error: unsupported('quality', quality, qualities) };
+        } else if (!options.resolution && resolutions?.length) {
+            const sorted = [...resolutions].sort((a, b) => resolutionEdge(a) - resolutionEdge(b));
+            options.resolution = sorted[Math.round(level * (sorted.length - 1))];
+        }
+    }
+
+    return { options: Object.keys(options).length > 0 ? options : null };
+}
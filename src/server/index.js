@@ -11,11 +11,32 @@ export {
     sendHeartbeat,
     sendApiError,
     buildChatCompletion,
-    buildChatCompletionChunk
+    buildChatCompletionChunk,
+    buildUsageChunk,
+    buildImagesResponse,
+    buildVideoObject,
+    buildTaskObject,
+    buildFileObject,
+    buildChatChoices,
+    formatResultContent,
+    getResultImages
 } from './respond.js';
 export { createQueueManager } from './queue.js';
-export { parseRequest } from './api/openai/parse.js';
+export { estimateTokens, estimateUsage } from './tokens.js';
+export { normalizeTools, normalizeToolChoice, extractToolCalls } from './tools.js';
+export { normalizeResponseFormat, extractJson, validateJsonSchema, checkResponseFormat } from './structured.js';
+export { resolveImageOptions } from './imageOptions.js';
+export { PROMPT_TEMPLATE_PRESETS, validatePromptTemplate, resolvePromptTemplate, renderSections, renderConversation } from '../utils/promptTemplate.js';
+export { createJobStore, JOB_STATUS } from './jobs.js';
+export { createResponseStore, createResponseId } from './responseStore.js';
+export { createMediaStore } from './mediaStore.js';
+export { createSessionStore } from './sessionStore.js';
+export { createKeyStore, validateKeyOptions } from './keyStore.js';
+export { createFileStore, createFileId } from './fileStore.js';
+export { isValidCallbackUrl, checkCallbackUrl, sendWebhook } from './webhook.js';
+export { fetchRemoteImage, resolveRemoteImageOptions } from './remoteImage.js';
+export { parseRequest, parseImageGenerationRequest, parseImageEditRequest, parseVideoRequest, parseFileUpload } from './api/openai/parse.js';
 export { createGlobalRouter } from './api/index.js';
-export { createAuthMiddleware } from './middlewares/auth.js';
+export { createAuthMiddleware, getRequestOwner, isModelAllowed, scopeModels } from './middlewares/auth.js';
 
 
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview 异步任务存储模块
+ * @description 保存与客户端连接解耦的后台任务状态（如视频生成），支持按保留时长自动清理
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/**
+ * 任务状态枚举
+ * @readonly
+ * @enum {string}
+ */
+export const JOB_STATUS = {
+    /** 排队中 */
+    QUEUED: 'queued',
+    /** 处理中 */
+    IN_PROGRESS: 'in_progress',
+    /** 已完成 */
+    COMPLETED: 'completed',
+    /** 已失败 */
+    FAILED: 'failed',
+};
+
+/**
+ * @typedef {object} Job
+ * @property {string} id - 任务 ID
+ * @property {string} kind - 任务类型 (如 'video')
+ * @property {string|null} owner - 所属 API Key 标识
+ * @property {string} status - 任务状态 (JOB_STATUS)
+ * @property {number} progress - 进度 (0-100)
+ * @property {string|null} model - 模型名称
+ * @property {number} createdAt - 创建时间（秒级时间戳）
+ * @property {number|null} completedAt - 完成时间（秒级时间戳）
+ * @property {number} expiresAt - 过期时间（秒级时间戳）
+ * @property {{code: string, message: string}|null} error - 失败原因
+ * @property {string|null} contentPath - 结果文件路径
+ * @property {string|null} contentType - 结果文件 MIME 类型
+ * @property {object} extra - 任务类型专属字段
+ */
+
+/**
+ * 创建任务存储
+ * @param {object} options - 选项
+ * @param {string} options.dir - 结果文件目录（任务只保存在内存中，启动时清空上次运行遗留的文件）
+ * @param {number} [options.retention=3600] - 任务保留时长（秒），过期后删除任务及结果文件
+ * @param {number} [options.sweepInterval=60000] - 过期检查间隔（毫秒）
+ * @returns {object} 任务存储
+ */
+export function createJobStore(options) {
+    const { dir, retention = 3600, sweepInterval = 60000 } = options;
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+
+    /** @type {Map<string, Job>} */
+    const jobs = new Map();
+
+    const now = () => Math.floor(Date.now() / 1000);
+
+    /**
+     * 删除任务及其结果文件
+     * @param {string} id - 任务 ID
+     */
+    function remove(id) {
+        const job = jobs.get(id);
+        if (!job) return false;
+        if (job.contentPath) {
+            try { fs.unlinkSync(job.contentPath); } catch (e) { /* ignore */ }
+        }
+        jobs.delete(id);
+        return true;
+    }
+
+    // 定期清理过期任务（不阻止进程退出）
+    const timer = setInterval(() => {
+        const ts = now();
+        for (const job of jobs.values()) {
+            // 未结束的任务不清理
+            if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.IN_PROGRESS) continue;
+            if (job.expiresAt <= ts) {
+                logger.debug('服务器', '异步任务已过期，清理', { id: job.id });
+                remove(job.id);
+            }
+        }
+    }, sweepInterval);
+    timer.unref?.();
+
+    return {
+        /**
+         * 创建任务
+         * @param {string} kind - 任务类型
+         * @param {object} [init={}] - 初始字段
+         * @param {string} [init.owner] - 所属 API Key 标识
+         * @param {string} [init.model] - 模型名称
+         * @param {object} [init.extra] - 任务类型专属字段
+         * @returns {Job}
+         */
+        create(kind, init = {}) {
+            const createdAt = now();
+            const job = {
+                id: `${kind}_${crypto.randomUUID().replace(/-/g, '')}`,
+                kind,
+                owner: init.owner || null,
+                status: JOB_STATUS.QUEUED,
+                progress: 0,
+                model: init.model || null,
+                createdAt,
+                completedAt: null,
+                expiresAt: createdAt + retention,
+                error: null,
+                contentPath: null,
+                contentType: null,
+                extra: init.extra || {}
+            };
+            jobs.set(job.id, job);
+            return job;
+        },
+
+        /**
+         * 获取任务（指定 owner 时只返回该 API Key 创建的任务）
+         * @param {string} id - 任务 ID
+         * @param {string} [owner] - API Key 标识
+         * @returns {Job|null}
+         */
+        get(id, owner) {
+            const job = jobs.get(id);
+            if (!job || (owner !== undefined && job.owner !== owner)) return null;
+            return job;
+        },
+
+        /**
+         * 按类型列出任务（按创建时间倒序，指定 owner 时只列出该 API Key 创建的任务）
+         * @param {string} kind - 任务类型
+         * @param {string} [owner] - API Key 标识
+         * @returns {Job[]}
+         */
+        list(kind, owner) {
+            return [...jobs.values()]
+                .filter(j => j.kind === kind && (owner === undefined || j.owner === owner))
+                .sort((a, b) => b.createdAt - a.createdAt);
+        },
+
+        /**
+         * 标记任务开始处理
+         * @param {string} id - 任务 ID
+         */
+        start(id) {
+            const job = jobs.get(id);
+            if (job) job.status = JOB_STATUS.IN_PROGRESS;
+        },
+
+        /**
+         * 更新任务进度
+         * @param {string} id - 任务 ID
+         * @param {number} progress - 进度 (0-100)
+         */
+        setProgress(id, progress) {
+            const job = jobs.get(id);
+            if (job && Number.isFinite(progress)) {
+                job.progress = Math.max(0, Math.min(100, Math.round(progress)));
+            }
+        },
+
+        /**
+         * 标记任务完成
+         * @param {string} id - 任务 ID
+         * @param {object} [patch={}] - 结果字段 (contentPath / contentType / extra)
+         */
+        complete(id, patch = {}) {
+            const job = jobs.get(id);
+            if (!job) return;
+            job.status = JOB_STATUS.COMPLETED;
+            job.progress = 100;
+            job.completedAt = now();
+            job.expiresAt = job.completedAt + retention;
+            if (patch.contentPath) job.contentPath = patch.contentPath;
+            if (patch.contentType) job.contentType = patch.contentType;
+            if (patch.extra) Object.assign(job.extra, patch.extra);
+        },
+
+        /**
+         * 保存结果文件并标记任务完成
+         * @param {string} id - 任务 ID
+         * @param {Buffer} data - 文件内容
+         * @param {string} ext - 文件扩展名
+         * @param {string} contentType - MIME 类型
+         */
+        saveContent(id, data, ext, contentType) {
+            if (!jobs.has(id)) return;
+            const contentPath = path.join(dir, `${id}.${ext}`);
+            fs.writeFileSync(contentPath, data);
+            this.complete(id, { contentPath, contentType });
+        },
+
+        /**
+         * 标记任务失败
+         * @param {string} id - 任务 ID
+         * @param {string} code - 错误码
+         * @param {string} message - 错误消息
+         */
+        fail(id, code, message) {
+            const job = jobs.get(id);
+            if (!job) return;
+            job.status = JOB_STATUS.FAILED;
+            job.completedAt = now();
+            job.expiresAt = job.completedAt + retention;
+            job.error = { code, message };
+        },
+
+        remove
+    };
+}
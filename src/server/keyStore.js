@@ -0,0 +1,301 @@
+/**
+ * @fileoverview API 密钥存储模块
+ * @description 以 SQLite 保存具名 API 密钥（仅存摘要），每个密钥可限制可用模型/适配器、每分钟请求数、每日配额、过期时间与管理权限
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { logger } from '../utils/logger.js';
+import { ERROR_CODES } from './errors.js';
+
+/**
+ * @typedef {object} ApiKey
+ * @property {string} id - 密钥 ID
+ * @property {string} name - 名称
+ * @property {string} prefix - 密钥前缀（用于辨认，不可用于鉴权）
+ * @property {string[]} models - 允许的模型 ID 或别名（与 adapters 均为空时不限制）
+ * @property {string[]} adapters - 允许的适配器（匹配 adapter/model 形式的模型 ID）
+ * @property {number} rpm - 每分钟请求数上限（0 表示不限制）
+ * @property {number} dailyQuota - 每日请求数上限（0 表示不限制）
+ * @property {number|null} expiresAt - 过期时间（秒级时间戳，null 表示永不过期）
+ * @property {boolean} admin - 是否可访问管理接口
+ * @property {number} createdAt - 创建时间（秒级时间戳）
+ * @property {number|null} revokedAt - 吊销时间（秒级时间戳）
+ * @property {number|null} lastUsedAt - 最近一次计数请求的时间（秒级时间戳）
+ */
+
+/** 密钥明文前缀 */
+const SECRET_PREFIX = 'sk-';
+
+/** 列表中显示的密钥前缀长度 */
+const DISPLAY_PREFIX_LENGTH = 10;
+
+/**
+ * 计算密钥摘要
+ * @param {string} secret - 密钥明文
+ * @returns {string}
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * 获取服务器本地日期（每日配额按此日期计数）
+ * @param {Date} [date=new Date()] - 时间
+ * @returns {string} YYYY-MM-DD
+ */
+function localDay(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 校验创建密钥的参数
+ * @param {object} data - 请求体
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export function validateKeyOptions(data) {
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        return 'name 不能为空';
+    }
+    for (const field of ['models', 'adapters']) {
+        const list = data[field];
+        if (list === undefined) continue;
+        if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item.trim())) {
+            return `${field} 必须是非空字符串数组`;
+        }
+    }
+    for (const field of ['rpm', 'dailyQuota']) {
+        const value = data[field];
+        if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+            return `${field} 必须是非负整数`;
+        }
+    }
+    if (data.expiresAt !== undefined && data.expiresAt !== null) {
+        if (!Number.isInteger(data.expiresAt) || data.expiresAt <= Math.floor(Date.now() / 1000)) {
+            return 'expiresAt 必须是晚于当前时间的秒级时间戳';
+        }
+    }
+    if (data.admin !== undefined && typeof data.admin !== 'boolean') {
+        return 'admin 必须是布尔值';
+    }
+    return null;
+}
+
+/**
+ * 创建 API 密钥存储
+ * @param {object} options - 选项
+ * @param {string} options.dbPath - SQLite 数据库文件路径
+ * @returns {object} 密钥存储
+ */
+export function createKeyStore(options) {
+    const { dbPath } = options;
+
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            hash TEXT NOT NULL UNIQUE,
+            prefix TEXT NOT NULL,
+            models TEXT NOT NULL DEFAULT '[]',
+            adapters TEXT NOT NULL DEFAULT '[]',
+            rpm INTEGER NOT NULL DEFAULT 0,
+            daily_quota INTEGER NOT NULL DEFAULT 0,
+            expires_at INTEGER,
+            admin INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER NOT NULL,
+            revoked_at INTEGER,
+            last_used_at INTEGER
+        );
+        CREATE TABLE IF NOT EXISTS api_key_usage (
+            key_id TEXT NOT NULL,
+            day TEXT NOT NULL,
+            requests INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (key_id, day)
+        );
+    `);
+
+    const statements = {
+        insert: db.prepare(`
+            INSERT INTO api_keys (id, name, hash, prefix, models, adapters, rpm, daily_quota, expires_at, admin, created_at)
+            VALUES (@id, @name, @hash, @prefix, @models, @adapters, @rpm, @dailyQuota, @expiresAt, @admin, @createdAt)
+        `),
+        list: db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC'),
+        get: db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+        getByHash: db.prepare('SELECT * FROM api_keys WHERE hash = ?'),
+        revoke: db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+        touch: db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+        usageOn: db.prepare('SELECT requests FROM api_key_usage WHERE key_id = ? AND day = ?'),
+        usageSince: db.prepare('SELECT day, requests FROM api_key_usage WHERE key_id = ? AND day >= ? ORDER BY day DESC'),
+        increment: db.prepare(`
+            INSERT INTO api_key_usage (key_id, day, requests) VALUES (?, ?, 1)
+            ON CONFLICT(key_id, day) DO UPDATE SET requests = requests + 1
+        `)
+    };
+
+    /** @type {Map<string, number[]>} 每个密钥最近一分钟内的请求时间（毫秒） */
+    const windows = new Map();
+
+    const now = () => Math.floor(Date.now() / 1000);
+
+    /**
+     * 数据库行转换为密钥记录
+     * @param {object} row - 数据库行
+     * @returns {ApiKey}
+     */
+    function toKey(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: row.prefix,
+            models: JSON.parse(row.models),
+            adapters: JSON.parse(row.adapters),
+            rpm: row.rpm,
+            dailyQuota: row.daily_quota,
+            expiresAt: row.expires_at,
+            admin: row.admin === 1,
+            createdAt: row.created_at,
+            revokedAt: row.revoked_at,
+            lastUsedAt: row.last_used_at
+        };
+    }
+
+    /**
+     * 获取密钥今日已计数的请求数
+     * @param {string} id - 密钥 ID
+     * @returns {number}
+     */
+    function usedToday(id) {
+        return statements.usageOn.get(id, localDay())?.requests || 0;
+    }
+
+    /**
+     * 每日配额计数（检查与计数在同一事务内完成）
+     */
+    const countDaily = db.transaction((key, ts) => {
+        if (key.dailyQuota > 0 && usedToday(key.id) >= key.dailyQuota) return false;
+        statements.increment.run(key.id, localDay());
+        statements.touch.run(ts, key.id);
+        return true;
+    });
+
+    return {
+        /**
+         * 创建密钥（明文只在创建时返回一次）
+         * @param {object} data - 已通过 validateKeyOptions 校验的参数
+         * @returns {{key: ApiKey, secret: string}}
+         */
+        create(data) {
+            const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+            const id = `key-${crypto.randomUUID().replace(/-/g, '').slice(0, 16)}`;
+            statements.insert.run({
+                id,
+                name: data.name.trim(),
+                hash: hashSecret(secret),
+                prefix: secret.slice(0, DISPLAY_PREFIX_LENGTH),
+                models: JSON.stringify((data.models || []).map(m => m.trim())),
+                adapters: JSON.stringify((data.adapters || []).map(a => a.trim())),
+                rpm: data.rpm || 0,
+                dailyQuota: data.dailyQuota || 0,
+                expiresAt: data.expiresAt ?? null,
+                admin: data.admin ? 1 : 0,
+                createdAt: now()
+            });
+            logger.info('服务器', `[密钥] 已创建密钥: ${data.name.trim()}`, { id, admin: !!data.admin });
+            return { key: toKey(statements.get.get(id)), secret };
+        },
+
+        /**
+         * 列出全部密钥（含今日用量）
+         * @returns {Array<ApiKey & {usedToday: number}>}
+         */
+        list() {
+            return statements.list.all().map(row => ({ ...toKey(row), usedToday: usedToday(row.id) }));
+        },
+
+        /**
+         * 获取密钥详情与最近的每日用量
+         * @param {string} id - 密钥 ID
+         * @param {number} [days=30] - 统计天数
+         * @returns {(ApiKey & {usedToday: number, usage: Array<{day: string, requests: number}>})|null}
+         */
+        get(id, days = 30) {
+            const row = statements.get.get(id);
+            if (!row) return null;
+            const since = localDay(new Date(Date.now() - (days - 1) * 86400000));
+            return {
+                ...toKey(row),
+                usedToday: usedToday(id),
+                usage: statements.usageSince.all(id, since)
+            };
+        },
+
+        /**
+         * 吊销密钥（保留记录与用量统计）
+         * @param {string} id - 密钥 ID
+         * @returns {boolean} 是否吊销成功（不存在或已吊销时返回 false）
+         */
+        revoke(id) {
+            const changed = statements.revoke.run(now(), id).changes > 0;
+            if (changed) {
+                windows.delete(id);
+                logger.info('服务器', '[密钥] 已吊销密钥', { id });
+            }
+            return changed;
+        },
+
+        /**
+         * 按明文查找可用的密钥
+         * @param {string} secret - 请求携带的密钥
+         * @returns {{key: ApiKey}|{error: string}|null} 未知密钥返回 null，已吊销或过期返回错误信息
+         */
+        authenticate(secret) {
+            if (!secret || !secret.startsWith(SECRET_PREFIX)) return null;
+            const row = statements.getByHash.get(hashSecret(secret));
+            if (!row) return null;
+
+            const key = toKey(row);
+            if (key.revokedAt) return { error: `密钥 ${key.name} 已被吊销` };
+            if (key.expiresAt && key.expiresAt <= now()) return { error: `密钥 ${key.name} 已过期` };
+            return { key };
+        },
+
+        /**
+         * 对一次请求计数，超出每分钟或每日上限时拒绝
+         * @param {ApiKey} key - 密钥记录
+         * @returns {{code: string, message: string, retryAfter: number}|null} 未超限时返回 null
+         */
+        consume(key) {
+            const ts = Date.now();
+            const recent = (windows.get(key.id) || []).filter(t => t > ts - 60000);
+
+            if (key.rpm > 0 && recent.length >= key.rpm) {
+                windows.set(key.id, recent);
+                return {
+                    code: ERROR_CODES.RATE_LIMITED,
+                    message: `密钥 ${key.name} 超出每分钟请求数上限 (${key.rpm})`,
+                    retryAfter: Math.max(1, Math.ceil((recent[0] + 60000 - ts) / 1000))
+                };
+            }
+
+            if (!countDaily(key, Math.floor(ts / 1000))) {
+                const midnight = new Date(ts);
+                midnight.setHours(24, 0, 0, 0);
+                return {
+                    code: ERROR_CODES.QUOTA_EXCEEDED,
+                    message: `密钥 ${key.name} 今日请求数已达上限 (${key.dailyQuota})`,
+                    retryAfter: Math.ceil((midnight.getTime() - ts) / 1000)
+                };
+            }
+
+            recent.push(ts);
+            windows.set(key.id, recent);
+            return null;
+        }
+    };
+}
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview 媒体托管模块
+ * @description 将生成的图片/视频 (data URI) 按内容哈希保存到 data/media，通过签名链接访问，按保留时长与目录大小上限自动清理
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/** MIME 类型与文件扩展名映射 */
+const MEDIA_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm'
+};
+
+/** 托管文件名格式（内容哈希 + 扩展名） */
+const FILE_NAME_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]+$/;
+
+/**
+ * @typedef {object} MediaFile
+ * @property {string} path - 文件路径
+ * @property {string} contentType - MIME 类型
+ * @property {number} size - 文件大小（字节）
+ */
+
+/**
+ * 创建媒体托管存储
+ * @param {object} options - 选项
+ * @param {string} options.dir - 存储目录
+ * @param {string} options.secret - 签名密钥
+ * @param {'base64'|'url'} [options.defaultFormat='base64'] - 请求未指定 media_format 时的返回方式
+ * @param {number} [options.ttl=86400] - 文件保留时长（秒），签名链接同时失效
+ * @param {number} [options.maxSize=1024] - 目录总大小上限（MB），超出时删除最旧的文件
+ * @param {string} [options.publicUrl=''] - 对外访问地址，留空则根据请求头推断
+ * @param {boolean} [options.trustProxy=false] - 是否信任 X-Forwarded-Proto / X-Forwarded-Host 请求头
+ * @param {number} [options.sweepInterval=60000] - 清理检查间隔（毫秒）
+ * @returns {object} 媒体存储
+ */
+export function createMediaStore(options) {
+    const {
+        dir,
+        secret,
+        defaultFormat = 'base64',
+        ttl = 86400,
+        maxSize = 1024,
+        publicUrl = '',
+        trustProxy = false,
+        sweepInterval = 60000
+    } = options;
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    const now = () => Math.floor(Date.now() / 1000);
+
+    /**
+     * 计算签名
+     * @param {string} name - 文件名
+     * @param {number} expires - 过期时间（秒级时间戳）
+     * @returns {string}
+     */
+    function sign(name, expires) {
+        return crypto.createHmac('sha256', secret).update(`${name}:${expires}`).digest('base64url');
+    }
+
+    /**
+     * 删除过期文件，并在超出大小上限时从最旧的文件开始删除
+     */
+    function sweep() {
+        const files = [];
+        for (const name of fs.readdirSync(dir)) {
+            if (!FILE_NAME_PATTERN.test(name)) continue;
+            try {
+                const stat = fs.statSync(path.join(dir, name));
+                files.push({ name, size: stat.size, mtime: Math.floor(stat.mtimeMs / 1000) });
+            } catch (e) { /* ignore */ }
+        }
+
+        const ts = now();
+        const limit = maxSize * 1024 * 1024;
+        let total = files.reduce((sum, file) => sum + file.size, 0);
+        for (const file of files.sort((a, b) => a.mtime - b.mtime)) {
+            const expired = file.mtime + ttl <= ts;
+            if (!expired && total <= limit) break;
+            try {
+                fs.unlinkSync(path.join(dir, file.name));
+                total -= file.size;
+                logger.debug('服务器', expired ? '托管文件已过期，清理' : '托管目录超出大小上限，清理', { file: file.name });
+            } catch (e) { /* ignore */ }
+        }
+    }
+
+    // 定期清理（不阻止进程退出）
+    const timer = setInterval(() => {
+        try { sweep(); } catch (e) { logger.warn('服务器', '托管文件清理失败', { error: e.message }); }
+    }, sweepInterval);
+    timer.unref?.();
+
+    /**
+     * 保存 data URI 并返回签名链接（已存在相同内容时只刷新保留时间）
+     * @param {string} dataUri - data URI
+     * @param {string} baseUrl - 访问地址
+     * @returns {Promise<string>} 签名链接，无法识别的内容原样返回
+     */
+    async function host(dataUri, baseUrl) {
+        const match = dataUri.match(/^data:([^;,]+);base64,(.*)$/s);
+        if (!match) return dataUri;
+
+        const buffer = Buffer.from(match[2], 'base64');
+        const ext = MEDIA_TYPES[match[1]] || 'bin';
+        const name = `${crypto.createHash('sha256').update(buffer).digest('hex')}.${ext}`;
+        const filePath = path.join(dir, name);
+
+        if (fs.existsSync(filePath)) {
+            const time = new Date();
+            await fs.promises.utimes(filePath, time, time);
+        } else {
+            await fs.promises.writeFile(filePath, buffer);
+            sweep();
+        }
+
+        const expires = now() + ttl;
+        return `${baseUrl}/media/${name}?expires=${expires}&signature=${sign(name, expires)}`;
+    }
+
+    return {
+        defaultFormat,
+
+        /**
+         * 获取托管链接的访问地址（优先使用配置的 publicUrl）
+         * @param {import('http').IncomingMessage|null} req - HTTP 请求（异步任务等无请求时返回相对路径）
+         * @returns {string}
+         */
+        getBaseUrl(req) {
+            if (publicUrl) return publicUrl.replace(/\/+$/, '');
+            if (!req) return '';
+            // 转发头可由客户端任意伪造，仅在声明位于可信反向代理之后时使用
+            const proto = (trustProxy && req.headers['x-forwarded-proto']?.split(',')[0].trim()) || 'http';
+            const host = (trustProxy && req.headers['x-forwarded-host']?.split(',')[0].trim()) || req.headers.host;
+            return host ? `${proto}://${host}` : '';
+        },
+
+        /**
+         * 将适配器结果中的 data URI 图片/视频替换为托管链接
+         * @param {object} result - 适配器结果（n > 1 时为 { results }）
+         * @param {string} baseUrl - 访问地址
+         * @returns {Promise<object>} 替换后的结果
+         */
+        async hostResult(result, baseUrl) {
+            if (result.results) {
+                const results = [];
+                for (const item of result.results) results.push(await this.hostResult(item, baseUrl));
+                return { ...result, results };
+            }
+            const hosted = { ...result };
+            if (result.image) hosted.image = await host(result.image, baseUrl);
+            if (result.images) {
+                hosted.images = [];
+                for (const image of result.images) hosted.images.push(await host(image, baseUrl));
+            }
+            return hosted;
+        },
+
+        /**
+         * 校验签名链接
+         * @param {string} name - 文件名
+         * @param {string|null} expires - 过期时间参数
+         * @param {string|null} signature - 签名参数
+         * @returns {boolean}
+         */
+        verify(name, expires, signature) {
+            if (!expires || !signature || Number(expires) <= now()) return false;
+            const expected = Buffer.from(sign(name, Number(expires)));
+            const actual = Buffer.from(signature);
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        },
+
+        /**
+         * 查找托管文件
+         * @param {string} name - 文件名
+         * @returns {MediaFile|null}
+         */
+        resolve(name) {
+            if (!FILE_NAME_PATTERN.test(name)) return null;
+            const filePath = path.join(dir, name);
+            try {
+                const stat = fs.statSync(filePath);
+                if (Math.floor(stat.mtimeMs / 1000) + ttl <= now()) return null;
+                const ext = path.extname(name).slice(1);
+                const contentType = Object.keys(MEDIA_TYPES).find(type => MEDIA_TYPES[type] === ext) || 'application/octet-stream';
+                return { path: filePath, contentType, size: stat.size };
+            } catch (e) {
+                return null;
+            }
+        }
+    };
+}
@@ -1,39 +1,155 @@
 /**
  * @fileoverview 鉴权中间件
- * @description 提取自 routes.js 的鉴权逻辑
+ * @description 提取自 routes.js 的鉴权逻辑，支持主令牌与密钥存储中的具名密钥
  */
 
+import crypto from 'crypto';
 import { sendApiError } from '../respond.js';
 import { ERROR_CODES } from '../errors.js';
 
 /**
  * 鉴权检查
+ * 支持 Authorization: Bearer、x-api-key (Anthropic 客户端) 与 x-goog-api-key (Gemini 客户端)，
+ * Gemini 接口 (/v1beta) 额外支持 ?key= 查询参数
  * @param {import('http').IncomingMessage} req - HTTP 请求
  * @param {string} authToken - 有效的认证令牌
  * @returns {boolean} 是否通过鉴权
  */
 export function checkAuth(req, authToken) {
     const authHeader = req.headers['authorization'];
-    return authHeader === `Bearer ${authToken}`;
+    if (authHeader === `Bearer ${authToken}`) return true;
+    if (req.headers['x-api-key'] === authToken || req.headers['x-goog-api-key'] === authToken) return true;
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.pathname.startsWith('/v1beta/') && url.searchParams.get('key') === authToken;
+}
+
+/**
+ * 读取请求携带的 API Key（读取顺序与 checkAuth 一致）
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @returns {string}
+ */
+export function getRequestKey(req) {
+    const authHeader = req.headers['authorization'] || '';
+    const url = new URL(req.url, 'http://localhost');
+    return (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '')
+        || req.headers['x-api-key']
+        || req.headers['x-goog-api-key']
+        || (url.pathname.startsWith('/v1beta/') ? url.searchParams.get('key') : '')
+        || '';
+}
+
+/**
+ * 获取请求所属的 API Key 标识（Key 的 SHA-256 摘要，用于隔离不同 Key 上传的文件）
+ * 调用前应已通过鉴权
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @returns {string}
+ */
+export function getRequestOwner(req) {
+    return crypto.createHash('sha256').update(getRequestKey(req)).digest('hex');
+}
+
+/**
+ * 密钥是否限制了可用模型（models 或 adapters 非空）
+ * @param {import('../keyStore.js').ApiKey|null|undefined} key - 请求使用的密钥（主令牌为空）
+ * @returns {boolean}
+ */
+export function hasModelScope(key) {
+    return !!key && (key.models.length > 0 || key.adapters.length > 0);
+}
+
+/**
+ * 判断密钥是否允许使用指定模型
+ * 模型 ID 在 models 中，或以 adapters 中的适配器为前缀 (adapter/model) 时允许；
+ * 别名在其全部目标都被允许时同样可用；models 与 adapters 均为空时不限制
+ * @param {import('../keyStore.js').ApiKey|null|undefined} key - 请求使用的密钥（主令牌为空）
+ * @param {{id: string, targets?: string[]}} model - 模型列表中的条目
+ * @returns {boolean}
+ */
+export function isModelAllowed(key, model) {
+    if (!hasModelScope(key)) return true;
+
+    const matches = (id) => key.models.includes(id) || key.adapters.some(adapter => id.startsWith(`${adapter}/`));
+    if (matches(model.id)) return true;
+    return Array.isArray(model.targets) && model.targets.length > 0 && model.targets.every(matches);
+}
+
+/**
+ * 按请求使用的密钥过滤模型列表
+ * @param {{object: string, data: object[]}} models - 完整模型列表
+ * @param {import('http').IncomingMessage} req - 已通过鉴权的请求
+ * @returns {{object: string, data: object[]}}
+ */
+export function scopeModels(models, req) {
+    if (!req.apiKey) return models;
+    return { ...models, data: models.data.filter(m => isModelAllowed(req.apiKey, m)) };
+}
+
+/**
+ * 识别请求使用的凭据：主令牌或密钥存储中的密钥
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @param {string} authToken - 主令牌
+ * @param {object|null} [keyStore] - 密钥存储
+ * @returns {{ok: boolean, key?: import('../keyStore.js').ApiKey|null, error?: string}} 主令牌的 key 为 null
+ */
+export function resolveAuth(req, authToken, keyStore) {
+    if (checkAuth(req, authToken)) return { ok: true, key: null };
+    const result = keyStore?.authenticate(getRequestKey(req));
+    if (!result) return { ok: false };
+    return result.error ? { ok: false, error: result.error } : { ok: true, key: result.key };
+}
+
+/**
+ * 是否为仅管理密钥可访问的路径（管理接口与浏览器 Cookies）
+ * @param {string} pathname - 请求路径
+ * @returns {boolean}
+ */
+function isAdminPath(pathname) {
+    return pathname.startsWith('/admin') || pathname === '/v1/cookies';
 }
 
 /**
  * 创建鉴权中间件
- * @param {string} authToken - 认证令牌
+ * 主令牌可访问全部接口；密钥存储中的密钥只有 admin 可访问管理接口，
+ * 其余 POST 请求按密钥的每分钟请求数与每日配额计数
+ * @param {string} authToken - 主令牌
+ * @param {object|null} [keyStore] - 密钥存储
  * @returns {Function} 中间件函数
  */
-export function createAuthMiddleware(authToken) {
+export function createAuthMiddleware(authToken, keyStore = null) {
     /**
-     * 鉴权中间件
+     * 鉴权中间件（通过时在 req.apiKey 上记录使用的密钥，主令牌为 null）
      * @param {import('http').IncomingMessage} req
      * @param {import('http').ServerResponse} res
      * @returns {boolean} 是否通过鉴权
      */
     return function authMiddleware(req, res) {
-        if (!checkAuth(req, authToken)) {
-            sendApiError(res, { code: ERROR_CODES.UNAUTHORIZED });
+        const auth = resolveAuth(req, authToken, keyStore);
+        if (!auth.ok) {
+            sendApiError(res, { code: ERROR_CODES.UNAUTHORIZED, message: auth.error });
             return false;
         }
+
+        req.apiKey = auth.key;
+        if (!auth.key) return true;
+
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        if (isAdminPath(pathname)) {
+            if (!auth.key.admin) {
+                sendApiError(res, { code: ERROR_CODES.FORBIDDEN });
+                return false;
+            }
+            return true;
+        }
+
+        if (req.method === 'POST') {
+            const limited = keyStore.consume(auth.key);
+            if (limited) {
+                res.setHeader('Retry-After', String(limited.retryAfter));
+                sendApiError(res, { code: limited.code, message: limited.message });
+                return false;
+            }
+        }
         return true;
     };
 }
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview multipart/form-data 解析模块
+ * @description 解析文件上传请求（如 /v1/images/edits），无第三方依赖
+ */
+
+/** 默认请求体大小上限 (50MB) */
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * @typedef {object} MultipartFile
+ * @property {string} field - 表单字段名
+ * @property {string} filename - 原始文件名
+ * @property {string} contentType - 文件 MIME 类型
+ * @property {Buffer} data - 文件内容
+ */
+
+/**
+ * @typedef {object} MultipartResult
+ * @property {Record<string, string>} fields - 普通字段
+ * @property {MultipartFile[]} files - 文件字段
+ */
+
+/**
+ * 判断请求是否为 multipart/form-data
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @returns {boolean}
+ */
+export function isMultipart(req) {
+    return (req.headers['content-type'] || '').toLowerCase().startsWith('multipart/form-data');
+}
+
+/**
+ * 读取并解析 multipart/form-data 请求体
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @param {object} [options={}] - 选项
+ * @param {number} [options.maxBytes=52428800] - 请求体大小上限（字节）
+ * @returns {Promise<MultipartResult>} 解析结果
+ * @throws {Error} 缺少 boundary 或请求体超过上限时抛出错误
+ */
+export async function parseMultipart(req, options = {}) {
+    const { maxBytes = DEFAULT_MAX_BYTES } = options;
+
+    const contentType = req.headers['content-type'] || '';
+    const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!boundaryMatch) {
+        throw new Error('multipart 请求缺少 boundary');
+    }
+    const boundary = boundaryMatch[1] || boundaryMatch[2];
+
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of req) {
+        total += chunk.length;
+        if (total > maxBytes) {
+            throw new Error(`请求体超过上限 (${Math.floor(maxBytes / 1024 / 1024)}MB)`);
+        }
+        chunks.push(chunk);
+    }
+
+    return parseMultipartBuffer(Buffer.concat(chunks), boundary);
+}
+
+/**
+ * 按 boundary 拆分并解析 multipart 请求体
+ * @param {Buffer} body - 请求体
+ * @param {string} boundary - 分隔符
+ * @returns {MultipartResult} 解析结果
+ */
+function parseMultipartBuffer(body, boundary) {
+    const fields = {};
+    const files = [];
+    const delimiter = Buffer.from(`--${boundary}`);
+
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        start += delimiter.length;
+
+        // 结束标记 "--"
+        if (body[start] === 0x2d && body[start + 1] === 0x2d) break;
+
+        const end = body.indexOf(delimiter, start);
+        if (end === -1) break;
+
+        // 去掉分隔符后的 \r\n 与下一个分隔符前的 \r\n
+        const part = body.subarray(start + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = parsePartHeaders(part.subarray(0, headerEnd).toString('utf8'));
+            const data = part.subarray(headerEnd + 4);
+            const disposition = headers['content-disposition'] || '';
+            const name = disposition.match(/\bname="([^"]*)"/i)?.[1];
+            const filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+
+            if (name !== undefined) {
+                if (filename !== undefined) {
+                    files.push({
+                        field: name,
+                        filename,
+                        contentType: headers['content-type'] || 'application/octet-stream',
+                        data: Buffer.from(data)
+                    });
+                } else {
+                    fields[name] = data.toString('utf8');
+                }
+            }
+        }
+
+        start = end;
+    }
+
+    return { fields, files };
+}
+
+/**
+ * 解析分段头
+ * @param {string} raw - 原始头部文本
+ * @returns {Record<string, string>} 小写键名的头部映射
+ */
+function parsePartHeaders(raw) {
+    const headers = {};
+    for (const line of raw.split('\r\n')) {
+        const idx = line.indexOf(':');
+        if (idx === -1) continue;
+        headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+    }
+    return headers;
+}
@@ -5,33 +5,74 @@
 
 import { logger } from '../utils/logger.js';
 import {
-    sendJson,
-    sendSse,
-    sendSseDone,
-    sendHeartbeat,
-    sendApiError,
-    buildChatCompletion,
-    buildChatCompletionChunk
+    buildChatChoices,
+    formatResultContent,
+    createChatResponder
 } from './respond.js';
 import { ERROR_CODES } from './errors.js';
+import { estimateUsage } from './tokens.js';
+import { createToolCallStreamFilter, extractToolCalls } from './tools.js';
+import { checkResponseFormat, buildRetryPrompt } from './structured.js';
+import { getRequestOwner } from './middlewares/auth.js';
 
 /**
  * @typedef {object} TaskContext
- * @property {import('http').IncomingMessage} req - HTTP 请求对象
- * @property {import('http').ServerResponse} res - HTTP 响应对象
+ * @property {import('http').IncomingMessage|null} req - HTTP 请求对象（后台任务为 null）
+ * @property {import('http').ServerResponse|null} res - HTTP 响应对象（后台任务为 null）
+ * @property {string} [owner] - 所属 API Key 标识（缺省时根据 req 计算，后台任务在提交时确定）
  * @property {string} prompt - 用户提示词
  * @property {string[]} imagePaths - 图片路径列表
+ * @property {import('./api/openai/parse.js').Attachment[]} [attachments] - 非图片附件（与图片一起上传，并只分发给声明接受其类型的 Worker）
  * @property {string|null} modelId - 模型 ID
  * @property {string|null} modelName - 模型名称
  * @property {string} id - 请求唯一标识
  * @property {boolean} isStreaming - 是否流式请求
+ * @property {number} [n=1] - 生成结果数量（大于 1 时适配器结果为 { results }）
+ * @property {boolean} [includeUsage] - 流式结束前是否发送用量块 (stream_options.include_usage)
+ * @property {import('./tools.js').ToolDefinition[]|null} [tools] - 工具调用模拟的工具列表（为空时不解析工具调用）
+ * @property {import('./structured.js').ResponseFormat|null} [responseFormat] - 结构化输出格式（为空时不校验回复）
+ * @property {import('./imageOptions.js').ImageOptions|null} [imageOptions] - 图片参数（通过 context.imageOptions 传给适配器）
+ * @property {import('./api/openai/parse.js').SessionInfo|null} [session] - 多轮会话信息（启用会话模式时用于续接网页会话）
+ * @property {Record<string, import('./api/openai/parse.js').TargetPrompt>|null} [targetPrompts] - 别名中模板与首个目标不同的目标各自的提示词
+ * @property {import('./respond.js').TaskResponder} [responder] - 结果输出协议（缺省时按 OpenAI 聊天补全格式响应）
+ * @property {'base64'|'url'|null} [mediaFormat] - 生成图片/视频的返回方式（url 为托管签名链接，缺省时使用 media.format 配置）
+ * @property {string} [baseUrl] - 托管链接的访问地址（缺省时根据 req 推断，用于无请求对象的后台任务）
+ * @property {Function} [onResult] - 自定义结果处理（接收适配器结果，缺省时按聊天补全格式响应）
+ * @property {Function} [onError] - 自定义异常处理（接收 Error，缺省时返回 API 错误响应）
+ * @property {Function} [onStart] - 任务开始处理时回调
+ * @property {Function} [onProgress] - 进度回调（由适配器通过 context.onProgress 上报，0-100）
+ * @property {AbortController} [abortController] - 取消控制器（入队时创建，客户端断开时触发，通过 context.signal 传给适配器）
  */
 
+/**
+ * 获取任务需要上传的全部文件路径（图片在前，附件在后）
+ * @param {TaskContext} task - 任务上下文
+ * @returns {string[]}
+ */
+function getUploadPaths(task) {
+    return [...(task.imagePaths || []), ...(task.attachments || []).map(file => file.path)];
+}
+
+/**
+ * 获取别名各目标单独构建的提示词与上传文件（通过 context.targetPrompts 传给 PoolManager）
+ * @param {TaskContext} task - 任务上下文
+ * @param {string} [suffix=''] - 追加到提示词末尾的内容（结构化输出重试说明）
+ * @returns {Record<string, {prompt: string, paths: string[]}>|null}
+ */
+function getTargetPrompts(task, suffix = '') {
+    if (!task.targetPrompts) return null;
+    return Object.fromEntries(Object.entries(task.targetPrompts).map(([target, variant]) => [target, {
+        prompt: variant.prompt + suffix,
+        paths: [...(task.imagePaths || []), ...variant.attachments.map(file => file.path)]
+    }]));
+}
+
 /**
  * @typedef {object} QueueConfig
  * @property {number} maxConcurrent - 最大并发数
  * @property {number} maxQueueSize - 最大队列大小
  * @property {string} keepaliveMode - 心跳模式 ('comment' | 'content')
+ * @property {number} [formatRetries=2] - 回复不符合 response_format 时的自动重试次数
  */
 
 /**
@@ -49,11 +90,13 @@ import { ERROR_CODES } from './errors.js';
  * @param {object} callbacks.config - 配置对象
  * @param {Function} [callbacks.navigateToMonitor] - 监控导航函数
  * @param {Function} [callbacks.getCookies] - 获取 Cookies 函数
+ * @param {object} [callbacks.mediaStore] - 媒体托管存储（mediaFormat 为 url 时保存结果）
+ * @param {object} [callbacks.sessionStore] - 多轮会话存储（缺省时不启用会话模式）
  * @returns {object} 队列管理器
  */
 export function createQueueManager(queueConfig, callbacks) {
-    const { maxConcurrent, queueBuffer, keepaliveMode } = queueConfig;
-    const { initBrowser, generate, config, navigateToMonitor, getCookies } = callbacks;
+    const { maxConcurrent, queueBuffer, keepaliveMode, formatRetries = 2 } = queueConfig;
+    const { initBrowser, generate, config, navigateToMonitor, getCookies, mediaStore, sessionStore } = callbacks;
 
     // 计算有效队列大小：0 表示不限制，否则为 maxConcurrent + buffer
     const effectiveQueueSize = queueBuffer === 0 ? Infinity : (maxConcurrent + queueBuffer);
@@ -75,22 +118,97 @@ export function createQueueManager(queueConfig, callbacks) {
      * @param {TaskContext} task - 任务上下文
      */
     async function cleanupTask(task) {
-        if (task?.imagePaths) {
+        if (task) {
             const fs = await import('fs');
-            for (const p of task.imagePaths) {
+            const variantPaths = Object.values(getTargetPrompts(task) || {}).flatMap(variant => variant.paths);
+            for (const p of new Set([...getUploadPaths(task), ...variantPaths])) {
                 try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
             }
         }
     }
 
+    /**
+     * 校验单个结果是否符合 response_format，不符合时附带原因重新生成
+     * @param {TaskContext} task - 任务上下文
+     * @param {object} result - 适配器结果
+     * @param {object} generateContext - 生成上下文（单个结果）
+     * @returns {Promise<object>} 校验通过的结果（text 为规范化后的 JSON），或 { error }
+     */
+    async function enforceResponseFormat(task, result, generateContext) {
+        const { prompt, modelId, id } = task;
+
+        for (let attempt = 1; !result.error && !generateContext.signal.aborted; attempt++) {
+            // 模型选择调用工具时不要求 JSON 输出
+            if (task.tools && extractToolCalls(result.text, task.tools)) break;
+
+            const checked = checkResponseFormat(result.text, task.responseFormat);
+            if (checked.json !== undefined) {
+                return { ...result, text: checked.json };
+            }
+            if (attempt > formatRetries) {
+                return { error: `回复不符合 response_format 要求: ${checked.error}` };
+            }
+            logger.warn('服务器', '回复未通过格式校验，正在重试', { id, attempt, reason: checked.error });
+            const retryPrompt = buildRetryPrompt(checked.error);
+            result = await generate(
+                { ...generateContext, targetPrompts: getTargetPrompts(task, retryPrompt) },
+                prompt + retryPrompt,
+                getUploadPaths(task),
+                modelId,
+                { id }
+            );
+        }
+        return result;
+    }
+
+    /**
+     * 生成回复：会话模式下命中上一轮的网页会话时只发送本轮消息，会话失效时回退为完整上下文
+     * @param {TaskContext} task - 任务上下文
+     * @param {object} generateContext - 生成上下文
+     * @returns {Promise<object>} 适配器结果
+     */
+    async function generateReply(task, generateContext) {
+        const { prompt, modelId, id, session } = task;
+        // 会话按 API Key 与模型隔离，多结果或结构化输出等场景不使用会话
+        const scope = sessionStore && session && generateContext.n === 1
+            ? `${task.owner ?? getRequestOwner(task.req)}:${modelId}`
+            : null;
+
+        const target = scope && session.lookup ? sessionStore.take(scope, session.lookup) : null;
+        let result = null;
+        if (target) {
+            logger.info('服务器', '[会话] 续接网页会话', { id, worker: target.worker });
+            const paths = [
+                ...task.imagePaths.slice(session.imageStart),
+                ...(task.attachments || []).slice(session.attachmentStart).map(file => file.path)
+            ];
+            result = await generate({ ...generateContext, session: target }, session.prompt, paths, modelId, { id });
+            if (result.sessionLost && !generateContext.signal.aborted) {
+                logger.warn('服务器', '[会话] 网页会话不可用，回退为完整上下文', { id, error: result.error });
+                result = null;
+            }
+        }
+        if (!result) {
+            result = await generate(generateContext, prompt, getUploadPaths(task), modelId, { id });
+        }
+
+        if (scope && !result.error && result.session) {
+            sessionStore.save(scope, [...session.history, { role: 'assistant', content: result.text || '' }], result.session);
+        }
+        return result;
+    }
+
     /**
      * 处理单个任务
      * @param {TaskContext} task - 任务上下文
      */
     async function processTask(task) {
-        const { res, prompt, imagePaths, modelId, modelName, id, isStreaming } = task;
+        const { res, prompt, modelId, modelName, id, isStreaming } = task;
+        const { signal } = task.abortController;
+        const responder = task.responder || createChatResponder(res, { modelName, isStreaming, includeUsage: task.includeUsage });
 
         logger.info('服务器', '[队列] 开始处理任务', { id, remaining: queue.length });
+        task.onStart?.();
 
         // 启动心跳（流式请求）
         let heartbeatInterval = null;
@@ -100,10 +218,33 @@ export function createQueueManager(queueConfig, callbacks) {
                     clearInterval(heartbeatInterval);
                     return;
                 }
-                sendHeartbeat(res, keepaliveMode, modelName);
+                responder.heartbeat(keepaliveMode);
             }, 3000);
         }
 
+        // 流式请求：适配器通过 onDelta / onReasoningDelta 推送增量回复与思考过程，由响应器逐块转发
+        // 启用工具调用模拟时，检测到工具调用块后不再转发文本增量
+        let filterDelta = task.tools ? createToolCallStreamFilter() : null;
+        // 已向客户端推送过增量时不再改用其他适配器、Worker 或模型重试（客户端无法撤回已收到的内容）
+        let streamed = false;
+        // 结构化输出需在完整回复校验通过后才能发送（校验失败会重新生成）；多个结果并行生成时无法区分增量归属，均不转发增量
+        const n = task.n || 1;
+        const onDelta = isStreaming && !task.responseFormat && n === 1
+            ? (delta) => {
+                if (filterDelta) delta = filterDelta(delta);
+                if (!delta) return;
+                streamed = true;
+                responder.textDelta(delta);
+            }
+            : null;
+        const onReasoningDelta = isStreaming && !task.responseFormat && n === 1
+            ? (delta) => {
+                if (!delta) return;
+                streamed = true;
+                responder.reasoningDelta(delta);
+            }
+            : null;
+
         try {
             // 确保 Pool 已初始化
             if (!poolContext) {
@@ -111,59 +252,105 @@ export function createQueueManager(queueConfig, callbacks) {
             }
 
             // 调用核心生图逻辑 (通过 Pool 分发)
-            const result = await generate(poolContext, prompt, imagePaths, modelId, { id });
+            const generateContext = {
+                ...poolContext,
+                onDelta,
+                onReasoningDelta,
+                onProgress: task.onProgress || null,
+                // 别名请求分发到目标模型时，响应中报告实际完成请求的模型
+                onModel: (model) => responder.setModel(model),
+                targetPrompts: getTargetPrompts(task),
+                hasStreamed: () => streamed,
+                // 一次尝试失败时丢弃其增量记录（尚未推送内容时才会改用其他适配器或模型重试）
+                onAttemptFailed: () => {
+                    if (filterDelta) filterDelta = createToolCallStreamFilter();
+                    responder.resetStream();
+                },
+                signal,
+                n,
+                imageOptions: task.imageOptions || null,
+                fileTypes: task.attachments?.length ? [...new Set(task.attachments.map(file => file.mimeType))] : null
+            };
+            let result = await generateReply(task, generateContext);
+
+            // 结构化输出：逐个校验结果，重试时单独重新生成
+            if (task.responseFormat && !result.error) {
+                const retryContext = { ...generateContext, n: 1 };
+                const checked = [];
+                for (const item of result.results || [result]) {
+                    checked.push(await enforceResponseFormat(task, item, retryContext));
+                }
+                const valid = checked.filter(item => !item.error);
+                if (valid.length === 0) {
+                    result = checked[0];
+                } else {
+                    result = result.results ? { results: valid } : valid[0];
+                }
+            }
 
             // 清除心跳
             if (heartbeatInterval) clearInterval(heartbeatInterval);
 
+            // 客户端已断开，结果无处发送
+            if (signal.aborted) {
+                logger.info('服务器', '[队列] 任务已取消，丢弃结果', { id });
+                return;
+            }
+
+            // 托管生成的图片/视频，以签名链接替代 data URI
+            const mediaFormat = task.mediaFormat || mediaStore?.defaultFormat;
+            if (mediaFormat === 'url' && mediaStore && !result.error) {
+                result = await mediaStore.hostResult(result, task.baseUrl ?? mediaStore.getBaseUrl(task.req));
+            }
+
+            // 由调用方自定义响应格式 (如 Images API)
+            if (task.onResult) {
+                await task.onResult(result);
+                return;
+            }
+
             // 处理结果
             if (result.error) {
                 // 生成失败：使用标准错误格式返回
-                sendApiError(res, {
+                responder.error({
                     code: ERROR_CODES.GENERATION_FAILED,
                     message: result.error,
-                    status: result.retryable ? 503 : 502,
-                    isStreaming
+                    status: result.retryable ? 503 : 502
                 });
                 return;
             }
 
             // 生成成功
-            let finalContent = '';
-            if (result.image) {
-                // 只有图片格式才使用 markdown，视频等其他格式直接返回 data URI
-                if (result.image.startsWith('data:image/')) {
-                    finalContent = `![generated](${result.image})`;
-                } else {
-                    finalContent = result.image;
-                }
-            } else {
-                finalContent = result.text || '生成失败';
-            }
-            logger.info('服务器', '结果已准备就绪', { id });
+            const results = result.results || [result];
+            const usage = estimateUsage(prompt, results.map(formatResultContent), results.map(item => item.reasoning));
+
+            // 工具调用模拟：从回复中解析工具调用块
+            const choices = buildChatChoices(result, task.tools);
+            const toolCallCount = choices.reduce((sum, choice) => sum + (choice.toolCalls?.length || 0), 0);
+            logger.info('服务器', '结果已准备就绪', { id, choices: choices.length, tokens: usage.total_tokens, toolCalls: toolCallCount });
 
             // 发送成功响应
-            logger.info('服务器', '准备发送响应...', { id, isStreaming, contentLength: finalContent.length });
-            if (isStreaming) {
-                const chunk = buildChatCompletionChunk(finalContent, modelName);
-                sendSse(res, chunk);
-                sendSseDone(res);
-                logger.info('服务器', '流式响应已结束', { id });
-            } else {
-                const response = buildChatCompletion(finalContent, modelName);
-                sendJson(res, 200, response);
-                logger.info('服务器', 'JSON 响应已发送', { id });
-            }
+            logger.info('服务器', '准备发送响应...', { id, isStreaming, contentLength: choices[0].content?.length || 0 });
+            responder.success(choices, usage);
+            logger.info('服务器', isStreaming ? '流式响应已结束' : 'JSON 响应已发送', { id });
 
         } catch (err) {
             // 清除心跳
             if (heartbeatInterval) clearInterval(heartbeatInterval);
 
+            if (signal.aborted) {
+                logger.info('服务器', '[队列] 任务已取消', { id, error: err.message });
+                return;
+            }
+
             logger.error('服务器', '任务处理失败', { id, error: err.message });
-            sendApiError(res, {
+            if (task.onError) {
+                task.onError(err);
+                return;
+            }
+            responder.error({
                 code: ERROR_CODES.INTERNAL_ERROR,
-                message: err.message,
-                isStreaming
+                message: err.message
             });
         }
     }
@@ -200,11 +387,38 @@ export function createQueueManager(queueConfig, callbacks) {
         }
     }
 
+    /**
+     * 取消任务：等待中的任务直接移出队列，处理中的任务通过 signal 通知适配器中止
+     * （客户端断开或删除排队中的异步任务时调用）
+     * @param {TaskContext} task - 任务上下文
+     */
+    function cancelTask(task) {
+        const idx = queue.indexOf(task);
+        if (idx !== -1) {
+            queue.splice(idx, 1);
+            cleanupTask(task);
+            logger.info('服务器', '[队列] 任务已取消，移出队列', { id: task.id, remaining: queue.length });
+            return;
+        }
+
+        if (processingTasks.includes(task) && !task.abortController.signal.aborted) {
+            logger.info('服务器', '[队列] 客户端已断开，正在取消任务', { id: task.id });
+            task.abortController.abort();
+        }
+    }
+
     /**
      * 添加任务到队列
      * @param {TaskContext} task - 任务上下文
      */
     function addTask(task) {
+        task.abortController = new AbortController();
+
+        // 响应在写完之前关闭，说明客户端已断开（后台任务没有 res，不受影响）
+        task.res?.on('close', () => {
+            if (!task.res.writableEnded) cancelTask(task);
+        });
+
         queue.push(task);
         processQueue();
     }
@@ -284,6 +498,7 @@ export function createQueueManager(queueConfig, callbacks) {
 
     return {
         addTask,
+        cancelTask,
         getStatus,
         getDetailedStatus,
         canAcceptNonStreaming,
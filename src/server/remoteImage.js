@@ -0,0 +1,382 @@
+/**
+ * @fileoverview 远程图片下载模块
+ * @description 下载消息中 http(s) 链接形式的图片，带大小/超时限制、文件头嗅探和 SSRF 防护（默认禁止访问内网与回环地址）
+ */
+
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import tls from 'tls';
+import dns from 'dns';
+import { anonymizeProxy } from 'proxy-chain';
+import { buildProxyUrl } from '../utils/proxy.js';
+import { logger } from '../utils/logger.js';
+
+/** 最大重定向次数 */
+const MAX_REDIRECTS = 3;
+
+/**
+ * 禁止访问的地址段（内网、回环、链路本地、保留地址等）
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b:1::', 48],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * 低 32 位内嵌 IPv4 地址的 IPv6 地址段（按内嵌的 IPv4 检查）
+ */
+const IPV4_EMBEDDED_ADDRESSES = new net.BlockList();
+for (const address of [
+    '::',           // IPv4 兼容地址 (::a.b.c.d)
+    '::ffff:0:0',   // IPv4 映射地址 (::ffff:a.b.c.d)
+    '::ffff:0:0:0', // IPv4 转换地址 (::ffff:0:a.b.c.d)
+    '64:ff9b::'     // NAT64 (64:ff9b::a.b.c.d)
+]) {
+    IPV4_EMBEDDED_ADDRESSES.addSubnet(address, 96, 'ipv6');
+}
+
+/**
+ * 6to4 地址段 (2002:AABB:CCDD::/48，第 17-48 位内嵌 IPv4 地址 AA.BB.CC.DD)
+ */
+const SIX_TO_FOUR_ADDRESSES = new net.BlockList();
+SIX_TO_FOUR_ADDRESSES.addSubnet('2002::', 16, 'ipv6');
+
+/**
+ * 图片文件头签名
+ */
+const IMAGE_SIGNATURES = [
+    { mime: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mime: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mime: 'image/gif', test: (b) => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+    { mime: 'image/webp', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+    { mime: 'image/bmp', test: (b) => b[0] === 0x42 && b[1] === 0x4d },
+    { mime: 'image/avif', test: (b) => b.subarray(4, 8).toString('latin1') === 'ftyp' && /^avi[fs]$/.test(b.subarray(8, 12).toString('latin1')) },
+    { mime: 'image/heic', test: (b) => b.subarray(4, 8).toString('latin1') === 'ftyp' && /^(heic|heix|mif1)$/.test(b.subarray(8, 12).toString('latin1')) }
+];
+
+// SOCKS5 代理转换后的本地 HTTP 代理地址缓存（原始地址 -> 本地地址）
+const socksBridgeCache = new Map();
+
+/**
+ * @typedef {object} RemoteImageOptions
+ * @property {boolean} enable - 是否允许下载远程图片
+ * @property {number} maxBytes - 图片大小上限（字节）
+ * @property {number} timeout - 下载超时（毫秒）
+ * @property {boolean} allowPrivate - 是否允许访问内网/回环地址
+ * @property {object|null} proxyConfig - 代理配置（null 表示直连）
+ */
+
+/**
+ * 从配置解析远程图片下载选项
+ * @param {object} config - 全局配置
+ * @returns {RemoteImageOptions}
+ */
+export function resolveRemoteImageOptions(config) {
+    const remote = config.queue?.remoteImage || {};
+
+    // proxy: false 直连; true 使用全局浏览器代理; 字符串为 Worker 名称，使用该 Worker 的代理
+    let proxyConfig = null;
+    if (remote.proxy === true) {
+        proxyConfig = config.browser?.proxy?.enable ? config.browser.proxy : null;
+    } else if (typeof remote.proxy === 'string' && remote.proxy) {
+        const worker = config.backend?.pool?.workers?.find(w => w.name === remote.proxy);
+        if (worker) {
+            proxyConfig = worker.resolvedProxy || null;
+        } else {
+            logger.warn('服务器', `queue.remoteImage.proxy 指定的 Worker 不存在，远程图片将直连下载: ${remote.proxy}`);
+        }
+    }
+
+    return {
+        enable: remote.enable !== false,
+        maxBytes: (remote.maxSize ?? 10) * 1024 * 1024,
+        timeout: (remote.timeout ?? 15) * 1000,
+        allowPrivate: remote.allowPrivate === true,
+        proxyConfig
+    };
+}
+
+/**
+ * 判断 IP 是否属于禁止访问的地址段
+ * @param {string} ip - IP 地址
+ * @returns {boolean}
+ */
+export function isBlockedAddress(ip) {
+    ip = ip.replace(/%.*$/, '');
+    const family = net.isIP(ip);
+    if (family === 0) return true;
+
+    // 内嵌 IPv4 的 IPv6 地址 (::ffff:127.0.0.1、::7f00:1、64:ff9b::7f00:1、2002:7f00:1::) 按 IPv4 检查
+    if (family === 6 && IPV4_EMBEDDED_ADDRESSES.check(ip, 'ipv6')) {
+        const groups = expandIPv6(ip);
+        return isBlockedAddress(groupsToIPv4(groups[6], groups[7]));
+    }
+    if (family === 6 && SIX_TO_FOUR_ADDRESSES.check(ip, 'ipv6')) {
+        const groups = expandIPv6(ip);
+        return isBlockedAddress(groupsToIPv4(groups[1], groups[2]));
+    }
+    return BLOCKED_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * 将 IPv6 地址展开为 8 个 16 位分组（支持 :: 缩写与点分 IPv4 结尾）
+ * @param {string} ip - 合法的 IPv6 地址
+ * @returns {number[]}
+ */
+function expandIPv6(ip) {
+    const dotted = ip.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted[2].split('.').map(Number);
+        ip = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = ip.split('::');
+    const parse = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const high = parse(head);
+    const low = tail === undefined ? [] : parse(tail);
+    return [...high, ...new Array(8 - high.length - low.length).fill(0), ...low];
+}
+
+/**
+ * 由两个 16 位分组组成 IPv4 地址
+ * @param {number} high - 高 16 位
+ * @param {number} low - 低 16 位
+ * @returns {string} IPv4 地址
+ */
+function groupsToIPv4(high, low) {
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * 根据文件头嗅探图片类型
+ * @param {Buffer} buffer - 文件内容
+ * @returns {string|null} 图片 MIME 类型，非图片返回 null
+ */
+export function sniffImageType(buffer) {
+    if (buffer.length < 12) return null;
+    return IMAGE_SIGNATURES.find(s => s.test(buffer))?.mime || null;
+}
+
+/**
+ * 创建带 SSRF 检查的 DNS 解析函数（在建立连接时校验实际 IP，防止 DNS 重绑定）
+ * @returns {Function} 兼容 net.connect lookup 选项的函数
+ */
+export function createGuardedLookup() {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) return callback(err);
+            const blocked = addresses.find(a => isBlockedAddress(a.address));
+            if (blocked) {
+                return callback(new Error(`禁止访问内网地址: ${hostname} (${blocked.address})`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+/**
+ * 预检主机名（经代理访问时无法控制实际连接，仅在本地解析校验）
+ * @param {string} hostname - 主机名
+ * @throws {Error} 解析失败或解析结果为内网地址时抛出错误
+ */
+export async function assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host }]
+        : await dns.promises.lookup(host, { all: true });
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) {
+        throw new Error(`禁止访问内网地址: ${hostname} (${blocked.address})`);
+    }
+}
+
+/**
+ * 获取可用于 CONNECT 隧道的 HTTP 代理地址
+ * @param {object} proxyConfig - 代理配置
+ * @returns {Promise<URL>}
+ */
+async function resolveHttpProxy(proxyConfig) {
+    const originalUrl = buildProxyUrl(proxyConfig);
+    if (proxyConfig.type !== 'socks5') {
+        return new URL(originalUrl);
+    }
+    // SOCKS5 代理通过 proxy-chain 转换为本地 HTTP 代理，进程内复用
+    if (!socksBridgeCache.has(originalUrl)) {
+        socksBridgeCache.set(originalUrl, await anonymizeProxy(originalUrl));
+    }
+    return new URL(socksBridgeCache.get(originalUrl));
+}
+
+/**
+ * 通过 HTTP 代理建立到目标主机的 CONNECT 隧道
+ * @param {URL} proxyUrl - HTTP 代理地址
+ * @param {URL} target - 目标地址
+ * @param {number} timeout - 超时（毫秒）
+ * @returns {Promise<import('net').Socket>}
+ */
+function openTunnel(proxyUrl, target, timeout) {
+    const port = target.port || (target.protocol === 'https:' ? 443 : 80);
+    const headers = {};
+    if (proxyUrl.username) {
+        const auth = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+        headers['Proxy-Authorization'] = `Basic ${Buffer.from(auth).toString('base64')}`;
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: proxyUrl.hostname,
+            port: proxyUrl.port || 80,
+            method: 'CONNECT',
+            path: `${target.hostname}:${port}`,
+            headers,
+            timeout
+        });
+        req.once('connect', (res, socket) => {
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                reject(new Error(`代理连接失败: HTTP ${res.statusCode}`));
+                return;
+            }
+            resolve(socket);
+        });
+        req.once('timeout', () => req.destroy(new Error('代理连接超时')));
+        req.once('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * 发起单次 GET 请求（不跟随重定向）
+ * @param {URL} target - 目标地址
+ * @param {RemoteImageOptions} options - 下载选项
+ * @param {AbortSignal} signal - 中止信号
+ * @returns {Promise<import('http').IncomingMessage>}
+ */
+async function requestOnce(target, options, signal) {
+    const isHttps = target.protocol === 'https:';
+    const client = isHttps ? https : http;
+    const requestOptions = {
+        method: 'GET',
+        headers: { 'Accept': 'image/*' },
+        signal
+    };
+
+    if (options.proxyConfig) {
+        if (!options.allowPrivate) await assertPublicHost(target.hostname);
+        const socket = await openTunnel(await resolveHttpProxy(options.proxyConfig), target, options.timeout);
+        requestOptions.createConnection = () => isHttps
+            ? tls.connect({ socket, servername: net.isIP(target.hostname) ? undefined : target.hostname })
+            : socket;
+    } else if (!options.allowPrivate) {
+        requestOptions.lookup = createGuardedLookup();
+        // 直接使用 IP 的链接不经过 DNS 解析，需单独检查
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && isBlockedAddress(host)) {
+            throw new Error(`禁止访问内网地址: ${host}`);
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(target, requestOptions, resolve);
+        req.once('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * 读取响应体（超过大小上限时中止）
+ * @param {import('http').IncomingMessage} res - HTTP 响应
+ * @param {number} maxBytes - 大小上限（字节）
+ * @returns {Promise<Buffer>}
+ */
+async function readLimited(res, maxBytes) {
+    const declared = Number(res.headers['content-length']);
+    if (declared > maxBytes) {
+        res.destroy();
+        throw new Error(`图片超过大小上限 (${Math.floor(maxBytes / 1024 / 1024)}MB)`);
+    }
+
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of res) {
+        total += chunk.length;
+        if (total > maxBytes) {
+            res.destroy();
+            throw new Error(`图片超过大小上限 (${Math.floor(maxBytes / 1024 / 1024)}MB)`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * 下载远程图片
+ * @param {string} url - 图片链接 (http/https)
+ * @param {RemoteImageOptions} options - 下载选项
+ * @returns {Promise<{buffer: Buffer, mime: string}>} 图片内容与嗅探出的 MIME 类型
+ * @throws {Error} 地址不合法、命中 SSRF 防护、超时、超限或内容不是图片时抛出错误
+ */
+export async function fetchRemoteImage(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('图片下载超时')), options.timeout);
+
+    try {
+        let target = new URL(url);
+        for (let redirects = 0; ; redirects++) {
+            if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+                throw new Error(`不支持的链接协议: ${target.protocol}`);
+            }
+
+            const res = await requestOnce(target, options, controller.signal);
+
+            // 手动跟随重定向，每一跳都重新做 SSRF 检查
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new Error('重定向次数过多');
+                }
+                target = new URL(res.headers.location, target);
+                continue;
+            }
+
+            if (res.statusCode !== 200) {
+                res.resume();
+                throw new Error(`HTTP ${res.statusCode}`);
+            }
+
+            const buffer = await readLimited(res, options.maxBytes);
+            const mime = sniffImageType(buffer);
+            if (!mime) {
+                throw new Error(`链接内容不是图片 (${res.headers['content-type'] || '未知类型'})`);
+            }
+            return { buffer, mime };
+        }
+    } catch (err) {
+        throw controller.signal.aborted ? controller.signal.reason : err;
+    } finally {
+        clearTimeout(timer);
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import { getErrorDetails } from './errors.js';
+import { extractToolCalls } from './tools.js';
 
 /**
  * 发送 JSON 响应
@@ -102,46 +103,317 @@ export function sendApiError(res, options) {
     }
 }
 
+/**
+ * 获取适配器结果中的全部图片（部分网站一次生成多张）
+ * @param {{image?: string, images?: string[]}} result - 适配器结果
+ * @returns {string[]} 图片列表（data URI 或 URL）
+ */
+export function getResultImages(result) {
+    if (result.images?.length) return result.images;
+    return result.image ? [result.image] : [];
+}
+
+/**
+ * 将适配器结果转换为聊天回复内容
+ * 只有图片格式才使用 markdown，视频等其他格式直接返回 data URI
+ * @param {{image?: string, images?: string[], text?: string}} result - 适配器结果
+ * @returns {string} 回复内容
+ */
+export function formatResultContent(result) {
+    const images = getResultImages(result);
+    if (images.length > 0) {
+        return images
+            .map(image => image.startsWith('data:image/') ? `![generated](${image})` : image)
+            .join('\n\n');
+    }
+    return result.text || '生成失败';
+}
+
+/**
+ * @typedef {object} ChatChoice
+ * @property {string|null} content - 回复内容（仅有工具调用时为 null）
+ * @property {string} [reasoning] - 思考过程
+ * @property {import('./tools.js').ToolCall[]} [toolCalls] - 工具调用
+ * @property {string[]} [images] - 生成的图片/视频（data URI 或 URL，content 为其 markdown 形式）
+ */
+
+/**
+ * 将适配器结果转换为聊天补全的 choice 列表
+ * @param {object} result - 适配器结果（n > 1 时为 { results }）
+ * @param {import('./tools.js').ToolDefinition[]|null} [tools] - 工具调用模拟的工具列表
+ * @returns {ChatChoice[]}
+ */
+export function buildChatChoices(result, tools) {
+    return (result.results || [result]).map(item => {
+        const parsedTools = tools && item.text ? extractToolCalls(item.text, tools) : null;
+        if (parsedTools) {
+            return { content: parsedTools.content, reasoning: item.reasoning, toolCalls: parsedTools.toolCalls };
+        }
+        const images = getResultImages(item);
+        return {
+            content: formatResultContent(item),
+            reasoning: item.reasoning,
+            ...(images.length > 0 ? { images } : {})
+        };
+    });
+}
+
 /**
  * 构造 OpenAI 格式的聊天完成响应（非流式）
- * @param {string} content - 响应内容
+ * @param {string|null|ChatChoice[]} content - 响应内容（数组时作为多个 choice）
  * @param {string} [modelName] - 模型名称
+ * @param {object} [extra={}] - 附加字段
+ * @param {string} [extra.reasoning] - 思考过程（思考模型，对应 message.reasoning_content）
+ * @param {import('./tokens.js').Usage} [extra.usage] - token 用量
+ * @param {import('./tools.js').ToolCall[]} [extra.toolCalls] - 工具调用（finish_reason 为 tool_calls）
  * @returns {object} OpenAI 格式的响应对象
  */
-export function buildChatCompletion(content, modelName) {
-    return {
+export function buildChatCompletion(content, modelName, extra = {}) {
+    const { usage } = extra;
+    const choices = Array.isArray(content)
+        ? content
+        : [{ content, reasoning: extra.reasoning, toolCalls: extra.toolCalls }];
+
+    const response = {
         id: 'chatcmpl-' + Date.now(),
         object: 'chat.completion',
         created: Math.floor(Date.now() / 1000),
         model: modelName || 'default-model',
-        choices: [{
-            index: 0,
-            message: {
-                role: 'assistant',
-                content: content
-            },
-            finish_reason: 'stop'
-        }]
+        choices: choices.map((choice, index) => {
+            const message = { role: 'assistant', content: choice.content };
+            if (choice.reasoning) message.reasoning_content = choice.reasoning;
+            if (choice.toolCalls?.length) message.tool_calls = choice.toolCalls;
+            return {
+                index,
+                message,
+                finish_reason: choice.toolCalls?.length ? 'tool_calls' : 'stop'
+            };
+        })
     };
+    if (usage) response.usage = usage;
+    return response;
 }
 
 /**
  * 构造 OpenAI 格式的流式聊天完成响应块
- * @param {string} content - 响应内容
+ * @param {string|object} content - 增量内容（字符串作为 delta.content，对象则作为完整 delta，如 { reasoning_content }）
  * @param {string} [modelName] - 模型名称
- * @param {string|null} [finishReason='stop'] - 完成原因
+ * @param {string|null} [finishReason='stop'] - 完成原因（增量块传 null）
+ * @param {string} [id] - 响应 ID（同一流内的所有块应保持一致）
+ * @param {number} [index=0] - choice 序号（n > 1 时区分不同结果）
  * @returns {object} OpenAI 格式的流式响应块
  */
-export function buildChatCompletionChunk(content, modelName, finishReason = 'stop') {
+export function buildChatCompletionChunk(content, modelName, finishReason = 'stop', id, index = 0) {
     return {
-        id: 'chatcmpl-' + Date.now(),
+        id: id || 'chatcmpl-' + Date.now(),
         object: 'chat.completion.chunk',
         created: Math.floor(Date.now() / 1000),
         model: modelName || 'default-model',
         choices: [{
-            index: 0,
-            delta: { content },
+            index,
+            delta: typeof content === 'string' ? { content } : content,
             finish_reason: finishReason
         }]
     };
 }
+
+/**
+ * 构造流式响应的用量块 (stream_options.include_usage)
+ * @param {import('./tokens.js').Usage} usage - token 用量
+ * @param {string} [modelName] - 模型名称
+ * @param {string} [id] - 响应 ID（与同一流内的其他块一致）
+ * @returns {object} choices 为空、仅包含 usage 的流式响应块
+ */
+export function buildUsageChunk(usage, modelName, id) {
+    return {
+        id: id || 'chatcmpl-' + Date.now(),
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: modelName || 'default-model',
+        choices: [],
+        usage
+    };
+}
+
+/**
+ * 计算尚未通过增量推送的剩余文本
+ * 已推送内容不是最终文本的前缀时（如回退为页面渲染文本）不再补发，避免客户端收到重复内容
+ * @param {string} finalText - 最终文本
+ * @param {string} streamedText - 已推送的增量文本
+ * @returns {string} 需补发的文本
+ */
+export function unsentTail(finalText, streamedText) {
+    if (!streamedText) return finalText;
+    return finalText.startsWith(streamedText) ? finalText.slice(streamedText.length) : '';
+}
+
+/**
+ * @typedef {object} TaskResponder
+ * @description 任务结果的输出协议，由队列在生成过程中调用（不同 API 格式各自实现）
+ * @property {(model: string) => void} setModel - 更新响应中的模型名（别名请求分发到目标模型时调用）
+ * @property {(mode: string) => void} heartbeat - 发送流式保活 (mode: 'comment' | 'content')
+ * @property {(delta: string) => void} textDelta - 推送回复增量（仅流式）
+ * @property {(delta: string) => void} reasoningDelta - 推送思考过程增量（仅流式）
+ * @property {() => void} resetStream - 丢弃本次生成尝试的增量记录（一次生成尝试失败时调用）
+ * @property {(choices: ChatChoice[], usage: import('./tokens.js').Usage) => void} success - 发送最终结果（流式时补发未推送的内容并结束）
+ * @property {(error: {code: string, message: string, status?: number}) => void} error - 发送错误
+ */
+
+/**
+ * 创建 OpenAI Chat Completions 格式的响应器（队列默认使用）
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {string} [options.modelName] - 模型名称
+ * @param {boolean} options.isStreaming - 是否流式响应
+ * @param {boolean} [options.includeUsage=false] - 流式结束前是否发送用量块 (stream_options.include_usage)
+ * @returns {TaskResponder}
+ */
+export function createChatResponder(res, options) {
+    const { isStreaming, includeUsage = false } = options;
+    let modelName = options.modelName;
+    const completionId = 'chatcmpl-' + Date.now();
+    let streamedText = '';
+    let streamedReasoning = '';
+
+    return {
+        setModel(model) {
+            modelName = model;
+        },
+
+        heartbeat(mode) {
+            sendHeartbeat(res, mode, modelName);
+        },
+
+        textDelta(delta) {
+            if (res.writableEnded) return;
+            streamedText += delta;
+            sendSse(res, buildChatCompletionChunk(delta, modelName, null, completionId));
+        },
+
+        reasoningDelta(delta) {
+            if (res.writableEnded) return;
+            streamedReasoning += delta;
+            sendSse(res, buildChatCompletionChunk({ reasoning_content: delta }, modelName, null, completionId));
+        },
+
+        resetStream() {
+            streamedText = '';
+            streamedReasoning = '';
+        },
+
+        success(choices, usage) {
+            if (!isStreaming) {
+                sendJson(res, 200, buildChatCompletion(choices, modelName, { usage }));
+                return;
+            }
+
+            // 增量只在单个结果时推送 (n = 1)，其余内容在结束时按 choice 序号补发
+            choices.forEach((choice, index) => {
+                // 思考过程未通过增量推送完整时先补发剩余部分
+                const reasoningTail = unsentTail(choice.reasoning || '', streamedReasoning);
+                if (reasoningTail) {
+                    sendSse(res, buildChatCompletionChunk({ reasoning_content: reasoningTail }, modelName, null, completionId, index));
+                }
+
+                const tail = unsentTail(choice.content || '', streamedText);
+                if (choice.toolCalls) {
+                    if (tail) {
+                        sendSse(res, buildChatCompletionChunk(tail, modelName, null, completionId, index));
+                    }
+                    const toolCallDeltas = choice.toolCalls.map((call, callIndex) => ({ index: callIndex, ...call }));
+                    sendSse(res, buildChatCompletionChunk({ tool_calls: toolCallDeltas }, modelName, null, completionId, index));
+                    sendSse(res, buildChatCompletionChunk({}, modelName, 'tool_calls', completionId, index));
+                } else {
+                    sendSse(res, buildChatCompletionChunk(tail, modelName, 'stop', completionId, index));
+                }
+            });
+            if (includeUsage) {
+                sendSse(res, buildUsageChunk(usage, modelName, completionId));
+            }
+            sendSseDone(res);
+        },
+
+        error({ code, message, status }) {
+            sendApiError(res, { code, message, status, isStreaming });
+        }
+    };
+}
+
+/**
+ * 构造 OpenAI 格式的图片生成响应 (Images API)
+ * @param {string[]} images - 图片列表（data URI 或 http(s) URL）
+ * @param {string} [responseFormat='b64_json'] - 返回格式 ('b64_json' | 'url')
+ * @returns {object} OpenAI 格式的图片响应对象
+ */
+export function buildImagesResponse(images, responseFormat = 'b64_json') {
+    return {
+        created: Math.floor(Date.now() / 1000),
+        data: images.map(image => {
+            const match = image.match(/^data:[^;]+;base64,(.+)$/);
+            // 适配器直接返回 URL 时（如 lmarena.returnUrl）无法提供 Base64，统一回退为 url 字段
+            if (responseFormat === 'b64_json' && match) {
+                return { b64_json: match[1] };
+            }
+            return { url: image };
+        })
+    };
+}
+
+/**
+ * 构建视频任务对象 (OpenAI Videos API 格式)
+ * @param {import('./jobs.js').Job} job - 异步任务
+ * @returns {object} 视频对象
+ */
+export function buildVideoObject(job) {
+    return {
+        id: job.id,
+        object: 'video',
+        model: job.model,
+        status: job.status,
+        progress: job.progress,
+        prompt: job.extra.prompt ?? null,
+        created_at: job.createdAt,
+        completed_at: job.completedAt,
+        expires_at: job.expiresAt,
+        error: job.error
+    };
+}
+
+/**
+ * 构建异步任务对象
+ * @param {import('./jobs.js').Job} job - 异步任务
+ * @returns {object} 任务对象
+ */
+export function buildTaskObject(job) {
+    return {
+        id: job.id,
+        object: 'task',
+        model: job.model,
+        status: job.status,
+        progress: job.progress,
+        callback_url: job.extra.callbackUrl ?? null,
+        created_at: job.createdAt,
+        completed_at: job.completedAt,
+        expires_at: job.expiresAt,
+        result: job.extra.result ?? null,
+        error: job.error
+    };
+}
+
+/**
+ * 构建文件对象 (Files API 格式)
+ * @param {import('./fileStore.js').StoredFile} file - 文件记录
+ * @returns {object} 文件对象
+ */
+export function buildFileObject(file) {
+    return {
+        id: file.id,
+        object: 'file',
+        bytes: file.bytes,
+        created_at: file.createdAt,
+        expires_at: file.expiresAt,
+        filename: file.filename,
+        purpose: file.purpose,
+        status: 'processed'
+    };
+}
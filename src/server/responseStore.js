@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Responses API 存储模块
+ * @description 保存 /v1/responses 的响应对象与对话历史，供 previous_response_id 续接对话，按保留时长与数量上限自动清理
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} StoredResponse
+ * @property {string} id - 响应 ID
+ * @property {string|null} owner - 所属 API Key 标识
+ * @property {object} response - Responses API 响应对象（GET /v1/responses/{id} 返回）
+ * @property {object[]} messages - 截至该响应的完整对话历史（OpenAI 聊天消息格式，不含 instructions）
+ * @property {number} expiresAt - 过期时间（秒级时间戳）
+ */
+
+/**
+ * 生成响应 ID
+ * @returns {string}
+ */
+export function createResponseId() {
+    return `resp_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * 创建响应存储
+ * @param {object} [options={}] - 选项
+ * @param {number} [options.retention=86400] - 响应保留时长（秒）
+ * @param {number} [options.maxEntries=1000] - 最多保存的响应数量（超出时淘汰最久未使用的记录）
+ * @param {number} [options.sweepInterval=60000] - 过期检查间隔（毫秒）
+ * @returns {object} 响应存储
+ */
+export function createResponseStore(options = {}) {
+    const { retention = 86400, maxEntries = 1000, sweepInterval = 60000 } = options;
+
+    /** @type {Map<string, StoredResponse>} */
+    const responses = new Map();
+
+    const now = () => Math.floor(Date.now() / 1000);
+
+    // 定期清理过期响应（不阻止进程退出）
+    const timer = setInterval(() => {
+        const ts = now();
+        for (const entry of responses.values()) {
+            if (entry.expiresAt <= ts) {
+                logger.debug('服务器', '响应记录已过期，清理', { id: entry.id });
+                responses.delete(entry.id);
+            }
+        }
+    }, sweepInterval);
+    timer.unref?.();
+
+    return {
+        /**
+         * 保存响应
+         * @param {object} response - 响应对象（需包含 id）
+         * @param {object[]} messages - 对话历史
+         * @param {string} [owner] - 所属 API Key 标识
+         */
+        save(response, messages, owner) {
+            responses.delete(response.id);
+            responses.set(response.id, { id: response.id, owner: owner || null, response, messages, expiresAt: now() + retention });
+
+            // Map 按插入顺序迭代，首个键即最久未使用的记录
+            while (responses.size > maxEntries) {
+                const oldest = responses.keys().next().value;
+                logger.debug('服务器', '响应记录超出数量上限，淘汰', { id: oldest });
+                responses.delete(oldest);
+            }
+        },
+
+        /**
+         * 获取响应（指定 owner 时只返回该 API Key 保存的响应）
+         * @param {string} id - 响应 ID
+         * @param {string} [owner] - API Key 标识
+         * @returns {StoredResponse|null}
+         */
+        get(id, owner) {
+            const entry = responses.get(id);
+            if (!entry || entry.expiresAt <= now()) return null;
+            if (owner !== undefined && entry.owner !== owner) return null;
+            // 移到末尾，续接中的对话不会被优先淘汰
+            responses.delete(id);
+            responses.set(id, entry);
+            return entry;
+        },
+
+        /**
+         * 删除响应
+         * @param {string} id - 响应 ID
+         * @returns {boolean} 是否存在并已删除
+         */
+        remove(id) {
+            return responses.delete(id);
+        }
+    };
+}
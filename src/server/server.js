@@ -6,6 +6,16 @@
  * - GET  /v1/models          - 获取可用模型列表
  * - GET  /v1/cookies         - 获取当前浏览器 Cookies
  * - POST /v1/chat/completions - 生成图像（OpenAI 兼容格式）
+ * - POST /v1/images/generations - 生成图像（OpenAI Images API 格式）
+ * - POST /v1/images/edits   - 编辑图像（multipart 上传参考图）
+ * - POST /v1/tasks           - 提交异步任务（也可在 chat/completions 中传 async: true）
+ * - GET  /v1/tasks/{id}      - 查询异步任务状态与结果
+ * - POST /v1/videos          - 创建视频生成任务（异步）
+ * - GET  /v1/videos/{id}     - 查询视频任务状态
+ * - GET  /v1/videos/{id}/content - 下载生成的视频
+ * - POST /v1/files           - 上传参考图/文档（聊天请求中通过 file_id 引用）
+ * - GET  /v1/files/{id}/content - 下载已上传的文件
+ * - GET  /media/{file}       - 访问托管的图片/视频（签名链接）
  *
  * 启动方式：
  * - 通过 supervisor.js 启动（推荐，支持自动重启和 Xvfb 管理）
@@ -16,6 +26,8 @@
  */
 
 import http from 'http';
+import path from 'path';
+import crypto from 'crypto';
 
 // ==================== 启动前自检 ====================
 import { runPreflight } from './preflight.js';
@@ -23,7 +35,7 @@ runPreflight();
 // ==================== 加载其他依赖 ====================
 const { getBackend } = await import('../backend/index.js');
 const { logger } = await import('../utils/logger.js');
-const { createQueueManager, createGlobalRouter } = await import('./index.js');
+const { createQueueManager, createJobStore, createResponseStore, createMediaStore, createFileStore, createSessionStore, createKeyStore, resolveRemoteImageOptions, createGlobalRouter } = await import('./index.js');
 const { isUnderSupervisor } = await import('../utils/ipc.js');
 
 // ==================== 初始化配置 ====================
@@ -48,7 +60,11 @@ const {
     TEMP_DIR,
     getModels,
     getImagePolicy,
-    getModelType
+    getModelType,
+    getImageOptions,
+    getFileTypes,
+    getPromptTemplate,
+    getInputLimit
 } = backend;
 
 /** @type {number} 服务器端口 */
@@ -69,8 +85,53 @@ const QUEUE_BUFFER = config.queue?.queueBuffer ?? 2;
 /** @type {number} 图片数量限制 */
 const IMAGE_LIMIT = config.queue?.imageLimit || 5;
 
+/** @type {number} 异步任务保留时长（秒） */
+const JOB_RETENTION = config.queue?.jobRetention || 3600;
+
+/** @type {number} Responses API 响应保留时长（秒） */
+const RESPONSE_RETENTION = config.queue?.responseRetention || 86400;
+const RESPONSE_MAX_ENTRIES = config.queue?.responseMaxEntries || 1000;
+
+/** @type {number} 回复不符合 response_format 时的重试次数 */
+const FORMAT_RETRIES = config.queue?.formatRetries ?? 2;
+
+/** @type {object} 远程图片下载选项 */
+const REMOTE_IMAGE = resolveRemoteImageOptions(config);
+
+/** @type {string} 媒体托管目录 */
+const MEDIA_DIR = path.join(process.cwd(), 'data', 'media');
+
+/** @type {string} 异步任务结果目录 */
+const JOBS_DIR = path.join(process.cwd(), 'data', 'jobs');
+
+/** @type {string} 上传文件目录 */
+const FILES_DIR = path.join(process.cwd(), 'data', 'files');
+
+/** @type {string} API 密钥数据库 */
+const KEYS_DB = path.join(process.cwd(), 'data', 'keys.db');
+
 // ==================== 创建服务组件 ====================
 
+/**
+ * 媒体托管存储：生成的图片/视频以签名链接返回（签名密钥由认证令牌派生）
+ */
+const mediaStore = createMediaStore({
+    dir: MEDIA_DIR,
+    secret: crypto.createHash('sha256').update(`media:${AUTH_TOKEN}`).digest(),
+    defaultFormat: config.media?.format === 'url' ? 'url' : 'base64',
+    ttl: config.media?.ttl || 86400,
+    maxSize: config.media?.maxSize || 1024,
+    publicUrl: config.media?.publicUrl || '',
+    trustProxy: config.media?.trustProxy === true
+});
+
+/**
+ * 多轮会话存储：启用会话模式时记录网页会话位置，后续请求只发送新消息
+ */
+const sessionStore = config.sessions?.enable
+    ? createSessionStore({ ttl: config.sessions.ttl || 3600, maxEntries: config.sessions.maxEntries || 1000 })
+    : null;
+
 /**
  * 队列管理器：负责任务队列、并发控制和心跳机制
  */
@@ -78,7 +139,8 @@ const queueManager = createQueueManager(
     {
         maxConcurrent: MAX_CONCURRENT,
         queueBuffer: QUEUE_BUFFER,
-        keepaliveMode: KEEPALIVE_MODE
+        keepaliveMode: KEEPALIVE_MODE,
+        formatRetries: FORMAT_RETRIES
     },
     {
         initBrowser,
@@ -89,10 +151,37 @@ const queueManager = createQueueManager(
             : null,
         getCookies: backend.getCookies
             ? (workerName, domain) => backend.getCookies(workerName, domain)
-            : null
+            : null,
+        mediaStore,
+        sessionStore
     }
 );
 
+/**
+ * 异步任务存储：保存视频生成等后台任务的状态与结果
+ */
+const jobStore = createJobStore({ dir: JOBS_DIR, retention: JOB_RETENTION });
+
+/**
+ * 响应存储：保存 /v1/responses 的结果与对话历史，供 previous_response_id 续接
+ */
+const responseStore = createResponseStore({ retention: RESPONSE_RETENTION, maxEntries: RESPONSE_MAX_ENTRIES });
+
+/**
+ * 文件存储：保存 /v1/files 上传的文件，按 API Key 隔离
+ */
+const fileStore = createFileStore({
+    dir: FILES_DIR,
+    retention: config.files?.retention || 604800,
+    maxSize: config.files?.maxSize || 50,
+    maxCount: config.files?.maxCount || 100
+});
+
+/**
+ * API 密钥存储：主令牌之外的具名密钥，可限制模型范围、请求频率、每日配额与管理权限
+ */
+const keyStore = createKeyStore({ dbPath: KEYS_DB });
+
 // ==================== 创建路由 ====================
 
 /**
@@ -112,13 +201,23 @@ let safeModeReason = null;
 
 const handleRequest = createGlobalRouter({
     authToken: AUTH_TOKEN,
+    keyStore,
     backendName,
     getModels,
     getImagePolicy,
     getModelType,
+    getImageOptions,
+    getFileTypes,
+    getPromptTemplate,
+    getInputLimit,
     tempDir: TEMP_DIR,
     imageLimit: IMAGE_LIMIT,
+    remoteImage: REMOTE_IMAGE,
     queueManager,
+    jobStore,
+    responseStore,
+    mediaStore,
+    fileStore,
     config,
     loginMode: isLoginMode,
     getSafeMode: () => ({ enabled: safeMode, reason: safeModeReason })
@@ -158,7 +257,7 @@ async function startServer() {
         // 只处理 /admin/vnc 路径
         if (url.pathname === '/admin/vnc') {
             const { handleVncUpgrade } = await import('./api/admin/vncProxy.js');
-            await handleVncUpgrade(req, socket, head, AUTH_TOKEN);
+            await handleVncUpgrade(req, socket, head, AUTH_TOKEN, keyStore);
         } else {
             socket.destroy();
         }
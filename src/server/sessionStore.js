@@ -0,0 +1,88 @@
+/**
+ * @fileoverview 多轮会话存储模块
+ * @description 以对话历史指纹记录产生上一轮回复的 Worker 与网页会话地址，后续请求命中时只向该会话发送新消息，按保留时长自动清理
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} SessionTarget
+ * @property {string} worker - 产生上一轮回复的 Worker 名称
+ * @property {string} adapter - 适配器类型
+ * @property {string} url - 网页会话地址
+ */
+
+/**
+ * 计算对话历史指纹
+ * @param {string} scope - 隔离范围（API Key 与模型）
+ * @param {Array<{role: string, content: string}>} lines - 对话消息
+ * @returns {string}
+ */
+function fingerprint(scope, lines) {
+    const normalized = lines.map(line => [line.role, line.content.trim()]);
+    return crypto.createHash('sha256').update(JSON.stringify([scope, normalized])).digest('hex');
+}
+
+/**
+ * 创建多轮会话存储
+ * @param {object} [options={}] - 选项
+ * @param {number} [options.ttl=3600] - 会话保留时长（秒）
+ * @param {number} [options.maxEntries=1000] - 最多保存的会话数量（超出时淘汰最早的记录）
+ * @param {number} [options.sweepInterval=60000] - 过期检查间隔（毫秒）
+ * @returns {object} 会话存储
+ */
+export function createSessionStore(options = {}) {
+    const { ttl = 3600, maxEntries = 1000, sweepInterval = 60000 } = options;
+
+    /** @type {Map<string, SessionTarget & {expiresAt: number}>} */
+    const sessions = new Map();
+
+    const now = () => Math.floor(Date.now() / 1000);
+
+    // 定期清理过期会话（不阻止进程退出）
+    const timer = setInterval(() => {
+        const ts = now();
+        for (const [key, entry] of sessions) {
+            if (entry.expiresAt <= ts) sessions.delete(key);
+        }
+    }, sweepInterval);
+    timer.unref?.();
+
+    return {
+        /**
+         * 保存会话（以包含本轮回复的完整对话为键）
+         * @param {string} scope - 隔离范围
+         * @param {Array<{role: string, content: string}>} lines - 对话消息
+         * @param {SessionTarget} target - 会话位置
+         */
+        save(scope, lines, target) {
+            const key = fingerprint(scope, lines);
+            sessions.delete(key);
+            sessions.set(key, { ...target, expiresAt: now() + ttl });
+
+            // Map 按插入顺序迭代，首个键即最早保存的会话
+            while (sessions.size > maxEntries) {
+                sessions.delete(sessions.keys().next().value);
+            }
+            logger.debug('服务器', '[会话] 已记录网页会话', { worker: target.worker, total: sessions.size });
+        },
+
+        /**
+         * 取出会话（取出后即删除：网页会话继续后不再对应这段历史）
+         * @param {string} scope - 隔离范围
+         * @param {Array<{role: string, content: string}>} lines - 对话历史（截至上一轮回复）
+         * @returns {SessionTarget|null}
+         */
+        take(scope, lines) {
+            const key = fingerprint(scope, lines);
+            const entry = sessions.get(key);
+            if (!entry) return null;
+            sessions.delete(key);
+            if (entry.expiresAt <= now()) return null;
+
+            const { expiresAt, ...target } = entry;
+            return target;
+        }
+    };
+}
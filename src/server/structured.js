@@ -0,0 +1,293 @@
+/**
+ * @fileoverview 结构化输出模块 (response_format)
+ * @description 网页端模型无法强制输出格式，通过提示词约定输出 JSON，再从回复中提取并按 JSON Schema 校验
+ */
+
+/**
+ * @typedef {object} ResponseFormat
+ * @property {'json_object'|'json_schema'} type - 格式类型
+ * @property {string} [name] - Schema 名称（json_schema）
+ * @property {object} [schema] - JSON Schema（json_schema）
+ */
+
+/**
+ * 规范化 OpenAI 格式的 response_format 参数
+ * @param {unknown} responseFormat - 请求中的 response_format
+ * @returns {{format?: ResponseFormat|null, error?: string}} 规范化结果，text 或缺省时 format 为 null
+ */
+export function normalizeResponseFormat(responseFormat) {
+    if (responseFormat === undefined || responseFormat === null) return { format: null };
+
+    const type = responseFormat?.type;
+    if (type === 'text') return { format: null };
+    if (type === 'json_object') return { format: { type } };
+    if (type === 'json_schema') {
+        const jsonSchema = responseFormat.json_schema;
+        if (!jsonSchema || typeof jsonSchema.schema !== 'object' || jsonSchema.schema === null) {
+            return { error: 'response_format.json_schema.schema 必须是对象' };
+        }
+        return { format: { type, name: jsonSchema.name || 'response', schema: jsonSchema.schema } };
+    }
+    return { error: `response_format.type 仅支持 text、json_object 或 json_schema: ${type}` };
+}
+
+/**
+ * 构建输出格式提示词（放入虚拟上下文）
+ * @param {ResponseFormat} format - 输出格式
+ * @returns {string} 提示词段落
+ */
+export function buildResponseFormatPrompt(format) {
+    let prompt = '=== 输出格式 ===\n';
+    prompt += format.type === 'json_object'
+        ? '只输出一个合法的 JSON 对象，不要输出任何解释、前后缀文字或代码块标记。\n'
+        : '只输出合法的 JSON，不要输出任何解释、前后缀文字或代码块标记。\n';
+    if (format.type === 'json_schema') {
+        prompt += `JSON 必须符合以下 JSON Schema (${format.name}):\n${JSON.stringify(format.schema)}\n`;
+    }
+    return prompt + '\n';
+}
+
+/**
+ * 构建重试时追加的纠错提示
+ * @param {string} reason - 上次输出未通过校验的原因
+ * @returns {string}
+ */
+export function buildRetryPrompt(reason) {
+    return `\n\n(上一次回复未通过格式校验: ${reason}。请严格按照输出格式要求，只输出 JSON)`;
+}
+
+/**
+ * 从文本中按括号配对截取候选 JSON 片段（跳过字符串内的括号）
+ * @param {string} text - 文本
+ * @returns {string[]} 候选片段，按出现顺序
+ */
+function findJsonCandidates(text) {
+    const candidates = [];
+    for (let start = 0; start < text.length; start++) {
+        const open = text[start];
+        if (open !== '{' && open !== '[') continue;
+
+        const stack = [];
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+            const ch = text[i];
+            if (inString) {
+                if (ch === '\\') i++;
+                else if (ch === '"') inString = false;
+                continue;
+            }
+            if (ch === '"') inString = true;
+            else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+            else if (ch === '}' || ch === ']') {
+                if (stack.pop() !== ch) break;
+                if (stack.length === 0) {
+                    candidates.push(text.slice(start, i + 1));
+                    start = i;
+                    break;
+                }
+            }
+        }
+    }
+    return candidates;
+}
+
+/**
+ * 从模型回复中提取 JSON（容忍代码块包裹与前后说明文字）
+ * @param {string} text - 模型回复
+ * @returns {{value?: unknown, error?: string}} 提取结果
+ */
+export function extractJson(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return { error: '回复为空' };
+
+    try {
+        return { value: JSON.parse(trimmed) };
+    } catch (e) { /* 继续尝试其他方式 */ }
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+        try {
+            return { value: JSON.parse(fenced[1].trim()) };
+        } catch (e) { /* 继续尝试其他方式 */ }
+    }
+
+    for (const candidate of findJsonCandidates(trimmed)) {
+        try {
+            return { value: JSON.parse(candidate) };
+        } catch (e) { /* 尝试下一个片段 */ }
+    }
+    return { error: '回复中未找到合法的 JSON' };
+}
+
+/**
+ * 获取值的 JSON Schema 类型
+ * @param {unknown} value - 值
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * 解析 Schema 内部引用 (#/$defs/... 或 #/definitions/...)
+ * @param {string} ref - 引用路径
+ * @param {object} root - 根 Schema
+ * @returns {object|undefined}
+ */
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#')) return undefined;
+    return ref.slice(1).split('/').filter(Boolean)
+        .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => node?.[part], root);
+}
+
+/**
+ * 按 JSON Schema 校验值，收集错误
+ * 支持常用关键字: type / enum / const / properties / required / additionalProperties / items /
+ * minItems / maxItems / minLength / maxLength / pattern / minimum / maximum / exclusiveMinimum /
+ * exclusiveMaximum / anyOf / oneOf / allOf / $ref（仅文档内引用）
+ * @param {unknown} value - 待校验的值
+ * @param {object|boolean} schema - JSON Schema
+ * @param {object} root - 根 Schema
+ * @param {string} path - 当前路径（如 $.items[0]）
+ * @param {string[]} errors - 错误收集
+ */
+function validateNode(value, schema, root, path, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+        errors.push(`${path} 不允许出现`);
+        return;
+    }
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (!target) {
+            errors.push(`${path} 无法解析引用 ${schema.$ref}`);
+            return;
+        }
+        validateNode(value, target, root, path, errors);
+    }
+
+    const actual = typeOf(value);
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matched = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+        if (!matched) {
+            errors.push(`${path} 类型应为 ${types.join('|')}，实际为 ${actual}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+        errors.push(`${path} 必须是以下值之一: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path} 必须等于 ${JSON.stringify(schema.const)}`);
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} 长度不能小于 ${schema.minLength}`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} 长度不能大于 ${schema.maxLength}`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${path} 不匹配模式 ${schema.pattern}`);
+        }
+    }
+
+    if (actual === 'number' || actual === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} 不能小于 ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} 不能大于 ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${path} 必须大于 ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push(`${path} 必须小于 ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} 元素数量不能少于 ${schema.minItems}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} 元素数量不能多于 ${schema.maxItems}`);
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => validateNode(item, schema.items, root, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path} 缺少必填字段 ${key}`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (key in properties) {
+                validateNode(item, properties[key], root, `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path} 不允许额外字段 ${key}`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(item, schema.additionalProperties, root, `${path}.${key}`, errors);
+            }
+        }
+    }
+
+    // 组合关键字：子 Schema 的错误只用于判断是否匹配
+    const matches = (sub) => {
+        const subErrors = [];
+        validateNode(value, sub, root, path, subErrors);
+        return subErrors.length === 0;
+    };
+    if (schema.allOf) {
+        for (const sub of schema.allOf) validateNode(value, sub, root, path, errors);
+    }
+    if (schema.anyOf && !schema.anyOf.some(matches)) {
+        errors.push(`${path} 不符合 anyOf 中的任何一个 Schema`);
+    }
+    if (schema.oneOf && schema.oneOf.filter(matches).length !== 1) {
+        errors.push(`${path} 必须恰好符合 oneOf 中的一个 Schema`);
+    }
+}
+
+/**
+ * 按 JSON Schema 校验值
+ * @param {unknown} value - 待校验的值
+ * @param {object} schema - JSON Schema
+ * @returns {string[]} 错误列表，为空表示通过
+ */
+export function validateJsonSchema(value, schema) {
+    const errors = [];
+    validateNode(value, schema, schema, '$', errors);
+    return errors;
+}
+
+/**
+ * 检查模型回复是否符合 response_format
+ * @param {string} text - 模型回复
+ * @param {ResponseFormat} format - 输出格式
+ * @returns {{json?: string, error?: string}} 通过时返回规范化后的 JSON 文本，否则返回原因
+ */
+export function checkResponseFormat(text, format) {
+    const extracted = extractJson(text);
+    if (extracted.error) return { error: extracted.error };
+
+    const { value } = extracted;
+    if (format.type === 'json_object' && typeOf(value) !== 'object') {
+        return { error: `回复应为 JSON 对象，实际为 ${typeOf(value)}` };
+    }
+    if (format.type === 'json_schema') {
+        const errors = validateJsonSchema(value, format.schema);
+        if (errors.length > 0) {
+            // 只保留前几条，避免纠错提示过长
+            return { error: errors.slice(0, 5).join('; ') };
+        }
+    }
+    return { json: JSON.stringify(value) };
+}
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Token 用量估算模块
+ * @description 网页端不返回真实 token 用量，按本地分词规则近似估算。结果不精确，但同一文本的估算值恒定，可用于统计与配额
+ */
+
+// 分词规则：CJK 单字 / 连续字母 / 连续数字 / 其他单个非空白字符
+const TOKEN_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]|[A-Za-z\u00c0-\u024f]+|\d+|[^\s]/gu;
+
+// Base64 Data URL（图片/视频结果），不计入文本 token
+const DATA_URI_PATTERN = /data:[\w.+-]+\/[\w.+-]+;base64,[A-Za-z0-9+/=]+/g;
+
+/**
+ * @typedef {object} Usage
+ * @property {number} prompt_tokens - 提示词 token 数
+ * @property {number} completion_tokens - 回复 token 数（含思考过程）
+ * @property {number} total_tokens - 总 token 数
+ * @property {{reasoning_tokens: number}} [completion_tokens_details] - 回复明细（有思考过程时）
+ */
+
+/**
+ * 估算文本的 token 数
+ * - CJK 字符：每字 1 token
+ * - 字母单词：每 6 个字符 1 token（向上取整，常见英文单词计为 1）
+ * - 数字：每 3 位 1 token（向上取整）
+ * - 其他符号：每个 1 token
+ * @param {string} text - 文本
+ * @returns {number} 估算的 token 数
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    for (const [segment] of text.replace(DATA_URI_PATTERN, '').matchAll(TOKEN_PATTERN)) {
+        if (/^[A-Za-z\u00c0-\u024f]+$/.test(segment)) {
+            tokens += Math.ceil(segment.length / 6);
+        } else if (/^\d+$/.test(segment)) {
+            tokens += Math.ceil(segment.length / 3);
+        } else {
+            tokens += 1;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * 估算一次对话的 token 用量
+ * @param {string} prompt - 发送给网页的完整提示词
+ * @param {string|string[]} content - 回复内容（n > 1 时为各结果的内容列表，累加计算）
+ * @param {string|string[]} [reasoning] - 思考过程
+ * @returns {Usage} OpenAI 格式的 usage 对象
+ */
+export function estimateUsage(prompt, content, reasoning) {
+    if (Array.isArray(content)) content = content.join('\n');
+    if (Array.isArray(reasoning)) reasoning = reasoning.filter(Boolean).join('\n');
+
+    const promptTokens = estimateTokens(prompt);
+    const reasoningTokens = estimateTokens(reasoning);
+    const completionTokens = estimateTokens(content) + reasoningTokens;
+
+    const usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+    if (reasoning) {
+        usage.completion_tokens_details = { reasoning_tokens: reasoningTokens };
+    }
+    return usage;
+}
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview 工具调用模拟模块
+ * @description 网页端模型不支持原生 function calling，通过提示词描述工具并约定输出格式，再从回复中解析出工具调用
+ */
+
+import crypto from 'crypto';
+
+/** 工具调用块起止标记 */
+const TOOL_CALLS_OPEN = '<tool_calls>';
+const TOOL_CALLS_CLOSE = '</tool_calls>';
+
+/**
+ * @typedef {object} ToolDefinition
+ * @property {string} name - 工具名称
+ * @property {string} [description] - 工具描述
+ * @property {object} [parameters] - 参数 JSON Schema
+ */
+
+/**
+ * @typedef {object} ToolCall
+ * @property {string} id - 调用 ID
+ * @property {'function'} type - 调用类型
+ * @property {{name: string, arguments: string}} function - 函数名与 JSON 字符串参数
+ */
+
+/**
+ * 规范化 OpenAI 格式的 tools 参数
+ * @param {unknown} tools - 请求中的 tools
+ * @returns {{tools?: ToolDefinition[], error?: string}} 规范化结果，格式错误时返回 error
+ */
+export function normalizeTools(tools) {
+    if (tools === undefined || tools === null) return { tools: [] };
+    if (!Array.isArray(tools)) return { error: 'tools 必须是数组' };
+
+    const result = [];
+    for (const tool of tools) {
+        const fn = tool?.function;
+        if (tool?.type !== 'function' || typeof fn?.name !== 'string' || !fn.name) {
+            return { error: 'tools 中的每一项必须为 { type: "function", function: { name, ... } }' };
+        }
+        result.push({ name: fn.name, description: fn.description || '', parameters: fn.parameters || null });
+    }
+    return { tools: result };
+}
+
+/**
+ * 解析 tool_choice 参数
+ * @param {unknown} toolChoice - 请求中的 tool_choice
+ * @returns {{mode: 'auto'|'none'|'required', name?: string}}
+ */
+export function normalizeToolChoice(toolChoice) {
+    if (toolChoice === 'none' || toolChoice === 'required') return { mode: toolChoice };
+    if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+        return { mode: 'required', name: toolChoice.function.name };
+    }
+    return { mode: 'auto' };
+}
+
+/**
+ * 构建工具说明提示词（放入虚拟上下文）
+ * @param {ToolDefinition[]} tools - 工具列表
+ * @param {{mode: string, name?: string}} choice - tool_choice
+ * @returns {string} 提示词段落
+ */
+export function buildToolsPrompt(tools, choice) {
+    let prompt = '=== 可用工具 ===\n';
+    prompt += '你可以调用以下工具 (参数使用 JSON Schema 描述):\n';
+    for (const tool of tools) {
+        prompt += `- ${tool.name}${tool.description ? `: ${tool.description}` : ''}\n`;
+        if (tool.parameters) {
+            prompt += `  参数: ${JSON.stringify(tool.parameters)}\n`;
+        }
+    }
+    prompt += '\n如需调用工具，请只输出以下格式的内容，不要附加解释，也不要放进代码块:\n';
+    prompt += `${TOOL_CALLS_OPEN}\n[{"name": "工具名", "arguments": {参数对象}}]\n${TOOL_CALLS_CLOSE}\n`;
+    prompt += '一次可以调用多个工具。工具结果会以 "Tool[工具名]:" 的形式返回给你，之后再继续回答。\n';
+
+    if (choice.name) {
+        prompt += `本轮必须调用工具 ${choice.name}。\n`;
+    } else if (choice.mode === 'required') {
+        prompt += '本轮必须调用至少一个工具。\n';
+    } else {
+        prompt += '不需要调用工具时，直接正常回答。\n';
+    }
+    return prompt + '\n';
+}
+
+/**
+ * 将助手消息中的 tool_calls 渲染为约定格式（用于历史对话）
+ * @param {object[]} toolCalls - OpenAI 格式的 tool_calls
+ * @returns {string}
+ */
+export function renderToolCalls(toolCalls) {
+    const calls = toolCalls.map(call => {
+        let args = call.function?.arguments ?? {};
+        if (typeof args === 'string') {
+            try { args = JSON.parse(args); } catch (e) { /* 保留原始字符串 */ }
+        }
+        return { name: call.function?.name, arguments: args };
+    });
+    return `${TOOL_CALLS_OPEN}\n${JSON.stringify(calls)}\n${TOOL_CALLS_CLOSE}`;
+}
+
+/**
+ * 从模型回复中解析工具调用
+ * @param {string} text - 模型回复
+ * @param {ToolDefinition[]} tools - 可用工具（仅识别已声明的工具）
+ * @returns {{content: string|null, toolCalls: ToolCall[]}|null} 解析结果，未检测到有效调用时返回 null
+ */
+export function extractToolCalls(text, tools) {
+    if (!text) return null;
+
+    const start = text.indexOf(TOOL_CALLS_OPEN);
+    if (start === -1) return null;
+
+    // 容忍模型遗漏结束标记
+    const closeIndex = text.indexOf(TOOL_CALLS_CLOSE, start);
+    const end = closeIndex === -1 ? text.length : closeIndex + TOOL_CALLS_CLOSE.length;
+    const body = text
+        .slice(start + TOOL_CALLS_OPEN.length, closeIndex === -1 ? text.length : closeIndex)
+        .trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/```$/, '')
+        .trim();
+
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (e) {
+        return null;
+    }
+
+    const names = new Set(tools.map(t => t.name));
+    const toolCalls = (Array.isArray(parsed) ? parsed : [parsed])
+        .filter(call => call && names.has(call.name))
+        .map(call => ({
+            id: `call_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`,
+            type: 'function',
+            function: {
+                name: call.name,
+                arguments: typeof call.arguments === 'string'
+                    ? call.arguments
+                    : JSON.stringify(call.arguments ?? {})
+            }
+        }));
+
+    if (toolCalls.length === 0) return null;
+
+    // 去掉工具调用块（及可能包裹它的代码块标记）后的剩余文本作为 content
+    const content = (text.slice(0, start) + text.slice(end))
+        .replace(/```(?:json|xml)?\s*```/gi, '')
+        .trim();
+    return { content: content || null, toolCalls };
+}
+
+/**
+ * 创建流式输出过滤器：检测到工具调用块后停止转发增量文本，避免把调用块原样推送给客户端
+ * @returns {(delta: string) => string} 接收增量，返回可安全转发的部分
+ */
+export function createToolCallStreamFilter() {
+    let buffer = '';
+    let emitted = 0;
+    let blocked = false;
+
+    return (delta) => {
+        if (blocked) return '';
+        buffer += delta;
+
+        const markerIndex = buffer.indexOf(TOOL_CALLS_OPEN);
+        let safeEnd;
+        if (markerIndex !== -1) {
+            blocked = true;
+            safeEnd = markerIndex;
+        } else {
+            // 保留可能是标记开头的结尾部分，等待后续增量确认
+            safeEnd = buffer.length;
+            for (let len = Math.min(TOOL_CALLS_OPEN.length - 1, buffer.length); len > 0; len--) {
+                if (TOOL_CALLS_OPEN.startsWith(buffer.slice(-len))) {
+                    safeEnd = buffer.length - len;
+                    break;
+                }
+            }
+        }
+
+        if (safeEnd <= emitted) return '';
+        const out = buffer.slice(emitted, safeEnd);
+        emitted = safeEnd;
+        return out;
+    };
+}
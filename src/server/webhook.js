@@ -0,0 +1,130 @@
+/**
+ * @fileoverview 回调通知模块
+ * @description 异步任务结束后将结果 POST 到调用方提供的 callback_url（禁止回调内网与回环地址）
+ */
+
+import http from 'http';
+import https from 'https';
+import { assertPublicHost, createGuardedLookup } from './remoteImage.js';
+import { logger } from '../utils/logger.js';
+
+/** 最大重定向次数 */
+const MAX_REDIRECTS = 3;
+
+/**
+ * 校验回调地址
+ * @param {unknown} url - 回调地址
+ * @returns {boolean} 是否为合法的 http(s) 地址
+ */
+export function isValidCallbackUrl(url) {
+    if (typeof url !== 'string') return false;
+    try {
+        const { protocol } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 提交任务时检查回调地址：格式合法且不指向内网或回环地址
+ * @param {unknown} url - 回调地址
+ * @returns {Promise<string|null>} 错误信息，合法时返回 null
+ */
+export async function checkCallbackUrl(url) {
+    if (!isValidCallbackUrl(url)) return 'callback_url 必须是有效的 http(s) 地址';
+    try {
+        await assertPublicHost(new URL(url).hostname);
+        return null;
+    } catch (err) {
+        return `callback_url 不可用: ${err.message}`;
+    }
+}
+
+/**
+ * 发起单次 POST 请求（不跟随重定向，连接时校验实际 IP）
+ * @param {URL} target - 目标地址
+ * @param {string} body - 请求体
+ * @param {AbortSignal} signal - 中止信号
+ * @returns {Promise<import('http').IncomingMessage>}
+ */
+async function postOnce(target, body, signal) {
+    // 预检目标主机（直接使用 IP 的地址不经过 DNS 解析）；连接时再由 lookup 校验实际 IP，防止 DNS 重绑定
+    await assertPublicHost(target.hostname);
+
+    const client = target.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = client.request(target, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            lookup: createGuardedLookup(),
+            signal
+        }, resolve);
+        req.once('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * 投递一次回调（手动跟随重定向，每一跳都重新做 SSRF 检查）
+ * @param {string} url - 回调地址
+ * @param {string} body - 请求体
+ * @param {number} timeout - 超时（毫秒）
+ * @returns {Promise<number>} 最终响应的 HTTP 状态码
+ */
+async function deliver(url, body, timeout) {
+    const signal = AbortSignal.timeout(timeout);
+    let target = new URL(url);
+    for (let redirects = 0; ; redirects++) {
+        if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+            throw new Error(`不支持的回调协议: ${target.protocol}`);
+        }
+
+        const res = await postOnce(target, body, signal);
+        res.resume();
+
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+            if (redirects >= MAX_REDIRECTS) {
+                throw new Error('重定向次数过多');
+            }
+            target = new URL(res.headers.location, target);
+            continue;
+        }
+        return res.statusCode;
+    }
+}
+
+/**
+ * 发送回调通知（失败时按指数退避重试）
+ * @param {string} url - 回调地址
+ * @param {object} payload - 回调内容
+ * @param {object} [options={}] - 选项
+ * @param {number} [options.retries=3] - 最大尝试次数
+ * @param {number} [options.timeout=10000] - 单次请求超时（毫秒）
+ * @param {object} [options.meta={}] - 日志元数据
+ * @returns {Promise<boolean>} 是否发送成功
+ */
+export async function sendWebhook(url, payload, options = {}) {
+    const { retries = 3, timeout = 10000, meta = {} } = options;
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+            const status = await deliver(url, body, timeout);
+            if (status >= 200 && status < 300) {
+                logger.info('服务器', '回调通知已发送', { ...meta, status });
+                return true;
+            }
+            logger.warn('服务器', `回调通知返回异常状态 (${attempt}/${retries})`, { ...meta, status });
+        } catch (err) {
+            logger.warn('服务器', `回调通知发送失败 (${attempt}/${retries})`, { ...meta, error: err.message });
+        }
+
+        if (attempt < retries) {
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+        }
+    }
+
+    logger.error('服务器', '回调通知最终失败，已放弃', meta);
+    return false;
+}
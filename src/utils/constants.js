@@ -95,6 +95,9 @@ export const ADAPTER_ERRORS = {
 
     /** 需要登录 */
     AUTH_REQUIRED: 'AUTH_REQUIRED',
+
+    /** 任务已取消（客户端断开） */
+    TASK_CANCELLED: 'TASK_CANCELLED',
 };
 
 // ==========================================
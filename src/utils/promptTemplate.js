@@ -0,0 +1,155 @@
+/**
+ * @fileoverview 虚拟上下文模板模块
+ * @description 文本模型的多轮对话需要拼接为单条提示词发送给网页，模板决定系统指令、历史对话与当前输入的分段格式
+ */
+
+/**
+ * 模板由以下槽位组成，槽位内的 {{content}} 替换为对应内容，tool 槽位额外支持 {{name}}（工具名）
+ * @typedef {object} PromptTemplate
+ * @property {string} system - 系统指令段落
+ * @property {string} history - 历史对话段落（{{content}} 为逐条渲染后以换行连接的历史消息）
+ * @property {string} current - 当前输入段落（{{content}} 为本轮消息）
+ * @property {string} user - 用户消息
+ * @property {string} assistant - 助手消息
+ * @property {string} tool - 工具结果消息
+ */
+
+/** 模板槽位 */
+export const PROMPT_TEMPLATE_SLOTS = ['system', 'history', 'current', 'user', 'assistant', 'tool'];
+
+/** 默认模板 */
+export const DEFAULT_PROMPT_TEMPLATE = 'zh';
+
+/**
+ * 内置模板预设
+ * @type {Record<string, PromptTemplate>}
+ */
+export const PROMPT_TEMPLATE_PRESETS = {
+    zh: {
+        system: '=== 系统指令 (永远置顶) ===\n{{content}}\n\n',
+        history: '=== 历史对话 (滑动窗口或摘要) ===\n{{content}}\n\n',
+        current: '=== 当前输入 ===\n{{content}}',
+        user: 'User: {{content}}',
+        assistant: 'AI: {{content}}',
+        tool: 'Tool[{{name}}]: {{content}}'
+    },
+    en: {
+        system: '=== System Instructions (always apply) ===\n{{content}}\n\n',
+        history: '=== Conversation History ===\n{{content}}\n\n',
+        current: '=== Current Input ===\n{{content}}',
+        user: 'User: {{content}}',
+        assistant: 'Assistant: {{content}}',
+        tool: 'Tool[{{name}}]: {{content}}'
+    },
+    xml: {
+        system: '<system>\n{{content}}\n</system>\n\n',
+        history: '<history>\n{{content}}\n</history>\n\n',
+        current: '<current>\n{{content}}\n</current>',
+        user: '<user>{{content}}</user>',
+        assistant: '<assistant>{{content}}</assistant>',
+        tool: '<tool name="{{name}}">{{content}}</tool>'
+    },
+    chatml: {
+        system: '<|im_start|>system\n{{content}}<|im_end|>\n',
+        history: '{{content}}\n',
+        current: '{{content}}\n<|im_start|>assistant\n',
+        user: '<|im_start|>user\n{{content}}<|im_end|>',
+        assistant: '<|im_start|>assistant\n{{content}}<|im_end|>',
+        tool: '<|im_start|>tool\n[{{name}}] {{content}}<|im_end|>'
+    }
+};
+
+/**
+ * 校验模板配置
+ * 配置可以是预设名，或以 preset 为基础覆盖部分槽位的对象
+ * @param {unknown} spec - 模板配置
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export function validatePromptTemplate(spec) {
+    if (typeof spec === 'string') {
+        return PROMPT_TEMPLATE_PRESETS[spec] ? null : `未知的模板预设: ${spec}`;
+    }
+    if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+        return '模板必须是预设名或对象';
+    }
+    if (spec.preset !== undefined && !PROMPT_TEMPLATE_PRESETS[spec.preset]) {
+        return `未知的模板预设: ${spec.preset}`;
+    }
+    for (const key of Object.keys(spec)) {
+        if (key === 'preset') continue;
+        if (!PROMPT_TEMPLATE_SLOTS.includes(key)) return `未知的模板槽位: ${key}`;
+        if (typeof spec[key] !== 'string') return `模板槽位 ${key} 必须是字符串`;
+    }
+    return null;
+}
+
+/**
+ * 解析模板配置为完整模板（无效或未配置时使用默认模板）
+ * @param {string|object|null|undefined} spec - 模板配置
+ * @returns {PromptTemplate}
+ */
+export function resolvePromptTemplate(spec) {
+    if (spec === null || spec === undefined || validatePromptTemplate(spec)) {
+        return PROMPT_TEMPLATE_PRESETS[DEFAULT_PROMPT_TEMPLATE];
+    }
+    if (typeof spec === 'string') return PROMPT_TEMPLATE_PRESETS[spec];
+
+    const { preset = DEFAULT_PROMPT_TEMPLATE, ...slots } = spec;
+    return { ...PROMPT_TEMPLATE_PRESETS[preset], ...slots };
+}
+
+/**
+ * 填充模板槽位
+ * @param {string} slot - 槽位模板
+ * @param {Record<string, string>} values - 占位符取值
+ * @returns {string}
+ */
+function fill(slot, values) {
+    return slot.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * @typedef {object} ConversationLine
+ * @property {'user'|'assistant'|'tool'} role - 角色
+ * @property {string} content - 已处理的文本内容
+ * @property {string} [name] - 工具名（tool）
+ */
+
+/**
+ * 按模板分别渲染上下文（系统指令、附加说明、历史对话）与当前输入
+ * 只有一条用户消息且没有其他上下文时，当前输入为该消息内容本身
+ * @param {PromptTemplate} template - 模板
+ * @param {object} conversation - 对话内容
+ * @param {string} [conversation.system=''] - 系统指令
+ * @param {string} [conversation.extra=''] - 附加说明（工具、输出格式），位于系统指令与历史对话之间
+ * @param {ConversationLine[]} [conversation.history=[]] - 历史消息
+ * @param {ConversationLine[]} conversation.current - 本轮消息（首条为最后一条用户消息）
+ * @returns {{context: string, current: string}}
+ */
+export function renderSections(template, conversation) {
+    const { system = '', extra = '', history = [], current } = conversation;
+    const renderLine = (line) => fill(template[line.role], { content: line.content, name: line.name || 'unknown' });
+
+    if (!system && !extra && history.length === 0 && current.length === 1) {
+        return { context: '', current: current[0].content };
+    }
+
+    const systemPrompt = system ? fill(template.system, { content: system }) : '';
+    const historyPrompt = history.length > 0
+        ? fill(template.history, { content: history.map(renderLine).join('\n') })
+        : '';
+    const currentPrompt = fill(template.current, { content: current.map(renderLine).join('\n') });
+
+    return { context: systemPrompt + extra + historyPrompt, current: currentPrompt };
+}
+
+/**
+ * 按模板将对话拼接为单条提示词
+ * @param {PromptTemplate} template - 模板
+ * @param {object} conversation - 对话内容（同 renderSections）
+ * @returns {string}
+ */
+export function renderConversation(template, conversation) {
+    const { context, current } = renderSections(template, conversation);
+    return context + current;
+}
@@ -11,6 +11,7 @@ const routes = [
     { path: '/settings/workers', component: () => import('@/components/settings/workers.vue') },
     { path: '/settings/browser', component: () => import('@/components/settings/browser.vue') },
     { path: '/settings/adapters', component: () => import('@/components/settings/adapters.vue') },
+    { path: '/settings/keys', component: () => import('@/components/settings/keys.vue') },
     { path: '/tools/display', component: () => import('@/components/tools/display.vue') },
     { path: '/tools/cache', component: () => import('@/components/tools/cache.vue') },
     { path: '/tools/logs', component: () => import('@/components/tools/logs.vue') },
@@ -15,7 +15,9 @@ export const useSettingsStore = defineStore('settings', {
             }
         },
         adapterConfig: {},
-        adaptersMeta: []
+        adaptersMeta: [],
+        promptTemplates: { default: 'zh', slots: [], presets: {} },
+        apiKeys: []
     }),
 
     actions: {
@@ -41,7 +43,8 @@ export const useSettingsStore = defineStore('settings', {
                 const res = await fetch('/admin/status', {
                     headers: this.getHeaders()
                 });
-                return res.status !== 401;
+                // 非管理密钥可以通过鉴权，但无权访问管理接口 (403)
+                return res.status !== 401 && res.status !== 403;
             } catch (e) {
                 return false;
             }
@@ -224,6 +227,82 @@ export const useSettingsStore = defineStore('settings', {
                 Modal.error({ title: '保存失败 (网络异常)', content: e.message });
             }
             return false;
+        },
+
+        // --- 虚拟上下文模板 ---
+        async fetchPromptTemplates() {
+            try {
+                const res = await fetch('/admin/prompt-templates', { headers: this.getHeaders() });
+                if (res.ok) this.promptTemplates = await res.json();
+            } catch (e) {
+                console.error('Fetch prompt templates failed', e);
+            }
+        },
+        async previewPromptTemplate(template) {
+            try {
+                const res = await fetch('/admin/prompt-templates/preview', {
+                    method: 'POST',
+                    headers: this.getHeaders(),
+                    body: JSON.stringify({ template })
+                });
+                const result = await this.handleResponse(res);
+                if (result.success) return result.data.prompt;
+            } catch (e) {
+                Modal.error({ title: '预览失败 (网络异常)', content: e.message });
+            }
+            return null;
+        },
+
+        // --- API 密钥 ---
+        async fetchApiKeys() {
+            try {
+                const res = await fetch('/admin/keys', { headers: this.getHeaders() });
+                if (res.ok) this.apiKeys = await res.json();
+            } catch (e) {
+                console.error('Fetch api keys failed', e);
+            }
+        },
+        async fetchApiKeyDetail(id) {
+            try {
+                const res = await fetch(`/admin/keys/${id}`, { headers: this.getHeaders() });
+                if (res.ok) return await res.json();
+            } catch (e) {
+                console.error('Fetch api key detail failed', e);
+            }
+            return null;
+        },
+        async createApiKey(options) {
+            try {
+                const res = await fetch('/admin/keys', {
+                    method: 'POST',
+                    headers: this.getHeaders(),
+                    body: JSON.stringify(options)
+                });
+                const result = await this.handleResponse(res, '密钥已创建');
+                if (result.success) {
+                    await this.fetchApiKeys();
+                    return result.data.secret;
+                }
+            } catch (e) {
+                Modal.error({ title: '创建失败 (网络异常)', content: e.message });
+            }
+            return null;
+        },
+        async revokeApiKey(id) {
+            try {
+                const res = await fetch(`/admin/keys/${id}/revoke`, {
+                    method: 'POST',
+                    headers: this.getHeaders()
+                });
+                const result = await this.handleResponse(res, '密钥已吊销');
+                if (result.success) {
+                    await this.fetchApiKeys();
+                    return true;
+                }
+            } catch (e) {
+                Modal.error({ title: '吊销失败 (网络异常)', content: e.message });
+            }
+            return false;
         }
     }
 });